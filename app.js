@@ -7,9 +7,16 @@ const cors = require("cors");
 const { NotFoundError } = require("./expressError");
 
 const { authenticateJWT } = require("./middleware/auth");
+const storage = require("./storage");
 const authRoutes = require("./routes/auth");
 const usersRoutes = require("./routes/users");
 const tripsRoutes = require("./routes/trips");
+const imagesRoutes = require("./routes/images");
+const feedRoutes = require("./routes/feed");
+const suggestionsRoutes = require("./routes/suggestions");
+const tagsRoutes = require("./routes/tags");
+const searchRoutes = require("./routes/search");
+const adminRoutes = require("./routes/admin");
 
 const morgan = require("morgan");
 
@@ -18,18 +25,21 @@ const app = express();
 app.use(cors());
 app.use(express.json());
 app.use(morgan("tiny"));
-app.use(authenticateJWT);
 
-app.use("/", (req, res, next) => {
-  if (req.originalUrl === "/") {
-    return next();
-  }
-  authenticateJWT(req, res, next);
-});
+// Serve uploaded files when they are kept on local disk
+if (storage.middleware) app.use(storage.urlPath, storage.middleware());
+
+app.use(authenticateJWT);
 
 app.use("/auth", authRoutes);
 app.use("/users", usersRoutes);
 app.use("/trips", tripsRoutes);
+app.use("/images", imagesRoutes);
+app.use("/feed", feedRoutes);
+app.use("/suggestions", suggestionsRoutes);
+app.use("/tags", tagsRoutes);
+app.use("/search", searchRoutes);
+app.use("/admin", adminRoutes);
 
 
 /** Handle 404 errors -- this matches everything */
@@ -1,23 +1,50 @@
 "use strict";
 /** Database setup for traveler. */
-const { Client } = require("pg");
+const { Pool } = require("pg");
 const { getDatabaseUri } = require("./config");
 
 let db;
 
 if (process.env.NODE_ENV === "production") {
-  db = new Client({
+  db = new Pool({
     connectionString: getDatabaseUri(),
     ssl: {
       rejectUnauthorized: false
     }
   });
 } else {
-  db = new Client({
+  db = new Pool({
     connectionString: getDatabaseUri()
   });
 }
 
-db.connect();
+// An idle client losing its connection shouldn't crash the server; the pool
+// replaces it
+db.on("error", function (err) {
+  console.error("Database client error:", err.message);
+});
 
-module.exports = db;
\ No newline at end of file
+/** Run `callback(client)` in a transaction on a single client from the pool,
+ * and return what it returns.
+ *
+ * Queries that must be in the transaction have to go through `client`, not
+ * db.query (which may run on another client). If the callback throws, the
+ * transaction is rolled back and the error is rethrown.
+ */
+
+db.transaction = async function (callback) {
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await callback(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = db;
@@ -0,0 +1,50 @@
+"use strict";
+
+/** Helpers for running async work in parallel, within limits. */
+
+/** Call fn(item, index) for every item, with at most `limit` calls running
+ * at once.
+ *
+ * Never rejects: returns a list in the same order as items, of
+ * { ok: true, value } for calls that resolved and { ok: false, error } for
+ * calls that threw, so one failure doesn't stop the rest.
+ */
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      try {
+        results[i] = { ok: true, value: await fn(items[i], i) };
+      } catch (error) {
+        results[i] = { ok: false, error };
+      }
+    }
+  }
+
+  const workers = [];
+  for (let w = 0; w < Math.min(limit, items.length); w++) workers.push(worker());
+  await Promise.all(workers);
+
+  return results;
+}
+
+/** Return a version of async function fn that runs one call at a time, in
+ * the order they were made. Later calls wait for earlier ones to settle.
+ */
+
+function serialize(fn) {
+  let last = Promise.resolve();
+
+  return function (...args) {
+    const result = last.then(() => fn(...args));
+    last = result.catch(() => {});
+    return result;
+  };
+}
+
+
+module.exports = { mapWithConcurrency, serialize };
@@ -0,0 +1,89 @@
+"use strict";
+
+/** Helpers for the EXIF data in uploaded photos. */
+
+const exifr = require("exifr");
+const piexif = require("piexifjs");
+const { BadRequestError } = require("../expressError");
+
+/** Read capture time, camera and location from an image buffer.
+ *
+ * Returns { takenAt, cameraModel, latitude, longitude }, with null for
+ * anything the image doesn't have. Never throws: images without EXIF, or
+ * with EXIF that can't be read, just get nulls.
+ */
+
+async function readExif(buffer) {
+  const result = {
+    takenAt: null,
+    cameraModel: null,
+    latitude: null,
+    longitude: null,
+  };
+
+  let data;
+  try {
+    data = await exifr.parse(buffer, {
+      pick: ["DateTimeOriginal", "CreateDate", "Make", "Model",
+             "GPSLatitude", "GPSLatitudeRef", "GPSLongitude", "GPSLongitudeRef"],
+    });
+  } catch (err) {
+    return result;
+  }
+  if (!data) return result;
+
+  const takenAt = data.DateTimeOriginal || data.CreateDate;
+  if (takenAt instanceof Date && !isNaN(takenAt)) result.takenAt = takenAt;
+
+  if (data.Model) {
+    const make = data.Make && !data.Model.startsWith(data.Make) ? data.Make + " " : "";
+    result.cameraModel = (make + data.Model).trim();
+  }
+
+  if (Number.isFinite(data.latitude) && Number.isFinite(data.longitude)) {
+    result.latitude = data.latitude;
+    result.longitude = data.longitude;
+  }
+
+  return result;
+}
+
+/** Return a copy of a JPEG buffer with its GPS data removed.
+ *
+ * The image itself isn't re-encoded. Other EXIF data (camera, capture time,
+ * orientation) is kept, unless it can't be rewritten, in which case all
+ * EXIF data is removed.
+ *
+ * Throws BadRequestError for other image types that carry GPS data, since
+ * their location can't be removed.
+ */
+
+async function stripGps(buffer, mimetype) {
+  if (mimetype !== "image/jpeg") {
+    const { latitude } = await readExif(buffer);
+    if (latitude === null) return buffer;
+    throw new BadRequestError("Removing location data is only supported for JPEG images");
+  }
+
+  const jpeg = buffer.toString("binary");
+  let stripped;
+  try {
+    const exif = piexif.load(jpeg);
+    exif.GPS = {};
+    stripped = piexif.insert(piexif.dump(exif), jpeg);
+  } catch (err) {
+    try {
+      stripped = piexif.remove(jpeg);
+    } catch (err) {
+      // No EXIF segment at all, so there is no GPS data to remove
+      return buffer;
+    }
+  }
+
+  return Buffer.from(stripped, "binary");
+}
+
+module.exports = {
+  readExif,
+  stripGps,
+};
@@ -0,0 +1,60 @@
+"use strict";
+
+/** Helpers for building GeoJSON (RFC 7946) from geotagged images. */
+
+/** Given geotagged images in capture order, return a FeatureCollection with
+ * a Point feature for each image and, for each trip with two or more
+ * points, a LineString tracing the route between them.
+ *
+ * images is [{ id, tripId, tripTitle, fileUrl, variants, caption, takenAt,
+ *              latitude, longitude, locationSource, tags }, ...]
+ * and should be grouped by trip, as returned by Trip.getMapImages and
+ * Trip.getUserMapImages.
+ *
+ * GeoJSON positions are [longitude, latitude].
+ */
+
+function imagesToFeatureCollection(images) {
+  const points = [];
+  const routes = new Map();
+
+  for (let image of images) {
+    const coordinates = [image.longitude, image.latitude];
+
+    points.push({
+      type: "Feature",
+      geometry: { type: "Point", coordinates },
+      properties: {
+        kind: "image",
+        imageId: image.id,
+        tripId: image.tripId,
+        tripTitle: image.tripTitle,
+        fileUrl: image.fileUrl,
+        variants: image.variants,
+        caption: image.caption,
+        takenAt: image.takenAt,
+        locationSource: image.locationSource,
+        tags: image.tags.map(t => t.name),
+      },
+    });
+
+    if (!routes.has(image.tripId)) {
+      routes.set(image.tripId, { tripTitle: image.tripTitle, coordinates: [] });
+    }
+    routes.get(image.tripId).coordinates.push(coordinates);
+  }
+
+  const lines = [];
+  for (let [tripId, { tripTitle, coordinates }] of routes) {
+    if (coordinates.length < 2) continue;
+    lines.push({
+      type: "Feature",
+      geometry: { type: "LineString", coordinates },
+      properties: { kind: "route", tripId, tripTitle },
+    });
+  }
+
+  return { type: "FeatureCollection", features: [...points, ...lines] };
+}
+
+module.exports = { imagesToFeatureCollection };
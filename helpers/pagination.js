@@ -0,0 +1,56 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+
+/** Helpers for cursor-based pagination.
+ *
+ * A cursor holds the sort-key values of the last row on a page, e.g.
+ * [tripId] or [title, tripId]. Clients get it as an opaque string and pass
+ * it back unchanged to fetch the next page.
+ */
+
+/** Return an opaque cursor string for the given sort-key values. */
+
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString("base64url");
+}
+
+/** Return the sort-key values stored in a cursor string.
+ *
+ * Throws BadRequestError if the cursor can't be read.
+ */
+
+function decodeCursor(cursor) {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!Array.isArray(values)) throw new Error();
+    return values;
+  } catch (err) {
+    throw new BadRequestError("Invalid cursor");
+  }
+}
+
+/** Given the rows of a query that asked for limit + 1 rows, return
+ * { rows, nextCursor } for one page of `limit` rows.
+ *
+ * @param rows {Array} query results, up to limit + 1 of them
+ * @param limit {Number} page size
+ * @param cursorValues {Function} returns the sort-key values for a row
+ *
+ * nextCursor is null when there are no more rows.
+ */
+
+function paginate(rows, limit, cursorValues) {
+  const page = rows.slice(0, limit);
+  const nextCursor = rows.length > limit
+      ? encodeCursor(cursorValues(page[page.length - 1]))
+      : null;
+
+  return { rows: page, nextCursor };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  paginate,
+};
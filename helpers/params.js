@@ -0,0 +1,113 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+
+/** Helper for reading an integer from req.query or req.params.
+ *
+ * @param query {Object} req.query or req.params
+ * @param name {String} name of the parameter
+ * @param opts {Object} { min, max, defaultValue }
+ *
+ * @returns {Number} the parsed value, or defaultValue if the parameter is
+ *   missing
+ *
+ * Throws BadRequestError if the value isn't an integer within [min, max].
+ *
+ * @example parseIntParam({ limit: "10" }, "limit", { min: 1, max: 50 }) => 10
+ */
+
+function parseIntParam(query, name,
+    { min = -Infinity, max = Infinity, defaultValue } = {}) {
+  if (query[name] === undefined) return defaultValue;
+
+  const value = Number(query[name]);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    const range = max === Infinity ? `of at least ${min}` : `from ${min} to ${max}`;
+    throw new BadRequestError(`${name} must be an integer ${range}`);
+  }
+
+  return value;
+}
+
+/** Helper for reading "true" or "false" from req.query.
+ *
+ * Returns the boolean, or undefined if the parameter is missing.
+ *
+ * Throws BadRequestError for any other value.
+ */
+
+function parseBoolParam(query, name) {
+  const value = query[name];
+  if (value === undefined) return undefined;
+  if (value === "true") return true;
+  if (value === "false") return false;
+  throw new BadRequestError(`${name} must be true or false`);
+}
+
+/** Helper for reading a "YYYY-MM-DD" date from req.query.
+ *
+ * Returns the date string, or undefined if the parameter is missing.
+ *
+ * Throws BadRequestError if the value isn't a valid date.
+ */
+
+function parseDateParam(query, name) {
+  const value = query[name];
+  if (value === undefined) return undefined;
+
+  // A repeated parameter (?startDate=a&startDate=b) arrives as an array
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    throw new BadRequestError(`${name} must be a date like 2024-01-31`);
+  }
+
+  // Date.parse accepts days past the end of the month (2024-02-30), which
+  // Postgres rejects, so the date must come back unchanged
+  const date = new Date(`${value}T00:00:00Z`);
+  if (isNaN(date) || date.toISOString().slice(0, 10) !== value) {
+    throw new BadRequestError(`${name} must be a date like 2024-01-31`);
+  }
+
+  return value;
+}
+
+/** Helper for reading the options of a trip listing from req.query.
+ *
+ * Query can include:
+ *   { tag, startDate, endDate, sort, cursor, limit }
+ *
+ * sorts is the list of allowed sort names (Trip.SORTS).
+ *
+ * Returns an options object for Trip.findAll.
+ *
+ * Throws BadRequestError on invalid values.
+ */
+
+function parseTripListParams(query, sorts) {
+  const { tag, sort, cursor } = query;
+
+  if (sort !== undefined && !sorts.includes(sort)) {
+    throw new BadRequestError(`sort must be one of: ${sorts.join(", ")}`);
+  }
+  if (tag !== undefined && (typeof tag !== "string" || tag.length === 0)) {
+    throw new BadRequestError("tag must not be empty");
+  }
+  if (cursor !== undefined && typeof cursor !== "string") {
+    throw new BadRequestError("Invalid cursor");
+  }
+
+  return {
+    tag,
+    startDate: parseDateParam(query, "startDate"),
+    endDate: parseDateParam(query, "endDate"),
+    sort,
+    cursor,
+    limit: parseIntParam(query, "limit", { min: 1, max: 100, defaultValue: 20 }),
+  };
+}
+
+module.exports = {
+  parseIntParam,
+  parseBoolParam,
+  parseDateParam,
+  parseTripListParams,
+};
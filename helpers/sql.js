@@ -0,0 +1,86 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+
+/** Helper for making selective update queries.
+ *
+ * The calling function can use it to make the SET clause of an SQL UPDATE
+ * statement.
+ *
+ * @param dataToUpdate {Object} {field1: newVal, field2: newVal, ...}
+ * @param jsToSql {Object} maps js-style data fields to database column names,
+ *   like { firstName: "first_name", profImage: "profile_image" }
+ *
+ * @returns {Object} {sqlSetCols, dataToUpdate}
+ *
+ * @example {firstName: 'Aliya', about: 'Hi'} =>
+ *   { setCols: '"first_name"=$1, "about"=$2',
+ *     values: ['Aliya', 'Hi'] }
+ */
+
+function sqlForPartialUpdate(dataToUpdate, jsToSql) {
+  const keys = Object.keys(dataToUpdate);
+  if (keys.length === 0) throw new BadRequestError("No data");
+
+  // {firstName: 'Aliya', about: 'Hi'} => ['"first_name"=$1', '"about"=$2']
+  const cols = keys.map((colName, idx) =>
+      `"${jsToSql[colName] || colName}"=$${idx + 1}`,
+  );
+
+  return {
+    setCols: cols.join(", "),
+    values: Object.values(dataToUpdate),
+  };
+}
+
+/** Helper for limiting a query to the trips a viewer may see.
+ *
+ * Returns an SQL condition for a WHERE clause. The query must have trips
+ * aliased as `tripAlias` joined to their owner aliased as `userAlias`.
+ *
+ * A viewer sees their own trips, and other people's public trips and
+ * followers-only trips of users they follow, unless a moderator has hidden
+ * them. Anonymous viewers (a NULL username) see only public trips.
+ *
+ * @param viewerVarIdx {Number} index of the query parameter holding the
+ *   viewer's username, or null
+ *
+ * @example sqlForVisibleTrips(2) =>
+ *   '(u.username = $2 OR (t.hidden_at IS NULL AND ...))'
+ */
+
+function sqlForVisibleTrips(viewerVarIdx, tripAlias = "t", userAlias = "u") {
+  const viewer = `$${viewerVarIdx}::text`;
+
+  return `(${userAlias}.username = ${viewer}
+           OR (${tripAlias}.hidden_at IS NULL
+               AND (${tripAlias}.visibility = 'public'
+                    OR (${tripAlias}.visibility = 'followers'
+                        AND EXISTS (SELECT 1
+                                    FROM follows AS "vf"
+                                    JOIN users AS "vu" ON vf.user_following_id = vu.id
+                                    WHERE vu.username = ${viewer}
+                                      AND vf.user_being_followed_id = ${tripAlias}.user_id)))))`;
+}
+
+/** Helper for leaving hidden images out of a query, except for their owner.
+ *
+ * Returns an SQL condition for a WHERE clause. The query must have images
+ * aliased as `imageAlias` and their trip's owner aliased as `userAlias`.
+ * Use it along with sqlForVisibleTrips.
+ *
+ * @param viewerVarIdx {Number} index of the query parameter holding the
+ *   viewer's username, or null
+ *
+ * @example sqlForVisibleImages(2) => '(i.hidden_at IS NULL OR u.username = $2::text)'
+ */
+
+function sqlForVisibleImages(viewerVarIdx, imageAlias = "i", userAlias = "u") {
+  return `(${imageAlias}.hidden_at IS NULL OR ${userAlias}.username = $${viewerVarIdx}::text)`;
+}
+
+module.exports = {
+  sqlForPartialUpdate,
+  sqlForVisibleTrips,
+  sqlForVisibleImages,
+};
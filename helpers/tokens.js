@@ -1,15 +1,66 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const {
+  SECRET_KEY,
+  PREVIOUS_SECRET_KEYS,
+  ACCESS_TOKEN_TTL,
+} = require("../config");
+const { UnauthorizedError } = require("../expressError");
 
-/** return signed JWT from user data. */
+/** return signed JWT from user data.
+ *
+ * The token is short-lived (ACCESS_TOKEN_TTL seconds) and tied to a login
+ * session (see models/session.js), so it stops working when the session is
+ * logged out. Clients get a new one with their refresh token.
+ */
 
-function createToken(user) {
+function createToken(user, sessionId) {
 
   let payload = {
     username: user.username,
+    isAdmin: user.isAdmin || false,
+    sid: sessionId,
   };
 
-  return jwt.sign(payload, SECRET_KEY);
+  return jwt.sign(payload, SECRET_KEY, { expiresIn: ACCESS_TOKEN_TTL });
 }
 
-module.exports = { createToken };
\ No newline at end of file
+/** Verify a JWT made by createToken and return its payload.
+ *
+ * Tokens signed with one of PREVIOUS_SECRET_KEYS are still accepted, so
+ * changing SECRET_KEY doesn't log everyone out at once.
+ *
+ * Throws UnauthorizedError if the token is expired, invalid, or from before
+ * tokens were tied to sessions.
+ */
+
+function verifyToken(token) {
+  for (let secret of [SECRET_KEY, ...PREVIOUS_SECRET_KEYS]) {
+    let payload;
+    try {
+      payload = jwt.verify(token, secret);
+    } catch (err) {
+      if (err instanceof jwt.TokenExpiredError) {
+        throw new UnauthorizedError("Token expired");
+      }
+      continue;
+    }
+    if (!payload.sid) break;
+    return payload;
+  }
+  throw new UnauthorizedError("Invalid token");
+}
+
+/** Return a new random refresh token. Only its hash is stored. */
+
+function createRefreshToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+/** Return the SHA-256 hash of a refresh token, as stored in the DB. */
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+module.exports = { createToken, verifyToken, createRefreshToken, hashToken };
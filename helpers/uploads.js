@@ -0,0 +1,130 @@
+"use strict";
+
+/** Helpers for accepting uploaded image files. */
+
+const crypto = require("crypto");
+const multer = require("multer");
+const { BadRequestError } = require("../expressError");
+
+/** Image types we accept, with the file extension used in storage keys. */
+
+const IMAGE_TYPES = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/heic": "heic",
+};
+
+// ISO BMFF brands used by HEIC/HEIF photos (e.g. from iPhones)
+const HEIC_BRANDS = ["heic", "heix", "heim", "heis", "hevc", "hevx", "mif1", "msf1"];
+
+/** Wrap multer middleware so files over maxBytes, extra files and malformed
+ * uploads are rejected with BadRequestError instead of multer's own errors.
+ */
+
+function withUploadErrors(upload, maxBytes) {
+  return function (req, res, next) {
+    upload(req, res, function (err) {
+      if (err instanceof multer.MulterError) {
+        if (err.code === "LIMIT_FILE_SIZE") {
+          const mb = Math.round(maxBytes / (1024 * 1024) * 10) / 10;
+          return next(new BadRequestError(`File is too large; the limit is ${mb} MB`));
+        }
+        return next(new BadRequestError(`Invalid upload: ${err.message}`));
+      }
+      return next(err);
+    });
+  };
+}
+
+/** Return middleware that reads one image file from multipart field `field`
+ * into memory, as req.file.
+ */
+
+function singleImage(field, maxBytes) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+  }).single(field);
+
+  return withUploadErrors(upload, maxBytes);
+}
+
+/** Return middleware that reads up to maxFiles image files from multipart
+ * field `field` into memory, as req.files.
+ */
+
+function imageArray(field, maxFiles, maxBytes) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: maxFiles },
+  }).array(field, maxFiles);
+
+  return withUploadErrors(upload, maxBytes);
+}
+
+/** Return an image's type from its first bytes ("magic bytes"), or null if it
+ * isn't one of IMAGE_TYPES. Doesn't look at the name or type the client sent.
+ */
+
+function sniffImageType(buffer) {
+  if (buffer.length >= 3 &&
+      buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (buffer.length >= 8 &&
+      buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return "image/png";
+  }
+  if (buffer.length >= 12 &&
+      buffer.toString("latin1", 0, 4) === "RIFF" &&
+      buffer.toString("latin1", 8, 12) === "WEBP") {
+    return "image/webp";
+  }
+  if (buffer.length >= 12 &&
+      buffer.toString("latin1", 4, 8) === "ftyp" &&
+      HEIC_BRANDS.includes(buffer.toString("latin1", 8, 12))) {
+    return "image/heic";
+  }
+  return null;
+}
+
+/** Check that an uploaded file really is an accepted image.
+ *
+ * Returns its content type, as read from the file itself.
+ *
+ * Throws BadRequestError if it isn't JPEG, PNG, WebP or HEIC.
+ */
+
+function checkImageType(file) {
+  const type = sniffImageType(file.buffer);
+  if (!type) {
+    throw new BadRequestError("Unsupported file type; upload a JPEG, PNG, WebP or HEIC image");
+  }
+  return type;
+}
+
+/** Return a new storage key under `prefix` for an image of content type
+ * `type`. Keys are random, so uploads never overwrite each other.
+ */
+
+function imageKey(prefix, type) {
+  return `${prefix}/${crypto.randomUUID()}.${IMAGE_TYPES[type]}`;
+}
+
+/** Return the SHA-256 hash of a file's contents, as hex. */
+
+function contentHash(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+
+module.exports = {
+  IMAGE_TYPES,
+  singleImage,
+  imageArray,
+  sniffImageType,
+  checkImageType,
+  imageKey,
+  contentHash,
+};
@@ -0,0 +1,125 @@
+"use strict";
+
+/** Resized copies ("variants") of uploaded images.
+ *
+ * Every stored image has a variants object:
+ *   { thumbnail, medium, original }
+ * of URLs. thumbnail and medium are scaled down to fit within
+ * VARIANT_SIZES pixels (never scaled up); original is the upload as stored.
+ */
+
+const sharp = require("sharp");
+const storage = require("../storage");
+
+const VARIANT_SIZES = {
+  thumbnail: 320,
+  medium: 1280,
+};
+
+/** Output formats for resized variants, by upload content type. Anything
+ * else is converted to JPEG.
+ */
+
+const OUTPUT_FORMATS = {
+  "image/png": { format: "png", ext: "png", contentType: "image/png" },
+  "image/webp": { format: "webp", ext: "webp", contentType: "image/webp" },
+};
+const JPEG = { format: "jpeg", ext: "jpg", contentType: "image/jpeg" };
+
+/** Return a variants object where every size is the same URL. Used for images
+ * that couldn't be resized, and for images stored before variants existed.
+ */
+
+function sameForAll(url) {
+  return { thumbnail: url, medium: url, original: url };
+}
+
+/** Scale an image down to fit in a size x size box.
+ *
+ * The result is rotated to match its EXIF orientation and has no metadata,
+ * so no GPS location is carried over.
+ */
+
+async function resize(body, size, format) {
+  return sharp(body)
+      .rotate()
+      .resize({ width: size, height: size, fit: "inside", withoutEnlargement: true })
+      .toFormat(format)
+      .toBuffer();
+}
+
+/** Store a resized copy of an image for each of VARIANT_SIZES, next to the
+ * original, which is already stored under `key` at `fileUrl`.
+ *
+ * If the image can't be resized (e.g. a format sharp can't read), the error
+ * is logged and every variant points at the original.
+ *
+ * Returns variants
+ */
+
+async function putVariants(key, fileUrl, body, contentType) {
+  const variants = sameForAll(fileUrl);
+  const output = OUTPUT_FORMATS[contentType] || JPEG;
+
+  let resized;
+  try {
+    resized = await Promise.all(Object.values(VARIANT_SIZES)
+        .map(size => resize(body, size, output.format)));
+  } catch (err) {
+    console.error("Could not resize image:", err.message);
+    return variants;
+  }
+
+  // "tripimages/abc.png" => "tripimages/abc-thumbnail.png", etc.
+  const baseKey = key.replace(/\.[^./]*$/, "");
+  const names = Object.keys(VARIANT_SIZES);
+  for (let i = 0; i < names.length; i++) {
+    const variantKey = `${baseKey}-${names[i]}.${output.ext}`;
+    variants[names[i]] = await storage.put(variantKey, resized[i], output.contentType);
+  }
+
+  return variants;
+}
+
+/** Store an uploaded image under `key`, plus its resized variants (see
+ * putVariants).
+ *
+ * Returns { fileUrl, variants }
+ */
+
+async function putImage(key, body, contentType) {
+  const fileUrl = await storage.put(key, body, contentType);
+  const variants = await putVariants(key, fileUrl, body, contentType);
+
+  return { fileUrl, variants };
+}
+
+/** Remove a stored image and its variants. Files that aren't in our
+ * storage (e.g. the default profile image) are left alone.
+ *
+ * Never throws: failures are logged, since the database no longer refers
+ * to the files.
+ */
+
+async function deleteImage({ fileUrl, variants }) {
+  const urls = new Set([fileUrl, ...Object.values(variants || {})]);
+
+  for (let url of urls) {
+    const key = storage.keyFromUrl(url);
+    if (!key) continue;
+    try {
+      await storage.delete(key);
+    } catch (err) {
+      console.error("Could not remove image file:", err.message);
+    }
+  }
+}
+
+
+module.exports = {
+  VARIANT_SIZES,
+  sameForAll,
+  putVariants,
+  putImage,
+  deleteImage,
+};
@@ -0,0 +1,122 @@
+"use strict";
+
+/** Background jobs.
+ *
+ * Every job type has a handler module with the same interface:
+ *   TYPE: the job type's name
+ *   run(payload): does the work; throws to have the job retried
+ *   onFailure(payload, err): optional; called once the job has used up its
+ *     attempts
+ *
+ * Jobs are queued with enqueue and run by worker processes (see worker.js),
+ * which take them from the jobs table in models/job.js.
+ */
+
+const Job = require("../models/job");
+const processImage = require("./processImage");
+const { JOB_POLL_MS, JOB_TIMEOUT_MS } = require("../config");
+
+const HANDLERS = {
+  [processImage.TYPE]: processImage,
+};
+
+/** Add a job of the given type to the queue.
+ *
+ * Returns { id }
+ */
+
+async function enqueue(type, payload) {
+  if (!HANDLERS[type]) throw new Error(`Unknown job type: ${type}`);
+  return Job.enqueue(type, payload);
+}
+
+/** Call a handler's onFailure, if it has one, for a job that has used up
+ * its attempts; returns undefined.
+ */
+
+async function handleFailure(job, err) {
+  const handler = HANDLERS[job.type];
+  if (handler && handler.onFailure) await handler.onFailure(job.payload, err);
+}
+
+/** Claim and run the next due job, if there is one.
+ *
+ * While the job runs, its lock is renewed every third of JOB_TIMEOUT_MS, so
+ * only jobs whose worker has died are claimed again. Jobs that died on
+ * their last attempt are failed first.
+ *
+ * Returns true if a job was run, whether or not it succeeded, and false if
+ * there was nothing to do.
+ */
+
+async function runNextJob() {
+  for (let stale of await Job.failTimedOut(JOB_TIMEOUT_MS)) {
+    console.error(`Job ${stale.id} (${stale.type}) timed out on its last attempt; giving up`);
+    await handleFailure(stale, new Error("Timed out"));
+  }
+
+  const job = await Job.claim(JOB_TIMEOUT_MS);
+  if (!job) return false;
+
+  const heartbeat = setInterval(function () {
+    Job.touch(job.id).catch(err => console.error("Could not renew job lock:", err.message));
+  }, JOB_TIMEOUT_MS / 3);
+
+  const handler = HANDLERS[job.type];
+  try {
+    if (!handler) throw new Error(`Unknown job type: ${job.type}`);
+    await handler.run(job.payload);
+    await Job.complete(job.id);
+  } catch (err) {
+    const retry = await Job.fail(job, err);
+    console.error(`Job ${job.id} (${job.type}) failed on attempt ${job.attempts}` +
+        `${retry ? "; will retry" : "; giving up"}:`, err.message);
+    if (!retry) await handleFailure(job, err);
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  return true;
+}
+
+/** Run jobs one after another, checking for new ones every pollMs when the
+ * queue is empty.
+ *
+ * Returns { stop }, where stop() resolves once the job being run, if any,
+ * has finished.
+ */
+
+function startWorker({ pollMs = JOB_POLL_MS } = {}) {
+  let stopping = false;
+  let timer;
+  let wake;
+
+  const done = (async () => {
+    while (!stopping) {
+      let ran = false;
+      try {
+        ran = await runNextJob();
+      } catch (err) {
+        console.error("Worker error:", err.message);
+      }
+      if (!ran && !stopping) {
+        await new Promise(resolve => {
+          wake = resolve;
+          timer = setTimeout(resolve, pollMs);
+        });
+      }
+    }
+  })();
+
+  return {
+    stop() {
+      stopping = true;
+      clearTimeout(timer);
+      if (wake) wake();
+      return done;
+    },
+  };
+}
+
+
+module.exports = { enqueue, runNextJob, startWorker };
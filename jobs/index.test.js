@@ -0,0 +1,143 @@
+"use strict";
+
+const sharp = require("sharp");
+
+const db = require("../db.js");
+const Job = require("../models/job");
+const Tag = require("../models/tag");
+const storage = require("../storage");
+const LocalTagger = require("../tagging/local");
+const processImage = require("./processImage");
+const { enqueue, runNextJob } = require("./index");
+const { commonBeforeEach, commonAfterAll } = require("../models/_testCommon");
+
+beforeEach(commonBeforeEach);
+afterEach(() => jest.restoreAllMocks());
+afterAll(commonAfterAll);
+
+async function getImage(id) {
+  const result = await db.query(
+        `SELECT status, file_url AS "fileUrl", variants
+         FROM images
+         WHERE id = $1`,
+      [id]);
+  return result.rows[0];
+}
+
+/** Store a PNG and add it to trip 1 as a pending image; returns
+ * { imageId, fileUrl }. */
+
+async function addPendingImage(name) {
+  const png = await sharp({
+    create: { width: 40, height: 40, channels: 3, background: "red" },
+  }).png().toBuffer();
+  const fileUrl = await storage.put(`tripimages/${name}.png`, png, "image/png");
+  const imageRes = await db.query(
+        `INSERT INTO images (trip_id, file_url, variants, status, position)
+         VALUES (1, $1, '{}', 'pending', 3)
+         RETURNING id`,
+      [fileUrl]);
+  return { imageId: imageRes.rows[0].id, fileUrl };
+}
+
+async function getTagNames(imageId) {
+  const tags = await Tag.attachToImages([{ id: imageId }]);
+  return tags[0].tags.map(t => t.name);
+}
+
+async function getJobStatus(id) {
+  const result = await db.query(`SELECT status FROM jobs WHERE id = $1`, [id]);
+  return result.rows[0].status;
+}
+
+/************************************** enqueue */
+
+describe("enqueue", function () {
+  test("rejects unknown job types", async function () {
+    await expect(enqueue("nope", {})).rejects.toThrow("Unknown job type: nope");
+  });
+});
+
+/************************************** runNextJob */
+
+describe("runNextJob", function () {
+  test("returns false if there's nothing to do", async function () {
+    expect(await runNextJob()).toEqual(false);
+  });
+
+  test("processes a pending image", async function () {
+    const { imageId, fileUrl } = await addPendingImage("job-test");
+    const { id } = await enqueue(processImage.TYPE, { imageId, stripGps: false });
+
+    expect(await runNextJob()).toEqual(true);
+
+    const image = await getImage(imageId);
+    expect(image.status).toEqual("ready");
+    expect(image.variants).toEqual({
+      thumbnail: expect.stringContaining("job-test-thumbnail.png"),
+      medium: expect.stringContaining("job-test-medium.png"),
+      original: fileUrl,
+    });
+    expect((await getTagNames(imageId)).length).toBeGreaterThan(0);
+    expect(await getJobStatus(id)).toEqual("done");
+  });
+
+  test("makes the image ready, untagged, if tagging fails", async function () {
+    jest.spyOn(LocalTagger.prototype, "detect").mockRejectedValue(new Error("Tagger is down"));
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    const { imageId, fileUrl } = await addPendingImage("untagged");
+    await Tag.addToImage(imageId, [{ name: "Mine", source: "user", confidence: null }]);
+    const { id } = await enqueue(processImage.TYPE, { imageId, stripGps: false });
+
+    expect(await runNextJob()).toEqual(true);
+
+    const image = await getImage(imageId);
+    expect(image.status).toEqual("ready");
+    expect(image.variants).toEqual({
+      thumbnail: expect.stringContaining("untagged-thumbnail.png"),
+      medium: expect.stringContaining("untagged-medium.png"),
+      original: fileUrl,
+    });
+    expect(await getTagNames(imageId)).toEqual(["Mine"]);
+    expect(await getJobStatus(id)).toEqual("done");
+    expect(error).toHaveBeenCalledWith(`Could not tag image ${imageId}:`, "Tagger is down");
+  });
+
+  test("finishes jobs whose image was deleted", async function () {
+    const { id } = await enqueue(processImage.TYPE, { imageId: 999 });
+
+    expect(await runNextJob()).toEqual(true);
+    expect(await getJobStatus(id)).toEqual("done");
+  });
+
+  test("marks the image failed when the last attempt fails", async function () {
+    // Image 1's file isn't in storage, so processing it fails
+    await db.query(`UPDATE images SET status = 'pending' WHERE id = 1`);
+    const { id } = await Job.enqueue(processImage.TYPE, { imageId: 1 }, { maxAttempts: 1 });
+
+    expect(await runNextJob()).toEqual(true);
+    expect(await getJobStatus(id)).toEqual("failed");
+    expect((await getImage(1)).status).toEqual("failed");
+  });
+
+  test("retries a failed job with attempts left", async function () {
+    const { id } = await enqueue(processImage.TYPE, { imageId: 1 });
+
+    expect(await runNextJob()).toEqual(true);
+    expect(await getJobStatus(id)).toEqual("queued");
+    expect((await getImage(1)).status).toEqual("ready");
+  });
+
+  test("fails a job whose worker died on its last attempt", async function () {
+    await db.query(`UPDATE images SET status = 'pending' WHERE id = 1`);
+    const { id } = await Job.enqueue(processImage.TYPE, { imageId: 1 }, { maxAttempts: 1 });
+    await Job.claim(1000);
+    await db.query(
+          `UPDATE jobs SET locked_at = NOW() - INTERVAL '1 day' WHERE id = $1`,
+        [id]);
+
+    expect(await runNextJob()).toEqual(false);
+    expect(await getJobStatus(id)).toEqual("failed");
+    expect((await getImage(1)).status).toEqual("failed");
+  });
+});
@@ -0,0 +1,79 @@
+"use strict";
+
+/** Job that finishes an uploaded trip image after the upload request has
+ * returned: stores resized variants, generates tags, and places the photo
+ * at a recognised landmark if it has no location of its own. Then marks
+ * the image ready.
+ *
+ * payload is { imageId, stripGps }, where stripGps means the uploader asked
+ * for the image not to be located.
+ */
+
+const Trip = require("../models/trip");
+const Tag = require("../models/tag");
+const storage = require("../storage");
+const { detectTags } = require("../tagging");
+const { putVariants } = require("../helpers/variants");
+const { sniffImageType } = require("../helpers/uploads");
+
+const TYPE = "process-image";
+
+/** Process the image. Safe to run again after a failure part way through.
+ *
+ * Throws if storage fails, so the job is retried. If tagging fails, the
+ * error is logged and the image is still made ready, with only the user's
+ * own tags.
+ */
+
+async function run({ imageId, stripGps }) {
+  const image = await Trip.getImageToProcess(imageId);
+  if (!image) return;  // deleted before it was processed
+
+  const key = storage.keyFromUrl(image.fileUrl);
+  if (!key) throw new Error(`Image ${imageId} isn't in storage: ${image.fileUrl}`);
+  const body = await storage.get(key);
+
+  const variants = await putVariants(key, image.fileUrl, body, sniffImageType(body));
+
+  let labels = [];
+  let landmarks = [];
+  try {
+    ({ labels, landmarks } = await detectTags(body));
+  } catch (err) {
+    console.error(`Could not tag image ${imageId}:`, err.message);
+  }
+
+  // Landmarks first, then the user's own tags, then generated labels
+  const landmarkTags = landmarks.map(l => ({ name: l.description, source: "landmark", confidence: l.score }));
+  const labelTags = labels.map(l => ({ name: l.description, source: "label", confidence: l.score }));
+  await Tag.addToImage(image.id, [...landmarkTags, ...labelTags]);
+  await Tag.setForImage(image.id, [
+    ...landmarkTags.map(t => t.name),
+    ...image.tags.map(t => t.name),
+    ...labelTags.map(t => t.name),
+  ]);
+
+  let location = { latitude: null, longitude: null, locationSource: null };
+  if (!stripGps && image.latitude === null) {
+    const latLng = landmarks
+        .flatMap(l => l.locations || [])
+        .map(loc => loc.latLng)
+        .find(Boolean);
+    if (latLng) {
+      location = { latitude: latLng.latitude, longitude: latLng.longitude, locationSource: "landmark" };
+    }
+  }
+
+  await Trip.finishProcessing(image.id, { variants, ...location });
+}
+
+/** Once the job has used up its attempts, mark the image failed. It stays
+ * in the trip, with whatever tags it had and no resized variants.
+ */
+
+async function onFailure({ imageId }) {
+  await Trip.setImageStatus(imageId, "failed");
+}
+
+
+module.exports = { TYPE, run, onFailure };
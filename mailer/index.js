@@ -0,0 +1,30 @@
+"use strict";
+
+/** Outgoing email.
+ *
+ * Every driver has the same interface:
+ *   send({ to, subject, text }) => undefined
+ *
+ * The driver is picked with the MAIL_DRIVER setting in config.js.
+ */
+
+const { MAIL_DRIVER, SMTP_URL, MAIL_FROM, OUTBOX_DIR } = require("../config");
+const SmtpMailer = require("./smtp");
+const OutboxMailer = require("./outbox");
+
+function createMailer(driver) {
+  switch (driver) {
+    case "smtp":
+      if (!SMTP_URL) console.warn("SMTP_URL is not set; no email will be sent".red);
+      return new SmtpMailer({ url: SMTP_URL, from: MAIL_FROM });
+    case "outbox":
+      return new OutboxMailer({ dir: OUTBOX_DIR, from: MAIL_FROM });
+    default:
+      throw new Error(`Unknown mail driver: ${driver}`);
+  }
+}
+
+const mailer = createMailer(MAIL_DRIVER);
+
+
+module.exports = mailer;
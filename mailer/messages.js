@@ -0,0 +1,77 @@
+"use strict";
+
+/** The emails the app sends. Each function returns { to, subject, text }
+ * for mailer.send.
+ */
+
+const {
+  APP_URL,
+  PASSWORD_RESET_TTL,
+  EMAIL_VERIFICATION_TTL,
+} = require("../config");
+
+/** Email with a link for resetting a forgotten password.
+ *
+ * user is { username, email, firstName }
+ */
+
+function passwordResetMessage(user, token) {
+  const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+  const minutes = Math.round(PASSWORD_RESET_TTL / 60);
+
+  return {
+    to: user.email,
+    subject: "Reset your TravelBuddy password",
+    text: `Hi ${user.firstName},
+
+Someone asked to reset the password for your TravelBuddy account, ${user.username}.
+To choose a new password, follow this link within ${minutes} minutes:
+
+${link}
+
+If you didn't ask for this, you can ignore this email; your password won't change.
+`,
+  };
+}
+
+/** Email telling a user their password was changed. */
+
+function passwordChangedMessage(user) {
+  return {
+    to: user.email,
+    subject: "Your TravelBuddy password was changed",
+    text: `Hi ${user.firstName},
+
+The password for your TravelBuddy account, ${user.username}, was just changed,
+and you've been logged out everywhere else.
+
+If this wasn't you, reset your password at ${APP_URL}/forgot-password right away.
+`,
+  };
+}
+
+
+/** Email with a link for confirming the user owns their email address. */
+
+function verifyEmailMessage(user, token) {
+  const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+  const hours = Math.round(EMAIL_VERIFICATION_TTL / (60 * 60));
+
+  return {
+    to: user.email,
+    subject: "Confirm your TravelBuddy email address",
+    text: `Hi ${user.firstName},
+
+Please confirm that this is the email address for your TravelBuddy account,
+${user.username}, by following this link within ${hours} hours:
+
+${link}
+
+Until you do, the trips you share can't be public.
+If you didn't sign up for TravelBuddy, you can ignore this email.
+`,
+  };
+}
+
+
+module.exports = { passwordResetMessage, passwordChangedMessage, verifyEmailMessage };
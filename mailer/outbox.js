@@ -0,0 +1,34 @@
+"use strict";
+
+/** Mail driver that writes each message to a JSON file on local disk instead
+ * of sending it. Meant for development and tests, so no mail server is
+ * needed; read the files to follow links in the messages.
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+class OutboxMailer {
+  constructor({ dir, from }) {
+    this.dir = path.resolve(dir);
+    this.from = from;
+  }
+
+  /** Write a message to the outbox; returns undefined.
+   *
+   * Files are named so they sort by when they were written.
+   */
+
+  async send({ to, subject, text }) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const sentAt = new Date().toISOString();
+    const name = `${sentAt.replace(/[:.]/g, "-")}-${crypto.randomUUID()}.json`;
+    const message = { from: this.from, to, subject, text, sentAt };
+    await fs.writeFile(path.join(this.dir, name), JSON.stringify(message, null, 2));
+  }
+}
+
+
+module.exports = OutboxMailer;
@@ -0,0 +1,33 @@
+"use strict";
+
+/** Mail driver that sends through an SMTP server.
+ *
+ * The connection to the server is set up on the first send, so the app
+ * still starts without SMTP_URL; sending then fails, and callers log it.
+ */
+
+const nodemailer = require("nodemailer");
+
+class SmtpMailer {
+  constructor({ url, from }) {
+    this.url = url;
+    this.from = from;
+    this.transport = null;
+  }
+
+  /** Send a plain-text email; returns undefined.
+   *
+   * Throws if SMTP_URL isn't set, or the server refuses the message.
+   */
+
+  async send({ to, subject, text }) {
+    if (!this.transport) {
+      if (!this.url) throw new Error("SMTP_URL must be set to send mail over SMTP");
+      this.transport = nodemailer.createTransport(this.url);
+    }
+    await this.transport.sendMail({ from: this.from, to, subject, text });
+  }
+}
+
+
+module.exports = SmtpMailer;
@@ -2,32 +2,51 @@
 
 /** Convenience middleware to handle common auth cases in routes. */
 
-const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
-const { UnauthorizedError } = require("../expressError");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
+const { verifyToken } = require("../helpers/tokens");
+const Trip = require("../models/trip");
+const Session = require("../models/session");
 
 
 /** Middleware: Authenticate user.
  *
- * If a token was provided, verify it, and, if valid, store the token payload
- * on res.locals (this will include the username and isAdmin field.)
+ * If a token was provided, verify it, and, if valid and its session hasn't
+ * been logged out, store the token payload on res.locals (this will include
+ * the username, isAdmin and sid fields.)
  *
- * It's not an error if no token was provided or if the token is not valid.
+ * It's not an error if no token was provided or if the token is not valid:
+ * the request goes ahead as anonymous. Expired, invalid and revoked tokens
+ * are kept on res.locals.authError, so routes that need a user can say why
+ * they didn't get one (and clients know to refresh).
  */
 
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
+  const authHeader = req.headers && req.headers.authorization;
+  if (!authHeader) return next();
+
   try {
-    const authHeader = req.headers && req.headers.authorization;
-    if (authHeader) {
-      const token = authHeader.replace(/^[Bb]earer /, "").trim();
-      res.locals.user = jwt.verify(token, SECRET_KEY);
+    const token = authHeader.replace(/^[Bb]earer /, "").trim();
+    const payload = verifyToken(token);
+    if (!(await Session.isActive(payload.sid))) {
+      throw new UnauthorizedError("Session has been logged out");
     }
+    res.locals.user = payload;
     return next();
   } catch (err) {
+    if (!(err instanceof UnauthorizedError)) return next(err);
+    res.locals.authError = err;
     return next();
   }
 }
 
+/** Return the error for a request that needed a logged-in user: the reason
+ * its token was rejected, if it had one, else a plain Unauthorized.
+ */
+
+function unauthorized(res) {
+  return res.locals.authError || new UnauthorizedError();
+}
+
 /** Middleware to use when they must be logged in.
  *
  * If not, raises Unauthorized.
@@ -35,7 +54,85 @@ function authenticateJWT(req, res, next) {
 
 function ensureLoggedIn(req, res, next) {
   try {
-    if (!res.locals.user) throw new UnauthorizedError();
+    if (!res.locals.user) throw unauthorized(res);
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/** Middleware to use when they must be an admin.
+ *
+ * If not logged in, raises Unauthorized. If logged in but not an admin,
+ * raises Forbidden.
+ */
+
+function ensureAdmin(req, res, next) {
+  try {
+    const user = res.locals.user;
+    if (!user) throw unauthorized(res);
+    if (!user.isAdmin) throw new ForbiddenError();
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/** Middleware to use when they must be the user in the :username route param.
+ *
+ * If not logged in, raises Unauthorized. If logged in as someone else,
+ * raises Forbidden.
+ */
+
+function ensureCorrectUser(req, res, next) {
+  try {
+    const user = res.locals.user;
+    if (!user) throw unauthorized(res);
+    if (user.username !== req.params.username) throw new ForbiddenError();
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/** Middleware to use when they must be the user in the :username route
+ * param, or an admin.
+ *
+ * If not logged in, raises Unauthorized. If logged in as someone else who
+ * isn't an admin, raises Forbidden.
+ */
+
+function ensureCorrectUserOrAdmin(req, res, next) {
+  try {
+    const user = res.locals.user;
+    if (!user) throw unauthorized(res);
+    if (user.username !== req.params.username && !user.isAdmin) {
+      throw new ForbiddenError();
+    }
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/** Middleware to use when they must own the trip in the :id route param.
+ *
+ * Loads the trip with Trip.get (so a missing trip, or one hidden from the
+ * user, raises NotFound) and stores it on res.locals.trip for the route to use.
+ *
+ * If not logged in, raises Unauthorized. If the trip belongs to someone else,
+ * raises Forbidden.
+ */
+
+async function ensureTripOwner(req, res, next) {
+  try {
+    const user = res.locals.user;
+    if (!user) throw unauthorized(res);
+
+    const trip = await Trip.get(req.params.id, user.username);
+    if (trip.username !== user.username) throw new ForbiddenError();
+
+    res.locals.trip = trip;
     return next();
   } catch (err) {
     return next(err);
@@ -44,5 +141,9 @@ function ensureLoggedIn(req, res, next) {
 
 module.exports = {
   authenticateJWT,
-  ensureLoggedIn
+  ensureLoggedIn,
+  ensureAdmin,
+  ensureCorrectUser,
+  ensureCorrectUserOrAdmin,
+  ensureTripOwner,
 };
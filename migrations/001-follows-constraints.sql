@@ -0,0 +1,16 @@
+-- Make follows unique per (follower, followed) pair and forbid self-follows.
+
+DELETE FROM follows
+WHERE user_following_id = user_being_followed_id
+   OR user_following_id IS NULL
+   OR user_being_followed_id IS NULL;
+
+DELETE FROM follows AS a
+USING follows AS b
+WHERE a.ctid < b.ctid
+  AND a.user_following_id = b.user_following_id
+  AND a.user_being_followed_id = b.user_being_followed_id;
+
+ALTER TABLE follows
+  ADD PRIMARY KEY (user_following_id, user_being_followed_id),
+  ADD CHECK (user_following_id <> user_being_followed_id);
@@ -0,0 +1,11 @@
+-- Add the admin flag to users and status tracking to suggestions.
+
+ALTER TABLE users
+  ADD COLUMN is_admin BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE suggestions
+  ADD COLUMN status VARCHAR(10) NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'accepted', 'rejected')),
+  ADD COLUMN response TEXT,
+  ADD COLUMN created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  ADD COLUMN responded_at TIMESTAMP;
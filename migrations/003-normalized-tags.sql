@@ -0,0 +1,43 @@
+-- Move image tags out of images.tag1..tag5 into tags / image_tags.
+
+CREATE TABLE tags (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) UNIQUE NOT NULL
+);
+
+CREATE TABLE image_tags (
+  image_id INTEGER REFERENCES images ON DELETE CASCADE,
+  tag_id INTEGER REFERENCES tags ON DELETE CASCADE,
+  source VARCHAR(10) NOT NULL
+    CHECK (source IN ('label', 'landmark', 'user')),
+  confidence REAL,
+  position INTEGER NOT NULL,
+  PRIMARY KEY (image_id, tag_id)
+);
+
+CREATE INDEX image_tags_tag_id_idx ON image_tags (tag_id);
+
+CREATE TEMPORARY TABLE old_image_tags AS
+  SELECT id AS image_id, t.name, t.position
+  FROM images,
+       LATERAL (VALUES (tag1, 1), (tag2, 2), (tag3, 3), (tag4, 4), (tag5, 5))
+         AS t(name, position)
+  WHERE t.name IS NOT NULL;
+
+INSERT INTO tags (name)
+SELECT DISTINCT name FROM old_image_tags;
+
+-- The old columns didn't record where a tag came from or how confident the
+-- provider was, so existing tags are stored as labels with no score.
+INSERT INTO image_tags (image_id, tag_id, source, position)
+SELECT DISTINCT ON (o.image_id, t.id) o.image_id, t.id, 'label', o.position
+FROM old_image_tags AS o
+JOIN tags AS t ON t.name = o.name
+ORDER BY o.image_id, t.id, o.position;
+
+ALTER TABLE images
+  DROP COLUMN tag1,
+  DROP COLUMN tag2,
+  DROP COLUMN tag3,
+  DROP COLUMN tag4,
+  DROP COLUMN tag5;
@@ -0,0 +1,13 @@
+-- Indexes for full-text search (GET /search).
+-- These expressions must match models/search.js
+
+CREATE INDEX trips_search_idx ON trips
+  USING GIN (to_tsvector('english', title));
+
+CREATE INDEX users_search_idx ON users
+  USING GIN ((setweight(to_tsvector('english',
+                username || ' ' ||
+                COALESCE(first_name, '') || ' ' ||
+                COALESCE(last_name, '')), 'A') ||
+              setweight(to_tsvector('english',
+                COALESCE(about, '')), 'B')));
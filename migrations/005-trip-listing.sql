@@ -0,0 +1,9 @@
+-- Creation dates for filtering trip listings, and indexes for loading a
+-- user's trips and a trip's images.
+
+ALTER TABLE trips
+  ADD COLUMN created_at TIMESTAMP NOT NULL DEFAULT NOW();
+
+CREATE INDEX trips_user_id_idx ON trips (user_id);
+
+CREATE INDEX images_trip_id_idx ON images (trip_id);
@@ -0,0 +1,12 @@
+-- Descriptions, travel dates, destinations and update times for trips.
+
+ALTER TABLE trips
+  ADD COLUMN description TEXT,
+  ADD COLUMN start_date DATE,
+  ADD COLUMN end_date DATE,
+  ADD COLUMN country VARCHAR(100),
+  ADD COLUMN city VARCHAR(100),
+  ADD COLUMN updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  ADD CONSTRAINT trips_dates_check CHECK (end_date >= start_date);
+
+UPDATE trips SET updated_at = created_at;
@@ -0,0 +1,5 @@
+-- Visibility setting for trips: public, followers-only or private.
+
+ALTER TABLE trips
+  ADD COLUMN visibility VARCHAR(10) NOT NULL DEFAULT 'public'
+    CHECK (visibility IN ('public', 'followers', 'private'));
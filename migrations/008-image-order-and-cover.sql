@@ -0,0 +1,16 @@
+-- Explicit image order within a trip, and a chosen cover image per trip.
+
+ALTER TABLE images
+  ADD COLUMN position INTEGER;
+
+UPDATE images AS i
+SET position = o.position
+FROM (SELECT id, ROW_NUMBER() OVER (PARTITION BY trip_id ORDER BY id) AS position
+      FROM images) AS o
+WHERE i.id = o.id;
+
+ALTER TABLE images
+  ALTER COLUMN position SET NOT NULL;
+
+ALTER TABLE trips
+  ADD COLUMN cover_image_id INTEGER REFERENCES images ON DELETE SET NULL;
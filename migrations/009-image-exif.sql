@@ -0,0 +1,7 @@
+-- Capture time, camera and GPS location read from photos' EXIF data.
+
+ALTER TABLE images
+  ADD COLUMN taken_at TIMESTAMP,
+  ADD COLUMN camera_model TEXT,
+  ADD COLUMN latitude DOUBLE PRECISION,
+  ADD COLUMN longitude DOUBLE PRECISION;
@@ -0,0 +1,10 @@
+-- Where an image's coordinates came from: the photo's own GPS data, or
+-- a landmark recognised in it when the photo had none.
+
+ALTER TABLE images
+  ADD COLUMN location_source TEXT
+    CHECK (location_source IN ('exif', 'landmark'));
+
+UPDATE images
+  SET location_source = 'exif'
+  WHERE latitude IS NOT NULL;
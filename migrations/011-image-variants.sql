@@ -0,0 +1,23 @@
+-- URLs of resized copies of each image: { thumbnail, medium, original }.
+-- Images stored before this have no resized copies, so every size points
+-- at the original.
+
+ALTER TABLE images
+  ADD COLUMN variants JSONB;
+
+UPDATE images
+  SET variants = jsonb_build_object('thumbnail', file_url,
+                                    'medium', file_url,
+                                    'original', file_url);
+
+ALTER TABLE images
+  ALTER COLUMN variants SET NOT NULL;
+
+ALTER TABLE users
+  ADD COLUMN profile_image_variants JSONB;
+
+UPDATE users
+  SET profile_image_variants = jsonb_build_object('thumbnail', profile_image,
+                                                  'medium', profile_image,
+                                                  'original', profile_image)
+  WHERE profile_image IS NOT NULL;
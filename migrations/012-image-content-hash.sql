@@ -0,0 +1,7 @@
+-- SHA-256 of each uploaded image file, so the same photo can't be added to
+-- a trip twice. Images stored before this have no hash and aren't checked.
+
+ALTER TABLE images
+  ADD COLUMN content_hash TEXT;
+
+CREATE UNIQUE INDEX images_trip_content_hash_idx ON images (trip_id, content_hash);
@@ -0,0 +1,23 @@
+-- Background jobs, run by worker.js, and the processing status of images
+-- whose tagging and resizing is done by those jobs.
+
+ALTER TABLE images
+  ADD COLUMN status TEXT NOT NULL DEFAULT 'ready'
+    CHECK (status IN ('pending', 'ready', 'failed'));
+
+CREATE TABLE jobs (
+  id SERIAL PRIMARY KEY,
+  type TEXT NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'done', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL,
+  run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMPTZ,
+  last_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX jobs_queued_idx ON jobs (run_at) WHERE status = 'queued';
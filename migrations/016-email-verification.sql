@@ -0,0 +1,20 @@
+-- Whether a user has confirmed their email address, and the tokens sent to
+-- confirm it. Each token is for the address it was sent to, so changing
+-- email makes older tokens useless.
+
+ALTER TABLE users ADD COLUMN email_verified BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Accounts from before verification existed count their email as verified.
+-- Those without one have nothing verified; they can add and verify one.
+UPDATE users SET email_verified = TRUE WHERE email IS NOT NULL;
+
+CREATE TABLE email_verifications (
+  token_hash TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+CREATE INDEX email_verifications_user_id_idx ON email_verifications (user_id);
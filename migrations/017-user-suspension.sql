@@ -0,0 +1,5 @@
+-- Admins can suspend accounts; suspended users can't log in.
+
+ALTER TABLE users
+  ADD COLUMN suspended_at TIMESTAMPTZ,
+  ADD COLUMN suspension_reason TEXT;
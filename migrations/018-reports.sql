@@ -0,0 +1,30 @@
+-- Reports of abusive trips and images, and hiding content while it's
+-- moderated. Hidden trips and images are only shown to their owner.
+
+ALTER TABLE trips ADD COLUMN hidden_at TIMESTAMPTZ;
+ALTER TABLE images ADD COLUMN hidden_at TIMESTAMPTZ;
+
+-- A report keeps its target_type after the trip or image it's about is
+-- removed, so moderation history survives.
+CREATE TABLE reports (
+  id SERIAL PRIMARY KEY,
+  reporter_id INTEGER REFERENCES users ON DELETE SET NULL,
+  target_type TEXT NOT NULL CHECK (target_type IN ('trip', 'image')),
+  trip_id INTEGER REFERENCES trips ON DELETE SET NULL,
+  image_id INTEGER REFERENCES images ON DELETE SET NULL,
+  reason TEXT NOT NULL
+    CHECK (reason IN ('spam', 'nudity', 'violence', 'harassment', 'hate',
+                      'copyright', 'other')),
+  details TEXT,
+  status TEXT NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'dismissed', 'hidden', 'removed')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  resolved_at TIMESTAMPTZ,
+  resolved_by INTEGER REFERENCES users ON DELETE SET NULL
+);
+
+-- One open report per user per trip or image
+CREATE UNIQUE INDEX reports_open_trip_idx ON reports (reporter_id, trip_id)
+  WHERE status = 'open' AND target_type = 'trip';
+CREATE UNIQUE INDEX reports_open_image_idx ON reports (reporter_id, image_id)
+  WHERE status = 'open' AND target_type = 'image';
@@ -0,0 +1,28 @@
+-- Likes on trips and images, and threaded comments on trips.
+
+CREATE TABLE trip_likes (
+  trip_id INTEGER REFERENCES trips ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (trip_id, user_id)
+);
+
+CREATE TABLE image_likes (
+  image_id INTEGER REFERENCES images ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (image_id, user_id)
+);
+
+-- Comments on trips. A reply has the comment it answers as its parent;
+-- removing a comment removes its replies.
+CREATE TABLE comments (
+  id SERIAL PRIMARY KEY,
+  trip_id INTEGER NOT NULL REFERENCES trips ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users ON DELETE CASCADE,
+  parent_id INTEGER REFERENCES comments ON DELETE CASCADE,
+  body TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX comments_trip_id_idx ON comments (trip_id, created_at);
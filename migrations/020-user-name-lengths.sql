@@ -0,0 +1,6 @@
+-- Allow usernames and names as long as registration accepts (30 characters).
+
+ALTER TABLE users
+  ALTER COLUMN username TYPE VARCHAR(30),
+  ALTER COLUMN first_name TYPE VARCHAR(30),
+  ALTER COLUMN last_name TYPE VARCHAR(30);
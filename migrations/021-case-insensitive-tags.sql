@@ -0,0 +1,26 @@
+-- Tag names are unique regardless of case, so "Beach" and "beach" are one
+-- tag. Existing duplicates are merged into the oldest tag with that name.
+
+CREATE TEMPORARY TABLE tag_merges AS
+  SELECT t.id AS old_id, k.id AS new_id
+  FROM tags AS t
+  JOIN (SELECT DISTINCT ON (lower(name)) id, lower(name) AS name
+        FROM tags
+        ORDER BY lower(name), id) AS k ON lower(t.name) = k.name
+  WHERE t.id <> k.id;
+
+INSERT INTO image_tags (image_id, tag_id, source, confidence, position)
+SELECT DISTINCT ON (it.image_id, m.new_id)
+       it.image_id, m.new_id, it.source, it.confidence, it.position
+FROM image_tags AS it
+JOIN tag_merges AS m ON it.tag_id = m.old_id
+ORDER BY it.image_id, m.new_id, it.position
+ON CONFLICT (image_id, tag_id) DO NOTHING;
+
+-- Removes their image_tags rows too
+DELETE FROM tags
+WHERE id IN (SELECT old_id FROM tag_merges);
+
+ALTER TABLE tags DROP CONSTRAINT tags_name_key;
+
+CREATE UNIQUE INDEX tags_name_idx ON tags (lower(name));
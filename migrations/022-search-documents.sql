@@ -0,0 +1,27 @@
+-- Trip search covers locations and descriptions as well as titles, and
+-- image search uses a stored document instead of building one per row.
+-- These expressions must match models/search.js and models/tag.js
+
+DROP INDEX trips_search_idx;
+
+CREATE INDEX trips_search_idx ON trips
+  USING GIN ((setweight(to_tsvector('english', title), 'A') ||
+              setweight(to_tsvector('english',
+                COALESCE(city, '') || ' ' ||
+                COALESCE(country, '')), 'B') ||
+              setweight(to_tsvector('english',
+                COALESCE(description, '')), 'C')));
+
+ALTER TABLE images
+  ADD COLUMN search_document TSVECTOR NOT NULL DEFAULT '';
+
+UPDATE images AS i
+SET search_document =
+      setweight(to_tsvector('english', COALESCE(i.caption, '')), 'A') ||
+      setweight(to_tsvector('english',
+        COALESCE((SELECT string_agg(tg.name, ' ' ORDER BY it.position)
+                  FROM image_tags AS it
+                  JOIN tags AS tg ON it.tag_id = tg.id
+                  WHERE it.image_id = i.id), '')), 'B');
+
+CREATE INDEX images_search_idx ON images USING GIN (search_document);
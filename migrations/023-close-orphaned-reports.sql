@@ -0,0 +1,10 @@
+-- Deleting a trip or image now closes its open reports first (see
+-- Trip.closeReports). Close the ones left open by earlier deletes, which
+-- no longer point at anything and were missing from the moderation queue.
+
+UPDATE reports
+SET status = 'removed',
+    resolved_at = NOW()
+WHERE status = 'open'
+  AND trip_id IS NULL
+  AND image_id IS NULL;
@@ -0,0 +1,55 @@
+"use strict";
+
+const bcrypt = require("bcrypt");
+
+const db = require("../db.js");
+const { BCRYPT_WORK_FACTOR } = require("../config");
+
+/** Shared fixtures for model and route tests.
+ *
+ * Every table is emptied and the fixtures are inserted again before each
+ * test, so tests can't see each other's changes.
+ *
+ * Fixtures:
+ *   users u1, u2 (verified emails) and admin (an admin)
+ *   trip 1, "Trip1", public, by u1, with images 1 and 2
+ *   trip 2, "Trip2", private, by u2
+ * Passwords are "password1", "password2" and "password3".
+ */
+
+async function commonBeforeEach() {
+  // Emptying users also empties every table that refers to them
+  await db.query(`TRUNCATE users, tags, jobs RESTART IDENTITY CASCADE`);
+
+  await db.query(`
+        INSERT INTO users (username, password, first_name, last_name,
+                           email, email_verified, is_admin)
+        VALUES ('u1', $1, 'U1F', 'U1L', 'u1@email.com', TRUE, FALSE),
+               ('u2', $2, 'U2F', 'U2L', 'u2@email.com', TRUE, FALSE),
+               ('admin', $3, 'AF', 'AL', 'admin@email.com', TRUE, TRUE)`,
+      [
+        await bcrypt.hash("password1", BCRYPT_WORK_FACTOR),
+        await bcrypt.hash("password2", BCRYPT_WORK_FACTOR),
+        await bcrypt.hash("password3", BCRYPT_WORK_FACTOR),
+      ]);
+
+  await db.query(`
+        INSERT INTO trips (user_id, title, visibility)
+        VALUES ((SELECT id FROM users WHERE username = 'u1'), 'Trip1', 'public'),
+               ((SELECT id FROM users WHERE username = 'u2'), 'Trip2', 'private')`);
+
+  await db.query(`
+        INSERT INTO images (trip_id, file_url, variants, caption, position)
+        VALUES (1, 'http://img1.com', '{}', 'Caption1', 1),
+               (1, 'http://img2.com', '{}', 'Caption2', 2)`);
+}
+
+async function commonAfterAll() {
+  await db.end();
+}
+
+
+module.exports = {
+  commonBeforeEach,
+  commonAfterAll,
+};
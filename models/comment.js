@@ -0,0 +1,146 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+
+/** A comment's fields, for use in a SELECT list where comments are aliased
+ * as "c" and their authors as "u".
+ */
+
+const COMMENT_COLUMNS = `c.id,
+                         c.trip_id AS "tripId",
+                         c.parent_id AS "parentId",
+                         u.username,
+                         u.profile_image AS "profImage",
+                         u.profile_image_variants AS "profImageVariants",
+                         c.body,
+                         c.created_at AS "createdAt"`;
+
+/** Related functions for comments on trips.
+ *
+ * Comments are threaded: a reply names the comment it answers as its
+ * parent. Callers check that the user may see the trip first.
+ */
+
+class Comment {
+  /** Given a trip id, return its comments as threads, oldest first.
+   *
+   * Returns [{ id, tripId, parentId, username, profImage, profImageVariants,
+   *            body, createdAt, replies }, ...]
+   * where replies is a list of comments in the same form.
+   * */
+
+  static async findForTrip(tripId) {
+    const result = await db.query(
+          `SELECT ${COMMENT_COLUMNS}
+           FROM comments AS "c"
+           JOIN users AS "u" ON c.user_id = u.id
+           WHERE c.trip_id = $1
+           ORDER BY c.created_at, c.id`,
+        [tripId],
+    );
+
+    const byId = new Map();
+    for (let comment of result.rows) byId.set(comment.id, { ...comment, replies: [] });
+
+    const threads = [];
+    for (let comment of byId.values()) {
+      const parent = byId.get(comment.parentId);
+      if (parent) parent.replies.push(comment);
+      else threads.push(comment);
+    }
+    return threads;
+  }
+
+  /** Add a comment to a trip.
+   *
+   * data should be { tripId, username, body, parentId }
+   * where parentId is the id of the comment being replied to, or null.
+   *
+   * Returns { id, tripId, parentId, username, profImage, profImageVariants,
+   *           body, createdAt }
+   *
+   * Throws BadRequestError if the parent comment isn't on the same trip.
+   * Throws NotFoundError if user not found.
+   * */
+
+  static async create({ tripId, username, body, parentId = null }) {
+    if (parentId !== null) {
+      const parentRes = await db.query(
+            `SELECT id
+             FROM comments
+             WHERE id = $1 AND trip_id = $2`,
+          [parentId, tripId],
+      );
+      if (!parentRes.rows[0]) {
+        throw new BadRequestError(`No comment ${parentId} on trip ${tripId} to reply to`);
+      }
+    }
+
+    const result = await db.query(
+          `WITH c AS (
+             INSERT INTO comments (trip_id, user_id, parent_id, body)
+             SELECT $1, id, $3, $4
+             FROM users
+             WHERE username = $2
+             RETURNING *
+           )
+           SELECT ${COMMENT_COLUMNS}
+           FROM c
+           JOIN users AS "u" ON c.user_id = u.id`,
+        [tripId, username, parentId, body],
+    );
+    const comment = result.rows[0];
+
+    if (!comment) throw new NotFoundError(`No user: ${username}`);
+
+    return comment;
+  }
+
+  /** Given a trip id and comment id, return who may remove the comment.
+   *
+   * Returns { id, username, tripOwner }
+   * where username is the comment's author.
+   *
+   * Throws NotFoundError if the comment isn't on that trip.
+   * */
+
+  static async get(tripId, commentId) {
+    const result = await db.query(
+          `SELECT c.id,
+                  u.username,
+                  o.username AS "tripOwner"
+           FROM comments AS "c"
+           JOIN users AS "u" ON c.user_id = u.id
+           JOIN trips AS "t" ON c.trip_id = t.id
+           JOIN users AS "o" ON t.user_id = o.id
+           WHERE c.id = $1 AND c.trip_id = $2`,
+        [commentId, tripId],
+    );
+    const comment = result.rows[0];
+
+    if (!comment) throw new NotFoundError(`No comment ${commentId} on trip ${tripId}`);
+
+    return comment;
+  }
+
+  /** Delete a comment and its replies; returns undefined.
+   *
+   * Throws NotFoundError if comment not found.
+   * */
+
+  static async remove(id) {
+    const result = await db.query(
+          `DELETE
+           FROM comments
+           WHERE id = $1
+           RETURNING id`,
+        [id],
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No comment: ${id}`);
+  }
+}
+
+
+module.exports = Comment;
@@ -0,0 +1,97 @@
+"use strict";
+
+const Comment = require("./comment.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { commonBeforeEach, commonAfterAll } = require("./_testCommon");
+
+beforeEach(commonBeforeEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const comment = await Comment.create({ tripId: 1, username: "u2", body: "Nice" });
+    expect(comment).toEqual({
+      id: expect.any(Number),
+      tripId: 1,
+      parentId: null,
+      username: "u2",
+      profImage: null,
+      profImageVariants: expect.any(Object),
+      body: "Nice",
+      createdAt: expect.any(Date),
+    });
+  });
+
+  test("works for a reply", async function () {
+    const parent = await Comment.create({ tripId: 1, username: "u2", body: "Nice" });
+    const reply = await Comment.create({
+      tripId: 1, username: "u1", body: "Thanks", parentId: parent.id,
+    });
+    expect(reply.parentId).toEqual(parent.id);
+  });
+
+  test("bad request replying to a comment on another trip", async function () {
+    const parent = await Comment.create({ tripId: 2, username: "u2", body: "Mine" });
+    await expect(Comment.create({
+      tripId: 1, username: "u1", body: "Hi", parentId: parent.id,
+    })).rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(Comment.create({ tripId: 1, username: "nope", body: "Hi" }))
+        .rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** findForTrip */
+
+describe("findForTrip", function () {
+  test("returns threads with their replies, oldest first", async function () {
+    const first = await Comment.create({ tripId: 1, username: "u2", body: "First" });
+    const second = await Comment.create({ tripId: 1, username: "admin", body: "Second" });
+    const reply = await Comment.create({
+      tripId: 1, username: "u1", body: "Reply", parentId: first.id,
+    });
+
+    const threads = await Comment.findForTrip(1);
+    expect(threads.map(c => c.id)).toEqual([first.id, second.id]);
+    expect(threads[0].replies).toEqual([{ ...reply, replies: [] }]);
+    expect(threads[1].replies).toEqual([]);
+  });
+
+  test("empty if no comments", async function () {
+    expect(await Comment.findForTrip(1)).toEqual([]);
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    const { id } = await Comment.create({ tripId: 1, username: "u2", body: "Nice" });
+    expect(await Comment.get(1, id)).toEqual({ id, username: "u2", tripOwner: "u1" });
+  });
+
+  test("not found if the comment is on another trip", async function () {
+    const { id } = await Comment.create({ tripId: 1, username: "u2", body: "Nice" });
+    await expect(Comment.get(2, id)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("removes the comment and its replies", async function () {
+    const parent = await Comment.create({ tripId: 1, username: "u2", body: "Nice" });
+    await Comment.create({ tripId: 1, username: "u1", body: "Thanks", parentId: parent.id });
+
+    await Comment.remove(parent.id);
+    expect(await Comment.findForTrip(1)).toEqual([]);
+  });
+
+  test("not found if no such comment", async function () {
+    await expect(Comment.remove(999)).rejects.toThrow(NotFoundError);
+  });
+});
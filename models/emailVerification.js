@@ -0,0 +1,98 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { createRefreshToken, hashToken } = require("../helpers/tokens");
+const { EMAIL_VERIFICATION_TTL } = require("../config");
+
+/** Related functions for email verification tokens.
+ *
+ * New users, and users who change their email, are sent a token that
+ * confirms they own the address. It works once, expires after
+ * EMAIL_VERIFICATION_TTL seconds, and only its hash is stored. Sending a new
+ * token makes the user's earlier ones stop working.
+ */
+
+class EmailVerification {
+  /** Issue a verification token for a user's current email address.
+   *
+   * Returns { user, token }
+   * where user is { username, email, firstName }
+   *
+   * Throws NotFoundError if user not found.
+   * Throws BadRequestError if the user has no email or it's already verified.
+   * */
+
+  static async create(username) {
+    const userRes = await db.query(
+          `SELECT id,
+                  username,
+                  email,
+                  email_verified AS "emailVerified",
+                  first_name AS "firstName"
+           FROM users
+           WHERE username = $1`,
+        [username],
+    );
+    const user = userRes.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+    if (!user.email) throw new BadRequestError("No email address to verify");
+    if (user.emailVerified) throw new BadRequestError("Email is already verified");
+
+    await db.query(
+          `UPDATE email_verifications
+           SET used_at = NOW()
+           WHERE user_id = $1 AND used_at IS NULL`,
+        [user.id],
+    );
+
+    const token = createRefreshToken();
+    await db.query(
+          `INSERT INTO email_verifications (token_hash, user_id, email, expires_at)
+           VALUES ($1, $2, $3, NOW() + $4::float8 * INTERVAL '1 second')`,
+        [hashToken(token), user.id, user.email, EMAIL_VERIFICATION_TTL],
+    );
+
+    return {
+      user: { username: user.username, email: user.email, firstName: user.firstName },
+      token,
+    };
+  }
+
+  /** Use up a verification token, marking its user's email verified.
+   *
+   * Returns { username, email }
+   *
+   * Throws BadRequestError if the token is unknown, expired or already used,
+   * or the user has changed their email since it was sent.
+   * */
+
+  static async redeem(token) {
+    const result = await db.query(
+          `WITH used AS (
+             UPDATE email_verifications
+             SET used_at = NOW()
+             WHERE token_hash = $1
+               AND used_at IS NULL
+               AND expires_at > NOW()
+             RETURNING user_id, email
+           )
+           UPDATE users AS "u"
+           SET email_verified = TRUE
+           FROM used
+           WHERE u.id = used.user_id
+             AND lower(u.email) = lower(used.email)
+           RETURNING u.username, u.email`,
+        [hashToken(token)],
+    );
+    const user = result.rows[0];
+
+    if (!user) throw new BadRequestError("Invalid or expired verification token");
+
+    return user;
+  }
+}
+
+
+module.exports = EmailVerification;
@@ -0,0 +1,150 @@
+"use strict";
+
+const db = require("../db");
+const { JOB_MAX_ATTEMPTS, JOB_BACKOFF_MS } = require("../config");
+
+/** Related functions for background jobs.
+ *
+ * Jobs are rows in the jobs table, so the queue needs nothing but Postgres.
+ * A job is "queued" until a worker claims it, "running" while it's worked
+ * on, then "done", or back to "queued" with a later run_at to be retried, or
+ * "failed" once it has used up its attempts.
+ */
+
+class Job {
+  /** Add a job to the queue.
+   *
+   * payload is any JSON-able object; it's passed to the job's handler.
+   *
+   * Returns { id }
+   * */
+
+  static async enqueue(type, payload = {}, { maxAttempts = JOB_MAX_ATTEMPTS } = {}) {
+    const result = await db.query(
+          `INSERT INTO jobs (type, payload, max_attempts)
+           VALUES ($1, $2, $3)
+           RETURNING id`,
+        [type, payload, maxAttempts],
+    );
+    return result.rows[0];
+  }
+
+  /** Claim the next job that is due, marking it running.
+   *
+   * Running jobs whose lock hasn't been renewed (see touch) for longer than
+   * timeoutMs are assumed to belong to a worker that died, and are claimed
+   * again if they have attempts left (see failTimedOut for the rest). SKIP
+   * LOCKED lets many workers claim at once without getting the same job.
+   *
+   * Returns { id, type, payload, attempts, maxAttempts }, or undefined if
+   * there's nothing to do.
+   * */
+
+  static async claim(timeoutMs) {
+    const result = await db.query(
+          `UPDATE jobs
+           SET status = 'running',
+               attempts = attempts + 1,
+               locked_at = NOW()
+           WHERE id = (SELECT id
+                       FROM jobs
+                       WHERE (status = 'queued' AND run_at <= NOW())
+                          OR (status = 'running'
+                              AND attempts < max_attempts
+                              AND locked_at < NOW() - $1::float8 * INTERVAL '1 millisecond')
+                       ORDER BY run_at, id
+                       LIMIT 1
+                       FOR UPDATE SKIP LOCKED)
+           RETURNING id,
+                     type,
+                     payload,
+                     attempts,
+                     max_attempts AS "maxAttempts"`,
+        [timeoutMs],
+    );
+    return result.rows[0];
+  }
+
+  /** Renew the lock on a running job, so it isn't claimed again while it's
+   * still being worked on; returns undefined.
+   * */
+
+  static async touch(id) {
+    await db.query(
+          `UPDATE jobs
+           SET locked_at = NOW()
+           WHERE id = $1 AND status = 'running'`,
+        [id],
+    );
+  }
+
+  /** Mark failed the running jobs that timed out (as in claim) on their
+   * last attempt. These keep crashing or stalling their worker, so they
+   * aren't retried.
+   *
+   * Returns [{ id, type, payload }, ...] of the jobs that were failed.
+   * */
+
+  static async failTimedOut(timeoutMs) {
+    const result = await db.query(
+          `UPDATE jobs
+           SET status = 'failed',
+               locked_at = NULL,
+               last_error = 'Timed out',
+               finished_at = NOW()
+           WHERE id IN (SELECT id
+                        FROM jobs
+                        WHERE status = 'running'
+                          AND attempts >= max_attempts
+                          AND locked_at < NOW() - $1::float8 * INTERVAL '1 millisecond'
+                        FOR UPDATE SKIP LOCKED)
+           RETURNING id, type, payload`,
+        [timeoutMs],
+    );
+    return result.rows;
+  }
+
+  /** Mark a job done; returns undefined. */
+
+  static async complete(id) {
+    await db.query(
+          `UPDATE jobs
+           SET status = 'done',
+               locked_at = NULL,
+               last_error = NULL,
+               finished_at = NOW()
+           WHERE id = $1`,
+        [id],
+    );
+  }
+
+  /** Record that a claimed job failed with `err`.
+   *
+   * If it has attempts left, it's queued again after a delay that doubles
+   * with each attempt: JOB_BACKOFF_MS, then twice that, and so on.
+   * Otherwise it's marked failed.
+   *
+   * Returns true if the job will be retried, false if it has failed.
+   * */
+
+  static async fail(job, err) {
+    const retry = job.attempts < job.maxAttempts;
+    const delayMs = JOB_BACKOFF_MS * 2 ** (job.attempts - 1);
+
+    await db.query(
+          `UPDATE jobs
+           SET status = $2,
+               run_at = NOW() + $3::float8 * INTERVAL '1 millisecond',
+               locked_at = NULL,
+               last_error = $4,
+               finished_at = CASE WHEN $2 = 'failed' THEN NOW() END
+           WHERE id = $1`,
+        [job.id, retry ? "queued" : "failed", delayMs, err.message],
+    );
+
+    return retry;
+  }
+}
+
+
+module.exports = Job;
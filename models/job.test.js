@@ -0,0 +1,183 @@
+"use strict";
+
+const db = require("../db.js");
+const Job = require("./job.js");
+const { commonBeforeEach, commonAfterAll } = require("./_testCommon");
+
+beforeEach(commonBeforeEach);
+afterAll(commonAfterAll);
+
+/** Return a job's row, for checking fields the model doesn't return. */
+
+async function getJob(id) {
+  const result = await db.query(
+        `SELECT status, attempts, last_error AS "lastError",
+                run_at > NOW() AS "delayed", locked_at AS "lockedAt",
+                finished_at AS "finishedAt"
+         FROM jobs
+         WHERE id = $1`,
+      [id]);
+  return result.rows[0];
+}
+
+/** Make a running job look like its worker went quiet a minute ago. */
+
+async function makeStale(id) {
+  await db.query(
+        `UPDATE jobs
+         SET locked_at = NOW() - INTERVAL '1 minute'
+         WHERE id = $1`,
+      [id]);
+}
+
+/************************************** enqueue */
+
+describe("enqueue", function () {
+  test("works", async function () {
+    const job = await Job.enqueue("process-image", { imageId: 1 });
+    expect(job).toEqual({ id: expect.any(Number) });
+    expect(await getJob(job.id)).toEqual(expect.objectContaining({
+      status: "queued",
+      attempts: 0,
+    }));
+  });
+});
+
+/************************************** claim */
+
+describe("claim", function () {
+  test("claims the oldest due job", async function () {
+    const first = await Job.enqueue("process-image", { imageId: 1 });
+    await Job.enqueue("process-image", { imageId: 2 });
+
+    const job = await Job.claim(1000);
+    expect(job).toEqual({
+      id: first.id,
+      type: "process-image",
+      payload: { imageId: 1 },
+      attempts: 1,
+      maxAttempts: 5,
+    });
+    expect((await getJob(first.id)).status).toEqual("running");
+  });
+
+  test("returns undefined if nothing is due", async function () {
+    await Job.enqueue("process-image", { imageId: 1 });
+    await Job.claim(1000);
+
+    expect(await Job.claim(1000)).toBeUndefined();
+  });
+
+  test("doesn't claim jobs that aren't due yet", async function () {
+    const { id } = await Job.enqueue("process-image", { imageId: 1 });
+    await db.query(
+          `UPDATE jobs SET run_at = NOW() + INTERVAL '1 hour' WHERE id = $1`,
+        [id]);
+
+    expect(await Job.claim(1000)).toBeUndefined();
+  });
+
+  test("claims again a running job whose worker went quiet", async function () {
+    const { id } = await Job.enqueue("process-image", { imageId: 1 });
+    await Job.claim(1000);
+    await makeStale(id);
+
+    const job = await Job.claim(1000);
+    expect(job.id).toEqual(id);
+    expect(job.attempts).toEqual(2);
+  });
+
+  test("doesn't claim a running job whose lock was renewed", async function () {
+    const { id } = await Job.enqueue("process-image", { imageId: 1 });
+    await Job.claim(1000);
+    await makeStale(id);
+    await Job.touch(id);
+
+    expect(await Job.claim(1000)).toBeUndefined();
+  });
+
+  test("doesn't claim a stale job that used up its attempts", async function () {
+    const { id } = await Job.enqueue("process-image", { imageId: 1 }, { maxAttempts: 1 });
+    await Job.claim(1000);
+    await makeStale(id);
+
+    expect(await Job.claim(1000)).toBeUndefined();
+  });
+});
+
+/************************************** failTimedOut */
+
+describe("failTimedOut", function () {
+  test("fails stale jobs on their last attempt", async function () {
+    const { id } = await Job.enqueue("process-image", { imageId: 1 }, { maxAttempts: 1 });
+    await Job.claim(1000);
+    await makeStale(id);
+
+    expect(await Job.failTimedOut(1000)).toEqual([
+      { id, type: "process-image", payload: { imageId: 1 } },
+    ]);
+    expect(await getJob(id)).toEqual(expect.objectContaining({
+      status: "failed",
+      lastError: "Timed out",
+      finishedAt: expect.any(Date),
+    }));
+  });
+
+  test("leaves jobs with attempts left, and live jobs", async function () {
+    const retry = await Job.enqueue("process-image", { imageId: 1 });
+    const live = await Job.enqueue("process-image", { imageId: 2 }, { maxAttempts: 1 });
+    await Job.claim(1000);
+    await Job.claim(1000);
+    await makeStale(retry.id);
+
+    expect(await Job.failTimedOut(1000)).toEqual([]);
+    expect((await getJob(retry.id)).status).toEqual("running");
+    expect((await getJob(live.id)).status).toEqual("running");
+  });
+});
+
+/************************************** complete */
+
+describe("complete", function () {
+  test("works", async function () {
+    const { id } = await Job.enqueue("process-image", { imageId: 1 });
+    await Job.claim(1000);
+    await Job.complete(id);
+
+    expect(await getJob(id)).toEqual(expect.objectContaining({
+      status: "done",
+      lockedAt: null,
+      finishedAt: expect.any(Date),
+    }));
+  });
+});
+
+/************************************** fail */
+
+describe("fail", function () {
+  test("queues the job again later if it has attempts left", async function () {
+    await Job.enqueue("process-image", { imageId: 1 });
+    const job = await Job.claim(1000);
+
+    expect(await Job.fail(job, new Error("oops"))).toEqual(true);
+    expect(await getJob(job.id)).toEqual(expect.objectContaining({
+      status: "queued",
+      lastError: "oops",
+      delayed: true,
+      finishedAt: null,
+    }));
+    expect(await Job.claim(1000)).toBeUndefined();
+  });
+
+  test("fails the job on its last attempt", async function () {
+    await Job.enqueue("process-image", { imageId: 1 }, { maxAttempts: 1 });
+    const job = await Job.claim(1000);
+
+    expect(await Job.fail(job, new Error("oops"))).toEqual(false);
+    expect(await getJob(job.id)).toEqual(expect.objectContaining({
+      status: "failed",
+      lastError: "oops",
+      finishedAt: expect.any(Date),
+    }));
+  });
+});
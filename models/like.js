@@ -0,0 +1,127 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+
+/** Related functions for likes on trips and images.
+ *
+ * Liking is idempotent: liking something twice, or unliking something that
+ * isn't liked, changes nothing. Callers check that the user may see the
+ * trip or image first.
+ */
+
+class Like {
+  /** Make user `username` like a trip.
+   *
+   * Returns { liked: true, likeCount }
+   *
+   * Throws NotFoundError if user not found.
+   * */
+
+  static async likeTrip(username, tripId) {
+    await Like._like("trip_likes", "trip_id", username, tripId);
+    return { liked: true, likeCount: await Like._count("trip_likes", "trip_id", tripId) };
+  }
+
+  /** Make user `username` stop liking a trip.
+   *
+   * Returns { liked: false, likeCount }
+   * */
+
+  static async unlikeTrip(username, tripId) {
+    await Like._unlike("trip_likes", "trip_id", username, tripId);
+    return { liked: false, likeCount: await Like._count("trip_likes", "trip_id", tripId) };
+  }
+
+  /** Make user `username` like an image.
+   *
+   * Returns { liked: true, likeCount }
+   *
+   * Throws NotFoundError if user not found.
+   * */
+
+  static async likeImage(username, imageId) {
+    await Like._like("image_likes", "image_id", username, imageId);
+    return { liked: true, likeCount: await Like._count("image_likes", "image_id", imageId) };
+  }
+
+  /** Make user `username` stop liking an image.
+   *
+   * Returns { liked: false, likeCount }
+   * */
+
+  static async unlikeImage(username, imageId) {
+    await Like._unlike("image_likes", "image_id", username, imageId);
+    return { liked: false, likeCount: await Like._count("image_likes", "image_id", imageId) };
+  }
+
+  /** Given a trip id, return who liked it, most recent first.
+   *
+   * Returns [{ username, profImage, profImageVariants, likedAt }, ...]
+   * */
+
+  static async getTripLikes(tripId) {
+    const result = await db.query(
+          `SELECT u.username,
+                  u.profile_image AS "profImage",
+                  u.profile_image_variants AS "profImageVariants",
+                  l.created_at AS "likedAt"
+           FROM trip_likes AS "l"
+           JOIN users AS "u" ON l.user_id = u.id
+           WHERE l.trip_id = $1
+           ORDER BY l.created_at DESC, u.username`,
+        [tripId],
+    );
+    return result.rows;
+  }
+
+  /** Add a like to `table`, keyed on column `targetCol`; returns undefined. */
+
+  static async _like(table, targetCol, username, targetId) {
+    const userRes = await db.query(
+          `SELECT id
+           FROM users
+           WHERE username = $1`,
+        [username],
+    );
+    const user = userRes.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    await db.query(
+          `INSERT INTO ${table} (${targetCol}, user_id)
+           VALUES ($1, $2)
+           ON CONFLICT DO NOTHING`,
+        [targetId, user.id],
+    );
+  }
+
+  /** Remove a like from `table`, if there is one; returns undefined. */
+
+  static async _unlike(table, targetCol, username, targetId) {
+    await db.query(
+          `DELETE
+           FROM ${table}
+           WHERE ${targetCol} = $1
+             AND user_id = (SELECT id
+                            FROM users
+                            WHERE username = $2)`,
+        [targetId, username],
+    );
+  }
+
+  /** Return the number of likes in `table` for one trip or image. */
+
+  static async _count(table, targetCol, targetId) {
+    const result = await db.query(
+          `SELECT COUNT(*)::int AS "count"
+           FROM ${table}
+           WHERE ${targetCol} = $1`,
+        [targetId],
+    );
+    return result.rows[0].count;
+  }
+}
+
+
+module.exports = Like;
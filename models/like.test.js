@@ -0,0 +1,73 @@
+"use strict";
+
+const Like = require("./like.js");
+const { NotFoundError } = require("../expressError");
+const { commonBeforeEach, commonAfterAll } = require("./_testCommon");
+
+beforeEach(commonBeforeEach);
+afterAll(commonAfterAll);
+
+/************************************** likeTrip / unlikeTrip */
+
+describe("likeTrip", function () {
+  test("works", async function () {
+    expect(await Like.likeTrip("u2", 1)).toEqual({ liked: true, likeCount: 1 });
+    expect(await Like.likeTrip("admin", 1)).toEqual({ liked: true, likeCount: 2 });
+  });
+
+  test("liking twice changes nothing", async function () {
+    await Like.likeTrip("u2", 1);
+    expect(await Like.likeTrip("u2", 1)).toEqual({ liked: true, likeCount: 1 });
+  });
+
+  test("not found if no such user", async function () {
+    await expect(Like.likeTrip("nope", 1)).rejects.toThrow(NotFoundError);
+  });
+});
+
+describe("unlikeTrip", function () {
+  test("works", async function () {
+    await Like.likeTrip("u2", 1);
+    expect(await Like.unlikeTrip("u2", 1)).toEqual({ liked: false, likeCount: 0 });
+  });
+
+  test("unliking something not liked changes nothing", async function () {
+    await Like.likeTrip("admin", 1);
+    expect(await Like.unlikeTrip("u2", 1)).toEqual({ liked: false, likeCount: 1 });
+  });
+});
+
+/************************************** likeImage / unlikeImage */
+
+describe("likeImage", function () {
+  test("works, and counts each image apart", async function () {
+    expect(await Like.likeImage("u2", 1)).toEqual({ liked: true, likeCount: 1 });
+    expect(await Like.likeImage("u2", 1)).toEqual({ liked: true, likeCount: 1 });
+    expect(await Like.likeImage("u2", 2)).toEqual({ liked: true, likeCount: 1 });
+  });
+});
+
+describe("unlikeImage", function () {
+  test("works", async function () {
+    await Like.likeImage("u2", 1);
+    expect(await Like.unlikeImage("u2", 1)).toEqual({ liked: false, likeCount: 0 });
+  });
+});
+
+/************************************** getTripLikes */
+
+describe("getTripLikes", function () {
+  test("works", async function () {
+    await Like.likeTrip("u2", 1);
+    expect(await Like.getTripLikes(1)).toEqual([{
+      username: "u2",
+      profImage: null,
+      profImageVariants: expect.any(Object),
+      likedAt: expect.any(Date),
+    }]);
+  });
+
+  test("empty if no likes", async function () {
+    expect(await Like.getTripLikes(1)).toEqual([]);
+  });
+});
@@ -0,0 +1,87 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { createRefreshToken, hashToken } = require("../helpers/tokens");
+const { PASSWORD_RESET_TTL } = require("../config");
+
+/** Related functions for password reset tokens.
+ *
+ * A user who forgot their password is emailed a reset token. It works once,
+ * expires after PASSWORD_RESET_TTL seconds, and only its hash is stored.
+ * Asking for a new token makes the user's earlier ones stop working.
+ */
+
+class PasswordReset {
+  /** Issue a reset token for the user with this username or email
+   * (email is matched regardless of case).
+   *
+   * Returns { user, token }
+   * where user is { username, email, firstName },
+   * or undefined if there's no such user or they have no email to send the
+   * token to.
+   * */
+
+  static async create({ username, email }) {
+    const userRes = await db.query(
+          `SELECT id,
+                  username,
+                  email,
+                  first_name AS "firstName"
+           FROM users
+           WHERE email IS NOT NULL
+             AND (username = $1 OR lower(email) = lower($2))`,
+        [username || null, email || null],
+    );
+    const user = userRes.rows[0];
+    if (!user) return undefined;
+
+    await db.query(
+          `UPDATE password_resets
+           SET used_at = NOW()
+           WHERE user_id = $1 AND used_at IS NULL`,
+        [user.id],
+    );
+
+    const token = createRefreshToken();
+    await db.query(
+          `INSERT INTO password_resets (token_hash, user_id, expires_at)
+           VALUES ($1, $2, NOW() + $3::float8 * INTERVAL '1 second')`,
+        [hashToken(token), user.id, PASSWORD_RESET_TTL],
+    );
+
+    const { id, ...userData } = user;
+    return { user: userData, token };
+  }
+
+  /** Use up a reset token.
+   *
+   * Returns { username, email, firstName } of the user it was issued to.
+   *
+   * Throws BadRequestError if the token is unknown, expired or already used.
+   * */
+
+  static async redeem(token) {
+    const result = await db.query(
+          `UPDATE password_resets AS "pr"
+           SET used_at = NOW()
+           FROM users AS "u"
+           WHERE pr.token_hash = $1
+             AND pr.user_id = u.id
+             AND pr.used_at IS NULL
+             AND pr.expires_at > NOW()
+           RETURNING u.username,
+                     u.email,
+                     u.first_name AS "firstName"`,
+        [hashToken(token)],
+    );
+    const user = result.rows[0];
+
+    if (!user) throw new BadRequestError("Invalid or expired reset token");
+
+    return user;
+  }
+}
+
+
+module.exports = PasswordReset;
@@ -0,0 +1,76 @@
+"use strict";
+
+const db = require("../db.js");
+const PasswordReset = require("./passwordReset.js");
+const { BadRequestError } = require("../expressError");
+const { commonBeforeEach, commonAfterAll } = require("./_testCommon");
+
+beforeEach(commonBeforeEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works by username", async function () {
+    const reset = await PasswordReset.create({ username: "u1" });
+    expect(reset).toEqual({
+      user: { username: "u1", email: "u1@email.com", firstName: "U1F" },
+      token: expect.any(String),
+    });
+  });
+
+  test("works by email, regardless of case", async function () {
+    const reset = await PasswordReset.create({ email: "U1@Email.com" });
+    expect(reset.user.username).toEqual("u1");
+  });
+
+  test("undefined if no such user", async function () {
+    expect(await PasswordReset.create({ username: "nope" })).toBeUndefined();
+    expect(await PasswordReset.create({ email: "nope@email.com" })).toBeUndefined();
+  });
+
+  test("undefined if the user has no email", async function () {
+    await db.query(`UPDATE users SET email = NULL WHERE username = 'u1'`);
+    expect(await PasswordReset.create({ username: "u1" })).toBeUndefined();
+  });
+
+  test("makes earlier tokens stop working", async function () {
+    const first = await PasswordReset.create({ username: "u1" });
+    const second = await PasswordReset.create({ username: "u1" });
+
+    await expect(PasswordReset.redeem(first.token)).rejects.toThrow(BadRequestError);
+    expect((await PasswordReset.redeem(second.token)).username).toEqual("u1");
+  });
+});
+
+/************************************** redeem */
+
+describe("redeem", function () {
+  test("works", async function () {
+    const { token } = await PasswordReset.create({ username: "u1" });
+    expect(await PasswordReset.redeem(token)).toEqual({
+      username: "u1",
+      email: "u1@email.com",
+      firstName: "U1F",
+    });
+  });
+
+  test("works only once", async function () {
+    const { token } = await PasswordReset.create({ username: "u1" });
+    await PasswordReset.redeem(token);
+
+    await expect(PasswordReset.redeem(token)).rejects.toThrow(
+        "Invalid or expired reset token");
+  });
+
+  test("bad request if expired", async function () {
+    const { token } = await PasswordReset.create({ username: "u1" });
+    await db.query(`UPDATE password_resets SET expires_at = NOW() - INTERVAL '1 second'`);
+
+    await expect(PasswordReset.redeem(token)).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request if unknown", async function () {
+    await expect(PasswordReset.redeem("nope")).rejects.toThrow(BadRequestError);
+  });
+});
@@ -0,0 +1,245 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Trip = require("./trip");
+const { sqlForVisibleTrips, sqlForVisibleImages } = require("../helpers/sql");
+
+/** Reasons a trip or image can be reported for. */
+
+const REASONS = ["spam", "nudity", "violence", "harassment", "hate", "copyright", "other"];
+
+/** What a moderator can do about a reported trip or image, and the status
+ * its open reports get.
+ */
+
+const ACTIONS = {
+  dismiss: "dismissed",
+  hide: "hidden",
+  remove: "removed",
+};
+
+/** Related functions for reports of abusive trips and images.
+ *
+ * Users report trips and images they can see. Reports stay "open" until a
+ * moderator acts on the trip or image, which resolves all of its open
+ * reports at once, or until it's deleted (see Trip.closeReports).
+ */
+
+class Report {
+  /** Report a trip (targetType "trip") or an image ("image").
+   *
+   * data should be { reporter, targetType, targetId, reason, details }
+   * where reporter is a username, reason is one of REASONS, and details is
+   * optional free text.
+   *
+   * Returns { id, targetType, targetId, reason, details, status, createdAt }
+   *
+   * Throws NotFoundError if the target doesn't exist or the reporter may
+   * not see it.
+   * Throws BadRequestError if users report their own content, or report
+   * the same thing twice while the first report is open.
+   * */
+
+  static async create({ reporter, targetType, targetId, reason, details = null }) {
+    const target = await Report._getTarget(targetType, targetId, reporter);
+    if (target.owner === reporter) {
+      throw new BadRequestError("You cannot report your own content");
+    }
+
+    let result;
+    try {
+      result = await db.query(
+            `INSERT INTO reports
+             (reporter_id, target_type, trip_id, image_id, reason, details)
+             SELECT id, $2, $3, $4, $5, $6
+             FROM users
+             WHERE username = $1
+             RETURNING id,
+                       target_type AS "targetType",
+                       COALESCE(trip_id, image_id) AS "targetId",
+                       reason,
+                       details,
+                       status,
+                       created_at AS "createdAt"`,
+          [
+            reporter,
+            targetType,
+            targetType === "trip" ? targetId : null,
+            targetType === "image" ? targetId : null,
+            reason,
+            details,
+          ],
+      );
+    } catch (err) {
+      if (err.code === "23505") {
+        throw new BadRequestError(`You have already reported this ${targetType}`);
+      }
+      throw err;
+    }
+    const report = result.rows[0];
+
+    if (!report) throw new NotFoundError(`No user: ${reporter}`);
+
+    return report;
+  }
+
+  /** Find a trip or image the viewer may see.
+   *
+   * Returns { owner }, the username of the user it belongs to.
+   *
+   * Throws NotFoundError if it doesn't exist or is hidden from the viewer.
+   * */
+
+  static async _getTarget(targetType, targetId, viewer) {
+    const query = targetType === "trip"
+        ? `SELECT u.username AS "owner"
+           FROM trips AS "t"
+           JOIN users AS "u" ON t.user_id = u.id
+           WHERE t.id = $1
+             AND ${sqlForVisibleTrips(2)}`
+        : `SELECT u.username AS "owner"
+           FROM images AS "i"
+           JOIN trips AS "t" ON i.trip_id = t.id
+           JOIN users AS "u" ON t.user_id = u.id
+           WHERE i.id = $1
+             AND ${sqlForVisibleTrips(2)}
+             AND ${sqlForVisibleImages(2)}`;
+    const result = await db.query(query, [targetId, viewer]);
+    const target = result.rows[0];
+
+    if (!target) throw new NotFoundError(`No ${targetType}: ${targetId}`);
+
+    return target;
+  }
+
+  /** Find the moderation queue: trips and images with open reports, the
+   * longest-waiting first.
+   *
+   * Returns [{ targetType, targetId, trip, image, reportCount, reasons,
+   *            firstReportedAt, reports }, ...]
+   * where trip is { id, title, username, visibility, hiddenAt }, the trip
+   *   reported or the one the image is in
+   * and image is { id, fileUrl, variants, caption, hiddenAt }, or null for
+   *   trips
+   * and reasons is { reason: count, ... }
+   * and reports is [{ id, reporter, reason, details, createdAt }, ...],
+   *   oldest first
+   * */
+
+  static async findOpen({ limit = 20 } = {}) {
+    const result = await db.query(
+          `SELECT r.target_type AS "targetType",
+                  COALESCE(r.trip_id, r.image_id) AS "targetId",
+                  json_build_object(
+                    'id', t.id,
+                    'title', t.title,
+                    'username', u.username,
+                    'visibility', t.visibility,
+                    'hiddenAt', t.hidden_at) AS "trip",
+                  CASE WHEN r.target_type = 'image' THEN json_build_object(
+                    'id', i.id,
+                    'fileUrl', i.file_url,
+                    'variants', i.variants,
+                    'caption', i.caption,
+                    'hiddenAt', i.hidden_at) END AS "image",
+                  COUNT(*)::int AS "reportCount",
+                  MIN(r.created_at) AS "firstReportedAt",
+                  json_agg(json_build_object(
+                    'id', r.id,
+                    'reporter', ru.username,
+                    'reason', r.reason,
+                    'details', r.details,
+                    'createdAt', r.created_at) ORDER BY r.created_at, r.id) AS "reports"
+           FROM reports AS "r"
+           LEFT JOIN images AS "i" ON r.image_id = i.id
+           JOIN trips AS "t" ON t.id = COALESCE(r.trip_id, i.trip_id)
+           JOIN users AS "u" ON t.user_id = u.id
+           LEFT JOIN users AS "ru" ON r.reporter_id = ru.id
+           WHERE r.status = 'open'
+           GROUP BY r.target_type, r.trip_id, r.image_id, t.id, u.username, i.id
+           ORDER BY "firstReportedAt", "targetId"
+           LIMIT $1`,
+        [limit],
+    );
+
+    for (let target of result.rows) {
+      target.reasons = {};
+      for (let { reason } of target.reports) {
+        target.reasons[reason] = (target.reasons[reason] || 0) + 1;
+      }
+    }
+
+    return result.rows;
+  }
+
+  /** Resolve every open report of a trip or image after a moderator acted
+   * on it. action is one of the keys of ACTIONS; moderator is a username.
+   * Hiding or removing a trip also resolves the reports of its images.
+   *
+   * Pass a client from db.transaction to run in that transaction.
+   *
+   * Returns the number of reports resolved.
+   * */
+
+  static async resolve(targetType, targetId, action, moderator, client = db) {
+    const result = await client.query(
+          `UPDATE reports
+           SET status = $3,
+               resolved_at = NOW(),
+               resolved_by = (SELECT id FROM users WHERE username = $4)
+           WHERE status = 'open'
+             AND ((target_type = $1 AND COALESCE(trip_id, image_id) = $2)
+                  OR ($1 = 'trip'
+                      AND $3 <> 'dismissed'
+                      AND image_id IN (SELECT id
+                                       FROM images
+                                       WHERE trip_id = $2)))`,
+        [targetType, targetId, ACTIONS[action], moderator],
+    );
+    return result.rowCount;
+  }
+
+  /** Carry out a moderator's action on a trip or image (see ACTIONS), and
+   * resolve its open reports. Both happen in one transaction, so reports are
+   * never closed without the action being taken.
+   *
+   * Returns { resolved, removedImages }
+   *   where resolved is the number of reports resolved
+   *   and removedImages is [{ id, fileUrl, variants }, ...] of the images
+   *   deleted by "remove", whose files the caller should remove.
+   *
+   * Throws NotFoundError if the trip or image doesn't exist, or if
+   * dismissing one with no open reports.
+   * */
+
+  static async moderate(targetType, targetId, action, moderator) {
+    const tripId = targetType === "trip" ? targetId : await Trip.getImageTripId(targetId);
+
+    return db.transaction(async client => {
+      // Resolve first, since removing the content unlinks its reports
+      const resolved = await Report.resolve(targetType, targetId, action, moderator, client);
+      if (action === "dismiss" && resolved === 0) {
+        throw new NotFoundError(`No open reports of ${targetType} ${targetId}`);
+      }
+
+      let removedImages = [];
+      if (action === "hide") {
+        if (targetType === "trip") await Trip.hide(tripId, client);
+        else await Trip.hideImage(targetId, client);
+      } else if (action === "remove") {
+        removedImages = targetType === "trip"
+            ? await Trip.remove(tripId, client)
+            : [await Trip.removeImage(tripId, targetId, client)];
+      }
+
+      return { resolved, removedImages };
+    });
+  }
+}
+
+Report.REASONS = REASONS;
+Report.ACTIONS = ACTIONS;
+
+
+module.exports = Report;
@@ -0,0 +1,193 @@
+"use strict";
+
+const db = require("../db.js");
+const Report = require("./report.js");
+const Trip = require("./trip.js");
+const { NotFoundError } = require("../expressError");
+const { commonBeforeEach, commonAfterAll } = require("./_testCommon");
+
+beforeEach(commonBeforeEach);
+afterEach(() => jest.restoreAllMocks());
+afterAll(commonAfterAll);
+
+async function getReportStatuses() {
+  const result = await db.query(`SELECT status FROM reports ORDER BY id`);
+  return result.rows.map(r => r.status);
+}
+
+/************************************** create */
+
+describe("create", function () {
+  test("works for a trip", async function () {
+    const report = await Report.create({
+      reporter: "u2", targetType: "trip", targetId: 1, reason: "spam", details: "Ads",
+    });
+    expect(report).toEqual({
+      id: expect.any(Number),
+      targetType: "trip",
+      targetId: 1,
+      reason: "spam",
+      details: "Ads",
+      status: "open",
+      createdAt: expect.any(Date),
+    });
+  });
+
+  test("works for an image", async function () {
+    const report = await Report.create({
+      reporter: "u2", targetType: "image", targetId: 2, reason: "nudity",
+    });
+    expect(report).toEqual(expect.objectContaining({
+      targetType: "image",
+      targetId: 2,
+      details: null,
+    }));
+  });
+
+  test("bad request for your own content", async function () {
+    await expect(Report.create({
+      reporter: "u1", targetType: "trip", targetId: 1, reason: "spam",
+    })).rejects.toThrow("You cannot report your own content");
+  });
+
+  test("bad request for a second open report", async function () {
+    const data = { reporter: "u2", targetType: "image", targetId: 1, reason: "spam" };
+    await Report.create(data);
+
+    await expect(Report.create({ ...data, reason: "hate" })).rejects.toThrow(
+        "You have already reported this image");
+  });
+
+  test("can report again once the first report is resolved", async function () {
+    const data = { reporter: "u2", targetType: "trip", targetId: 1, reason: "spam" };
+    await Report.create(data);
+    await Report.moderate("trip", 1, "dismiss", "admin");
+
+    expect((await Report.create(data)).status).toEqual("open");
+  });
+
+  test("not found for a trip the reporter can't see", async function () {
+    await expect(Report.create({
+      reporter: "u1", targetType: "trip", targetId: 2, reason: "spam",
+    })).rejects.toThrow(NotFoundError);
+  });
+
+  test("not found for a missing image", async function () {
+    await expect(Report.create({
+      reporter: "u2", targetType: "image", targetId: 999, reason: "spam",
+    })).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** findOpen */
+
+describe("findOpen", function () {
+  test("groups open reports by what was reported", async function () {
+    await Report.create({ reporter: "u2", targetType: "image", targetId: 1, reason: "spam" });
+    await Report.create({ reporter: "admin", targetType: "image", targetId: 1, reason: "spam" });
+    await Report.create({ reporter: "u2", targetType: "trip", targetId: 1, reason: "hate" });
+
+    const targets = await Report.findOpen();
+    expect(targets).toEqual([
+      expect.objectContaining({
+        targetType: "image",
+        targetId: 1,
+        trip: expect.objectContaining({ id: 1, title: "Trip1", username: "u1" }),
+        image: expect.objectContaining({ id: 1, caption: "Caption1" }),
+        reportCount: 2,
+        reasons: { spam: 2 },
+        reports: [
+          expect.objectContaining({ reporter: "u2", reason: "spam" }),
+          expect.objectContaining({ reporter: "admin", reason: "spam" }),
+        ],
+      }),
+      expect.objectContaining({
+        targetType: "trip",
+        targetId: 1,
+        image: null,
+        reportCount: 1,
+        reasons: { hate: 1 },
+      }),
+    ]);
+  });
+
+  test("leaves out resolved reports", async function () {
+    await Report.create({ reporter: "u2", targetType: "trip", targetId: 1, reason: "spam" });
+    await Report.moderate("trip", 1, "dismiss", "admin");
+
+    expect(await Report.findOpen()).toEqual([]);
+  });
+
+  test("leaves out reports of deleted content, which are closed", async function () {
+    await Report.create({ reporter: "u2", targetType: "trip", targetId: 1, reason: "spam" });
+    await Report.create({ reporter: "u2", targetType: "image", targetId: 2, reason: "spam" });
+    await Trip.remove(1);
+
+    expect(await Report.findOpen()).toEqual([]);
+    expect(await getReportStatuses()).toEqual(["removed", "removed"]);
+  });
+
+  test("keeps reports open if deleting the image fails", async function () {
+    await Report.create({ reporter: "u2", targetType: "image", targetId: 1, reason: "spam" });
+
+    await expect(Trip.removeImage(2, 1)).rejects.toThrow(NotFoundError);
+    expect(await getReportStatuses()).toEqual(["open"]);
+  });
+});
+
+/************************************** moderate */
+
+describe("moderate", function () {
+  test("dismiss resolves reports and leaves the content", async function () {
+    await Report.create({ reporter: "u2", targetType: "image", targetId: 1, reason: "spam" });
+
+    expect(await Report.moderate("image", 1, "dismiss", "admin")).toEqual({
+      resolved: 1,
+      removedImages: [],
+    });
+    expect(await getReportStatuses()).toEqual(["dismissed"]);
+  });
+
+  test("not found dismissing something with no open reports", async function () {
+    await expect(Report.moderate("trip", 1, "dismiss", "admin"))
+        .rejects.toThrow(NotFoundError);
+  });
+
+  test("hiding a trip resolves its images' reports too", async function () {
+    await Report.create({ reporter: "u2", targetType: "trip", targetId: 1, reason: "spam" });
+    await Report.create({ reporter: "u2", targetType: "image", targetId: 2, reason: "spam" });
+
+    expect(await Report.moderate("trip", 1, "hide", "admin")).toEqual({
+      resolved: 2,
+      removedImages: [],
+    });
+    expect(await getReportStatuses()).toEqual(["hidden", "hidden"]);
+    const tripRes = await db.query(`SELECT hidden_at FROM trips WHERE id = 1`);
+    expect(tripRes.rows[0].hidden_at).toEqual(expect.any(Date));
+  });
+
+  test("removing an image deletes it and returns its files", async function () {
+    await Report.create({ reporter: "u2", targetType: "image", targetId: 2, reason: "spam" });
+
+    expect(await Report.moderate("image", 2, "remove", "admin")).toEqual({
+      resolved: 1,
+      removedImages: [expect.objectContaining({ id: 2, fileUrl: "http://img2.com" })],
+    });
+    expect(await getReportStatuses()).toEqual(["removed"]);
+    const imageRes = await db.query(`SELECT id FROM images WHERE trip_id = 1`);
+    expect(imageRes.rows).toEqual([{ id: 1 }]);
+  });
+
+  test("leaves reports open if the action fails", async function () {
+    await Report.create({ reporter: "u2", targetType: "trip", targetId: 1, reason: "spam" });
+    jest.spyOn(Trip, "hide").mockRejectedValue(new Error("oops"));
+
+    await expect(Report.moderate("trip", 1, "hide", "admin")).rejects.toThrow("oops");
+    expect(await getReportStatuses()).toEqual(["open"]);
+  });
+
+  test("not found for a missing image", async function () {
+    await expect(Report.moderate("image", 999, "hide", "admin"))
+        .rejects.toThrow(NotFoundError);
+  });
+});
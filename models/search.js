@@ -0,0 +1,153 @@
+"use strict";
+
+const db = require("../db");
+const Tag = require("./tag");
+const { sqlForVisibleTrips, sqlForVisibleImages } = require("../helpers/sql");
+
+/** Full-text search across trips, images and users.
+ *
+ * Queries are parsed with websearch_to_tsquery, so they support quoted
+ * phrases, "or" and -excluded words.
+ *
+ * Trips and images are limited to those the viewer (a username, or null if
+ * anonymous) may see.
+ *
+ * The trip and user documents below must match the expression indexes in
+ * traveler-schema.sql, or Postgres won't use them. Images keep their
+ * document in images.search_document, since it includes their tags (see
+ * Tag.updateImageSearch).
+ */
+
+const TRIP_DOCUMENT = `(setweight(to_tsvector('english', t.title), 'A') ||
+                        setweight(to_tsvector('english',
+                          COALESCE(t.city, '') || ' ' ||
+                          COALESCE(t.country, '')), 'B') ||
+                        setweight(to_tsvector('english',
+                          COALESCE(t.description, '')), 'C'))`;
+
+const USER_DOCUMENT = `(setweight(to_tsvector('english',
+                          u.username || ' ' ||
+                          COALESCE(u.first_name, '') || ' ' ||
+                          COALESCE(u.last_name, '')), 'A') ||
+                        setweight(to_tsvector('english',
+                          COALESCE(u.about, '')), 'B'))`;
+
+const TYPES = ["trips", "images", "users"];
+
+class Search {
+  /** Search trip titles, locations (city and country) and descriptions.
+   * Titles rank above locations, and locations above descriptions.
+   *
+   * Returns [{ id, title, userId, username, profImage, profImageVariants,
+   *            rank }, ...],
+   * best match first.
+   * */
+
+  static async trips(q, { viewer, limit, offset }) {
+    const result = await db.query(
+          `SELECT t.id,
+                  t.title,
+                  t.user_id AS "userId",
+                  u.username,
+                  u.profile_image AS "profImage",
+                  u.profile_image_variants AS "profImageVariants",
+                  ts_rank(${TRIP_DOCUMENT}, query) AS "rank"
+           FROM trips AS "t"
+           JOIN users AS "u" ON t.user_id = u.id,
+                websearch_to_tsquery('english', $1) AS query
+           WHERE ${TRIP_DOCUMENT} @@ query
+             AND ${sqlForVisibleTrips(4)}
+           ORDER BY "rank" DESC, t.id DESC
+           LIMIT $2 OFFSET $3`,
+        [q, limit, offset, viewer],
+    );
+
+    return result.rows;
+  }
+
+  /** Search image captions and tags. Captions rank above tags.
+   *
+   * Returns [{ id, fileUrl, variants, status, caption, tripId, tripTitle,
+   *            username, tags, rank }, ...], best match first.
+   * */
+
+  static async images(q, { viewer, limit, offset }) {
+    const result = await db.query(
+          `SELECT i.id,
+                  i.file_url AS "fileUrl",
+                  i.variants,
+                  i.status,
+                  i.caption,
+                  tr.id AS "tripId",
+                  tr.title AS "tripTitle",
+                  u.username,
+                  ts_rank(i.search_document, query) AS "rank"
+           FROM images AS "i"
+           JOIN trips AS "tr" ON i.trip_id = tr.id
+           JOIN users AS "u" ON tr.user_id = u.id,
+                websearch_to_tsquery('english', $1) AS query
+           WHERE i.search_document @@ query
+             AND ${sqlForVisibleTrips(4, "tr", "u")}
+             AND ${sqlForVisibleImages(4)}
+           ORDER BY "rank" DESC, i.id DESC
+           LIMIT $2 OFFSET $3`,
+        [q, limit, offset, viewer],
+    );
+
+    return Tag.attachToImages(result.rows);
+  }
+
+  /** Search usernames, first and last names, and about text. Names rank
+   * above about text. Suspended users are left out.
+   *
+   * Returns [{ username, firstName, lastName, profImage, profImageVariants,
+   *            about, rank }, ...],
+   * best match first.
+   * */
+
+  static async users(q, { limit, offset }) {
+    const result = await db.query(
+          `SELECT u.username,
+                  u.first_name AS "firstName",
+                  u.last_name AS "lastName",
+                  u.profile_image AS "profImage",
+                  u.profile_image_variants AS "profImageVariants",
+                  u.about,
+                  ts_rank(${USER_DOCUMENT}, query) AS "rank"
+           FROM users AS "u",
+                websearch_to_tsquery('english', $1) AS query
+           WHERE ${USER_DOCUMENT} @@ query
+             AND u.suspended_at IS NULL
+           ORDER BY "rank" DESC, u.username
+           LIMIT $2 OFFSET $3`,
+        [q, limit, offset],
+    );
+
+    return result.rows;
+  }
+
+  /** Search everything, or only one type of result.
+   *
+   * opts can include { viewer, type, limit, offset }; type is one of "trips",
+   * "images" or "users". limit and offset apply to each type separately.
+   *
+   * Returns { trips, images, users } (only the requested type, if one was
+   * given), where each is a ranked list as above.
+   * */
+
+  static async search(q, { viewer = null, type, limit = 10, offset = 0 } = {}) {
+    const types = type ? [type] : TYPES;
+    const results = {};
+
+    for (let t of types) {
+      results[t] = await Search[t](q, { viewer, limit, offset });
+    }
+
+    return results;
+  }
+}
+
+Search.TYPES = TYPES;
+
+
+module.exports = Search;
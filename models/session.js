@@ -0,0 +1,174 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db");
+const { NotFoundError, UnauthorizedError } = require("../expressError");
+const { createRefreshToken, hashToken } = require("../helpers/tokens");
+const { REFRESH_TOKEN_TTL } = require("../config");
+
+/** Related functions for login sessions.
+ *
+ * Logging in starts a session. Access tokens carry the session id, and a
+ * session is kept going by trading its refresh token for a new one (each
+ * refresh token works once). Logging out revokes the session, which stops
+ * its access and refresh tokens from working.
+ */
+
+class Session {
+  /** Start a new session for a user.
+   *
+   * Returns { sessionId, refreshToken }
+   *
+   * Throws NotFoundError if user not found.
+   * */
+
+  static async create(username) {
+    const sessionId = crypto.randomUUID();
+    const result = await db.query(
+          `INSERT INTO sessions (id, user_id)
+           SELECT $1, id
+           FROM users
+           WHERE username = $2
+           RETURNING id`,
+        [sessionId, username],
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const refreshToken = await Session._issueRefreshToken(sessionId);
+    return { sessionId, refreshToken };
+  }
+
+  /** Store a new refresh token for a session; returns the token. */
+
+  static async _issueRefreshToken(sessionId) {
+    const refreshToken = createRefreshToken();
+    await db.query(
+          `INSERT INTO refresh_tokens (token_hash, session_id, expires_at)
+           VALUES ($1, $2, NOW() + $3::float8 * INTERVAL '1 second')`,
+        [hashToken(refreshToken), sessionId, REFRESH_TOKEN_TTL],
+    );
+    return refreshToken;
+  }
+
+  /** Trade a refresh token for a new one in the same session.
+   *
+   * Returns { sessionId, refreshToken, user }
+   * where user is { username, isAdmin }, read fresh from the DB.
+   *
+   * Throws UnauthorizedError if the token is unknown or expired, or its
+   * session has been logged out. A token that was already used has
+   * probably been stolen, so its whole session is logged out too.
+   * */
+
+  static async refresh(refreshToken) {
+    const tokenHash = hashToken(refreshToken);
+    const result = await db.query(
+          `UPDATE refresh_tokens AS "rt"
+           SET used_at = NOW()
+           FROM sessions AS "s"
+           JOIN users AS "u" ON s.user_id = u.id
+           WHERE rt.token_hash = $1
+             AND rt.session_id = s.id
+             AND rt.used_at IS NULL
+             AND rt.expires_at > NOW()
+             AND s.revoked_at IS NULL
+           RETURNING s.id AS "sessionId",
+                     u.username,
+                     u.is_admin AS "isAdmin"`,
+        [tokenHash],
+    );
+    const session = result.rows[0];
+
+    if (!session) {
+      const usedRes = await db.query(
+            `SELECT session_id AS "sessionId"
+             FROM refresh_tokens
+             WHERE token_hash = $1 AND used_at IS NOT NULL`,
+          [tokenHash],
+      );
+      if (usedRes.rows[0]) {
+        await Session.revoke(usedRes.rows[0].sessionId);
+        throw new UnauthorizedError(
+            "Refresh token was already used; the session has been logged out");
+      }
+      throw new UnauthorizedError("Invalid or expired refresh token");
+    }
+
+    await db.query(
+          `UPDATE sessions
+           SET last_used_at = NOW()
+           WHERE id = $1`,
+        [session.sessionId],
+    );
+    const newToken = await Session._issueRefreshToken(session.sessionId);
+
+    return {
+      sessionId: session.sessionId,
+      refreshToken: newToken,
+      user: { username: session.username, isAdmin: session.isAdmin },
+    };
+  }
+
+  /** Return whether a session exists and hasn't been logged out. */
+
+  static async isActive(sessionId) {
+    const result = await db.query(
+          `SELECT id
+           FROM sessions
+           WHERE id = $1 AND revoked_at IS NULL`,
+        [sessionId],
+    );
+    return result.rows.length > 0;
+  }
+
+  /** Log a session out; returns undefined. */
+
+  static async revoke(sessionId) {
+    await db.query(
+          `UPDATE sessions
+           SET revoked_at = NOW()
+           WHERE id = $1 AND revoked_at IS NULL`,
+        [sessionId],
+    );
+  }
+
+  /** Log out the session a refresh token belongs to; returns undefined.
+   *
+   * Unknown tokens are ignored.
+   * */
+
+  static async revokeByRefreshToken(refreshToken) {
+    await db.query(
+          `UPDATE sessions
+           SET revoked_at = NOW()
+           WHERE revoked_at IS NULL
+             AND id = (SELECT session_id
+                       FROM refresh_tokens
+                       WHERE token_hash = $1)`,
+        [hashToken(refreshToken)],
+    );
+  }
+
+  /** Log out every session of a user, except the session with id `except`
+   * if it's given.
+   *
+   * Returns the number of sessions logged out.
+   * */
+
+  static async revokeAll(username, { except = null } = {}) {
+    const result = await db.query(
+          `UPDATE sessions
+           SET revoked_at = NOW()
+           WHERE revoked_at IS NULL
+             AND ($2::uuid IS NULL OR id <> $2)
+             AND user_id = (SELECT id
+                            FROM users
+                            WHERE username = $1)`,
+        [username, except],
+    );
+    return result.rowCount;
+  }
+}
+
+
+module.exports = Session;
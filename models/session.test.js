@@ -0,0 +1,121 @@
+"use strict";
+
+const db = require("../db.js");
+const Session = require("./session.js");
+const { hashToken } = require("../helpers/tokens");
+const { NotFoundError, UnauthorizedError } = require("../expressError");
+const { commonBeforeEach, commonAfterAll } = require("./_testCommon");
+
+beforeEach(commonBeforeEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const { sessionId, refreshToken } = await Session.create("u1");
+    expect(sessionId).toEqual(expect.any(String));
+    expect(refreshToken).toEqual(expect.any(String));
+    expect(await Session.isActive(sessionId)).toEqual(true);
+  });
+
+  test("only stores the refresh token's hash", async function () {
+    const { refreshToken } = await Session.create("u1");
+    const result = await db.query(`SELECT token_hash FROM refresh_tokens`);
+    expect(result.rows).toEqual([{ token_hash: hashToken(refreshToken) }]);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(Session.create("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** refresh */
+
+describe("refresh", function () {
+  test("trades a refresh token for a new one", async function () {
+    const { sessionId, refreshToken } = await Session.create("admin");
+
+    const result = await Session.refresh(refreshToken);
+    expect(result).toEqual({
+      sessionId,
+      refreshToken: expect.any(String),
+      user: { username: "admin", isAdmin: true },
+    });
+    expect(result.refreshToken).not.toEqual(refreshToken);
+
+    // ...and the new one works in turn
+    expect((await Session.refresh(result.refreshToken)).sessionId).toEqual(sessionId);
+  });
+
+  test("a reused refresh token logs the session out", async function () {
+    const { sessionId, refreshToken } = await Session.create("u1");
+    const { refreshToken: newToken } = await Session.refresh(refreshToken);
+
+    await expect(Session.refresh(refreshToken)).rejects.toThrow(
+        "Refresh token was already used; the session has been logged out");
+    expect(await Session.isActive(sessionId)).toEqual(false);
+    await expect(Session.refresh(newToken)).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth for an expired token", async function () {
+    const { refreshToken } = await Session.create("u1");
+    await db.query(`UPDATE refresh_tokens SET expires_at = NOW() - INTERVAL '1 second'`);
+
+    await expect(Session.refresh(refreshToken)).rejects.toThrow(
+        "Invalid or expired refresh token");
+  });
+
+  test("unauth for an unknown token", async function () {
+    await expect(Session.refresh("nope")).rejects.toThrow(
+        "Invalid or expired refresh token");
+  });
+
+  test("unauth once the session is logged out", async function () {
+    const { sessionId, refreshToken } = await Session.create("u1");
+    await Session.revoke(sessionId);
+
+    await expect(Session.refresh(refreshToken)).rejects.toThrow(UnauthorizedError);
+  });
+});
+
+/************************************** revokeByRefreshToken */
+
+describe("revokeByRefreshToken", function () {
+  test("logs out the token's session", async function () {
+    const { sessionId, refreshToken } = await Session.create("u1");
+    const other = await Session.create("u1");
+
+    await Session.revokeByRefreshToken(refreshToken);
+    expect(await Session.isActive(sessionId)).toEqual(false);
+    expect(await Session.isActive(other.sessionId)).toEqual(true);
+  });
+
+  test("ignores unknown tokens", async function () {
+    await Session.revokeByRefreshToken("nope");
+  });
+});
+
+/************************************** revokeAll */
+
+describe("revokeAll", function () {
+  test("logs out every session of a user", async function () {
+    const a = await Session.create("u1");
+    const b = await Session.create("u1");
+    const u2 = await Session.create("u2");
+
+    expect(await Session.revokeAll("u1")).toEqual(2);
+    expect(await Session.isActive(a.sessionId)).toEqual(false);
+    expect(await Session.isActive(b.sessionId)).toEqual(false);
+    expect(await Session.isActive(u2.sessionId)).toEqual(true);
+  });
+
+  test("can keep one session", async function () {
+    const a = await Session.create("u1");
+    const b = await Session.create("u1");
+
+    expect(await Session.revokeAll("u1", { except: a.sessionId })).toEqual(1);
+    expect(await Session.isActive(a.sessionId)).toEqual(true);
+    expect(await Session.isActive(b.sessionId)).toEqual(false);
+  });
+});
@@ -0,0 +1,164 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+
+/** Related functions for product suggestions. */
+
+class Suggestion {
+  /** Create a suggestion from user `username`, update db, return new
+   * suggestion data.
+   *
+   * Returns { id, username, suggestion, status, response, createdAt,
+   *           respondedAt }
+   *
+   * Throws NotFoundError if user not found.
+   * */
+
+  static async create(username, { suggestion }) {
+    const result = await db.query(
+          `INSERT INTO suggestions (user_id, suggestion)
+           SELECT id, $2
+           FROM users
+           WHERE username = $1
+           RETURNING id,
+                     suggestion,
+                     status,
+                     response,
+                     created_at AS "createdAt",
+                     responded_at AS "respondedAt"`,
+        [username, suggestion],
+    );
+    const created = result.rows[0];
+
+    if (!created) throw new NotFoundError(`No user: ${username}`);
+
+    return { ...created, username };
+  }
+
+  /** Find all suggestions, newest first. Optionally filter by status
+   * ("open", "accepted" or "rejected").
+   *
+   * Returns [{ id, username, suggestion, status, response, createdAt,
+   *            respondedAt }, ...]
+   * */
+
+  static async findAll({ status } = {}) {
+    const result = await db.query(
+          `SELECT s.id,
+                  u.username,
+                  s.suggestion,
+                  s.status,
+                  s.response,
+                  s.created_at AS "createdAt",
+                  s.responded_at AS "respondedAt"
+           FROM suggestions AS "s"
+           JOIN users AS "u" ON s.user_id = u.id
+           WHERE ($1::text IS NULL OR s.status = $1)
+           ORDER BY s.id DESC`,
+        [status || null],
+    );
+
+    return result.rows;
+  }
+
+  /** Find all suggestions made by user `username`, newest first.
+   *
+   * Returns [{ id, username, suggestion, status, response, createdAt,
+   *            respondedAt }, ...]
+   * */
+
+  static async findByUser(username) {
+    const result = await db.query(
+          `SELECT s.id,
+                  u.username,
+                  s.suggestion,
+                  s.status,
+                  s.response,
+                  s.created_at AS "createdAt",
+                  s.responded_at AS "respondedAt"
+           FROM suggestions AS "s"
+           JOIN users AS "u" ON s.user_id = u.id
+           WHERE u.username = $1
+           ORDER BY s.id DESC`,
+        [username],
+    );
+
+    return result.rows;
+  }
+
+  /** Given a suggestion id, return that suggestion.
+   *
+   * Returns { id, username, suggestion, status, response, createdAt,
+   *           respondedAt }
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async get(id) {
+    const result = await db.query(
+          `SELECT s.id,
+                  u.username,
+                  s.suggestion,
+                  s.status,
+                  s.response,
+                  s.created_at AS "createdAt",
+                  s.responded_at AS "respondedAt"
+           FROM suggestions AS "s"
+           JOIN users AS "u" ON s.user_id = u.id
+           WHERE s.id = $1`,
+        [id],
+    );
+    const suggestion = result.rows[0];
+
+    if (!suggestion) throw new NotFoundError(`No suggestion: ${id}`);
+
+    return suggestion;
+  }
+
+  /** Respond to a suggestion: set its status and an optional response.
+   *
+   * data should be { status, response }
+   *
+   * Returns { id, username, suggestion, status, response, createdAt,
+   *           respondedAt }
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async respond(id, { status, response = null }) {
+    const result = await db.query(
+          `UPDATE suggestions
+           SET status = $2,
+               response = $3,
+               responded_at = NOW()
+           WHERE id = $1
+           RETURNING id`,
+        [id, status, response],
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No suggestion: ${id}`);
+
+    return Suggestion.get(id);
+  }
+
+  /** Delete given suggestion from database; returns undefined.
+   *
+   * Throws NotFoundError if suggestion not found.
+   **/
+
+  static async remove(id) {
+    const result = await db.query(
+          `DELETE
+           FROM suggestions
+           WHERE id = $1
+           RETURNING id`,
+        [id],
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No suggestion: ${id}`);
+  }
+}
+
+
+module.exports = Suggestion;
@@ -0,0 +1,261 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { decodeCursor, paginate } = require("../helpers/pagination");
+const { sqlForVisibleTrips, sqlForVisibleImages } = require("../helpers/sql");
+
+/** Related functions for image tags.
+ *
+ * Each image can have any number of tags. A tag link records where the tag
+ * came from ("label" or "landmark" from the tagging provider, or "user") and
+ * the provider's confidence score, if any.
+ */
+
+class Tag {
+  /** Add tags to an image; returns undefined.
+   *
+   * tags should be [{ name, source, confidence }, ...], in display order.
+   * Tag names are matched regardless of case, and a new tag keeps the case
+   * it was first added with. Tags the image already has, and repeats within
+   * `tags`, are skipped.
+   *
+   * Pass a client from db.transaction to run the queries in that transaction.
+   *
+   * Doesn't update the image's search document; callers do that once
+   * they're done changing the image (see updateImageSearch).
+   * */
+
+  static async addToImage(imageId, tags, client = db) {
+    const seen = new Set();
+    const unique = tags.filter(tag => {
+      if (!tag.name || seen.has(tag.name.toLowerCase())) return false;
+      seen.add(tag.name.toLowerCase());
+      return true;
+    });
+    if (unique.length === 0) return;
+
+    const names = unique.map(tag => tag.name);
+
+    await client.query(
+          `INSERT INTO tags (name)
+           SELECT unnest($1::text[])
+           ON CONFLICT ((lower(name))) DO NOTHING`,
+        [names],
+    );
+
+    const posRes = await client.query(
+          `SELECT COALESCE(MAX(position), 0) AS "maxPosition"
+           FROM image_tags
+           WHERE image_id = $1`,
+        [imageId],
+    );
+    const start = posRes.rows[0].maxPosition + 1;
+
+    await client.query(
+          `INSERT INTO image_tags (image_id, tag_id, source, confidence, position)
+           SELECT $1, tg.id, t.source, t.confidence, t.position
+           FROM unnest($2::text[], $3::text[], $4::real[], $5::integer[])
+                AS t(name, source, confidence, position)
+           JOIN tags AS "tg" ON lower(tg.name) = lower(t.name)
+           ON CONFLICT (image_id, tag_id) DO NOTHING`,
+        [
+          imageId,
+          names,
+          unique.map(tag => tag.source),
+          unique.map(tag => (tag.confidence === undefined ? null : tag.confidence)),
+          unique.map((tag, idx) => start + idx),
+        ],
+    );
+  }
+
+  /** Replace an image's tags with the given list of names; returns
+   * undefined.
+   *
+   * Tags the image keeps retain their source and confidence; new ones are
+   * recorded as the user's own. Positions follow the order of `names`.
+   * Names are matched regardless of case.
+   *
+   * Runs in a transaction, so the image never ends up with only some of
+   * its tags.
+   * */
+
+  static async setForImage(imageId, names) {
+    const seen = new Set();
+    const unique = names.filter(name => {
+      if (seen.has(name.toLowerCase())) return false;
+      seen.add(name.toLowerCase());
+      return true;
+    });
+
+    await db.transaction(async client => {
+      await client.query(
+            `DELETE
+             FROM image_tags
+             WHERE image_id = $1
+               AND tag_id NOT IN (SELECT id
+                                  FROM tags
+                                  WHERE lower(name) IN (SELECT lower(unnest($2::text[]))))`,
+          [imageId, unique],
+      );
+
+      await Tag.addToImage(imageId,
+          unique.map(name => ({ name, source: "user", confidence: null })), client);
+
+      await client.query(
+            `UPDATE image_tags AS "it"
+             SET position = o.position
+             FROM unnest($2::text[]) WITH ORDINALITY AS o(name, position)
+             JOIN tags AS "t" ON lower(t.name) = lower(o.name)
+             WHERE it.image_id = $1 AND it.tag_id = t.id`,
+          [imageId, unique],
+      );
+
+      await Tag.updateImageSearch(imageId, client);
+    });
+  }
+
+  /** Rebuild an image's full-text search document from its caption and
+   * tags; returns undefined. Must be called whenever either changes.
+   *
+   * Captions rank above tags (see Search.images).
+   * */
+
+  static async updateImageSearch(imageId, client = db) {
+    await client.query(
+          `UPDATE images AS "i"
+           SET search_document =
+                 setweight(to_tsvector('english', COALESCE(i.caption, '')), 'A') ||
+                 setweight(to_tsvector('english',
+                   COALESCE((SELECT string_agg(tg.name, ' ' ORDER BY it.position)
+                             FROM image_tags AS "it"
+                             JOIN tags AS "tg" ON it.tag_id = tg.id
+                             WHERE it.image_id = i.id), '')), 'B')
+           WHERE i.id = $1`,
+        [imageId],
+    );
+  }
+
+  /** Given a list of image rows (each with an `id`), set their tags;
+   * returns the same list.
+   *
+   * Each image gets tags: [{ name, source, confidence }, ...] plus the
+   * older tag1..tag5 fields, which hold the names of its first five tags.
+   * */
+
+  static async attachToImages(images) {
+    if (images.length === 0) return images;
+
+    const result = await db.query(
+          `SELECT it.image_id AS "imageId",
+                  t.name,
+                  it.source,
+                  it.confidence
+           FROM image_tags AS "it"
+           JOIN tags AS "t" ON it.tag_id = t.id
+           WHERE it.image_id = ANY($1)
+           ORDER BY it.image_id, it.position`,
+        [images.map(image => image.id)],
+    );
+
+    const tagsByImage = new Map();
+    for (let { imageId, ...tag } of result.rows) {
+      if (!tagsByImage.has(imageId)) tagsByImage.set(imageId, []);
+      tagsByImage.get(imageId).push(tag);
+    }
+
+    for (let image of images) {
+      const tags = tagsByImage.get(image.id) || [];
+      image.tags = tags;
+      for (let i = 0; i < 5; i++) {
+        image[`tag${i + 1}`] = tags[i] ? tags[i].name : null;
+      }
+    }
+
+    return images;
+  }
+
+  /** Find images with the given tag (case-insensitive), newest first, one
+   * page at a time.
+   *
+   * Only images in trips the viewer (a username, or null if anonymous) may
+   * see are included.
+   *
+   * Paginated by cursor (see helpers/pagination.js): pass the nextCursor
+   * from the previous page to get the next one.
+   *
+   * Returns { images, nextCursor }
+   *   where images is [{ id, fileUrl, variants, status, caption, tripId,
+   *                      tripTitle, username, tags }, ...]
+   *   and nextCursor is null when there are no more images.
+   *
+   * Throws BadRequestError if the cursor is invalid.
+   * */
+
+  static async getImages(name, { viewer = null, cursor, limit = 20 } = {}) {
+    let before = null;
+    if (cursor !== undefined) {
+      [before] = decodeCursor(cursor);
+      if (!Number.isInteger(before)) throw new BadRequestError("Invalid cursor");
+    }
+
+    const result = await db.query(
+          `SELECT i.id,
+                  i.file_url AS "fileUrl",
+                  i.variants,
+                  i.status,
+                  i.caption,
+                  tr.id AS "tripId",
+                  tr.title AS "tripTitle",
+                  u.username
+           FROM images AS "i"
+           JOIN trips AS "tr" ON i.trip_id = tr.id
+           JOIN users AS "u" ON tr.user_id = u.id
+           WHERE i.id IN (SELECT it.image_id
+                          FROM image_tags AS "it"
+                          JOIN tags AS "t" ON it.tag_id = t.id
+                          WHERE LOWER(t.name) = LOWER($1))
+             AND ${sqlForVisibleTrips(2, "tr", "u")}
+             AND ${sqlForVisibleImages(2)}
+             AND ($3::integer IS NULL OR i.id < $3)
+           ORDER BY i.id DESC
+           LIMIT $4`,
+        [name, viewer, before, limit + 1],
+    );
+
+    const { rows: images, nextCursor } =
+        paginate(result.rows, limit, image => [image.id]);
+    await Tag.attachToImages(images);
+
+    return { images, nextCursor };
+  }
+
+  /** Find the most used tags. Only images in public trips are counted, and
+   * hidden trips and images aren't.
+   *
+   * Returns [{ tag, count }, ...], most used first.
+   * */
+
+  static async findPopular(limit = 20) {
+    const result = await db.query(
+          `SELECT t.name AS "tag",
+                  COUNT(*)::integer AS "count"
+           FROM tags AS "t"
+           JOIN image_tags AS "it" ON it.tag_id = t.id
+           JOIN images AS "i" ON it.image_id = i.id
+           JOIN trips AS "tr" ON i.trip_id = tr.id
+           WHERE tr.visibility = 'public'
+             AND tr.hidden_at IS NULL
+             AND i.hidden_at IS NULL
+           GROUP BY t.id
+           ORDER BY "count" DESC, t.name
+           LIMIT $1`,
+        [limit],
+    );
+
+    return result.rows;
+  }
+}
+
+
+module.exports = Tag;
@@ -0,0 +1,89 @@
+"use strict";
+
+const db = require("../db.js");
+const Tag = require("./tag.js");
+const { commonBeforeEach, commonAfterAll } = require("./_testCommon");
+
+beforeEach(commonBeforeEach);
+afterEach(() => jest.restoreAllMocks());
+afterAll(commonAfterAll);
+
+async function getTags(imageId) {
+  const [image] = await Tag.attachToImages([{ id: imageId }]);
+  return image.tags;
+}
+
+/************************************** addToImage */
+
+describe("addToImage", function () {
+  test("works", async function () {
+    await Tag.addToImage(1, [
+      { name: "Beach", source: "label", confidence: 0.5 },
+      { name: "Eiffel Tower", source: "landmark", confidence: 0.9 },
+    ]);
+    expect(await getTags(1)).toEqual([
+      { name: "Beach", source: "label", confidence: 0.5 },
+      { name: "Eiffel Tower", source: "landmark", confidence: 0.9 },
+    ]);
+  });
+
+  test("skips tags the image has, regardless of case", async function () {
+    await Tag.addToImage(1, [{ name: "Beach", source: "label", confidence: 0.5 }]);
+    await Tag.addToImage(1, [
+      { name: "beach", source: "user", confidence: null },
+      { name: "Sea", source: "user", confidence: null },
+      { name: "SEA", source: "user", confidence: null },
+    ]);
+    expect((await getTags(1)).map(t => t.name)).toEqual(["Beach", "Sea"]);
+  });
+
+  test("shares tags between images, keeping the first case", async function () {
+    await Tag.addToImage(1, [{ name: "Beach", source: "label", confidence: 0.5 }]);
+    await Tag.addToImage(2, [{ name: "BEACH", source: "user", confidence: null }]);
+
+    expect((await getTags(2)).map(t => t.name)).toEqual(["Beach"]);
+    const tagsRes = await db.query(`SELECT name FROM tags`);
+    expect(tagsRes.rows).toEqual([{ name: "Beach" }]);
+  });
+});
+
+/************************************** setForImage */
+
+describe("setForImage", function () {
+  test("replaces and reorders tags, keeping kept tags' details", async function () {
+    await Tag.addToImage(1, [
+      { name: "Beach", source: "label", confidence: 0.5 },
+      { name: "Sky", source: "label", confidence: 0.4 },
+    ]);
+
+    await Tag.setForImage(1, ["Sunset", "beach"]);
+    expect(await getTags(1)).toEqual([
+      { name: "Sunset", source: "user", confidence: null },
+      { name: "Beach", source: "label", confidence: 0.5 },
+    ]);
+  });
+
+  test("changes nothing if it fails part way", async function () {
+    await Tag.addToImage(1, [{ name: "Beach", source: "label", confidence: 0.5 }]);
+    jest.spyOn(Tag, "addToImage").mockRejectedValue(new Error("oops"));
+
+    await expect(Tag.setForImage(1, ["Sunset"])).rejects.toThrow("oops");
+    expect((await getTags(1)).map(t => t.name)).toEqual(["Beach"]);
+  });
+});
+
+/************************************** attachToImages */
+
+describe("attachToImages", function () {
+  test("sets tags and the older tag1..tag5 fields", async function () {
+    await Tag.addToImage(1, ["A", "B", "C", "D", "E", "F"].map(name => (
+      { name, source: "user", confidence: null })));
+
+    const [image, other] = await Tag.attachToImages([{ id: 1 }, { id: 2 }]);
+    expect(image.tags.length).toEqual(6);
+    expect(image).toEqual(expect.objectContaining({
+      tag1: "A", tag2: "B", tag3: "C", tag4: "D", tag5: "E",
+    }));
+    expect(other).toEqual(expect.objectContaining({ tags: [], tag1: null }));
+  });
+});
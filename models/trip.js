@@ -2,97 +2,451 @@
 
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
+const Tag = require("./tag");
+const { decodeCursor, paginate } = require("../helpers/pagination");
+const {
+  sqlForPartialUpdate,
+  sqlForVisibleTrips,
+  sqlForVisibleImages,
+} = require("../helpers/sql");
+const { imagesToFeatureCollection } = require("../helpers/geojson");
+
+/** A trip's own fields, for use in a SELECT list where trips are aliased
+ * as "t". Dates come back as "YYYY-MM-DD" strings so they don't shift with
+ * the server's time zone.
+ */
+
+const TRIP_COLUMNS = `t.id,
+                      t.title,
+                      t.user_id AS "userId",
+                      t.description,
+                      to_char(t.start_date, 'YYYY-MM-DD') AS "startDate",
+                      to_char(t.end_date, 'YYYY-MM-DD') AS "endDate",
+                      t.country,
+                      t.city,
+                      t.visibility,
+                      t.cover_image_id AS "coverImageId",
+                      t.created_at AS "createdAt",
+                      t.updated_at AS "updatedAt",
+                      t.hidden_at AS "hiddenAt"`;
+
+/** Maps trip fields to database columns, for sqlForPartialUpdate. */
+
+const TRIP_JS_TO_SQL = {
+  startDate: "start_date",
+  endDate: "end_date",
+};
+
+/** SQL for whether the viewer, in query parameter viewerVarIdx, has a like
+ * in `table` for the trip or image whose id is `targetSql`.
+ */
+
+const viewerLikedSql = (table, targetCol, targetSql, viewerVarIdx) =>
+    `EXISTS (SELECT 1
+             FROM ${table} AS "vl"
+             JOIN users AS "vu" ON vl.user_id = vu.id
+             WHERE vl.${targetCol} = ${targetSql}
+               AND vu.username = $${viewerVarIdx}::text)`;
+
+/** A trip's like and comment counts, and whether the viewer (in query
+ * parameter viewerVarIdx) has liked it, for use in a SELECT list where trips
+ * are aliased as "t".
+ */
+
+const reactionsSql = viewerVarIdx =>
+    `(SELECT COUNT(*)::int
+      FROM trip_likes
+      WHERE trip_id = t.id) AS "likeCount",
+     (SELECT COUNT(*)::int
+      FROM comments
+      WHERE trip_id = t.id) AS "commentCount",
+     ${viewerLikedSql("trip_likes", "trip_id", "t.id", viewerVarIdx)} AS "viewerHasLiked"`;
+
+/** A trip's images as a JSON array, in display order, for use in a SELECT
+ * list where trips are aliased as "t" and their owners as "u". Loads every
+ * trip's images in the same query instead of one query per trip. Tags are
+ * added afterwards with Tag.attachToImages.
+ *
+ * Hidden images are left out unless the viewer, in query parameter
+ * viewerVarIdx, owns the trip. Each image has its like count and whether the
+ * viewer has liked it.
+ */
+
+const imagesSql = viewerVarIdx => `COALESCE(
+                      (SELECT json_agg(json_build_object(
+                                'id', i.id,
+                                'fileUrl', i.file_url,
+                                'variants', i.variants,
+                                'status', i.status,
+                                'caption', i.caption,
+                                'takenAt', to_char(i.taken_at, 'YYYY-MM-DD"T"HH24:MI:SS'),
+                                'cameraModel', i.camera_model,
+                                'latitude', i.latitude,
+                                'longitude', i.longitude,
+                                'locationSource', i.location_source,
+                                'hiddenAt', i.hidden_at,
+                                'likeCount', (SELECT COUNT(*)::int
+                                              FROM image_likes
+                                              WHERE image_id = i.id),
+                                'viewerHasLiked', ${viewerLikedSql("image_likes", "image_id", "i.id", viewerVarIdx)})
+                              ORDER BY i.position, i.id)
+                       FROM images AS "i"
+                       WHERE i.trip_id = t.id
+                         AND ${sqlForVisibleImages(viewerVarIdx)}),
+                      '[]'::json) AS "images"`;
+
+/** A trip's cover image as a JSON object, or null if it has no images, for
+ * use in a SELECT list where trips are aliased as "t" and their owners as
+ * "u". The cover is the image chosen with Trip.setCover, or else the first
+ * image, leaving out hidden images as imagesSql does.
+ */
+
+const coverSql = viewerVarIdx => `(SELECT json_build_object(
+                            'id', ci.id,
+                            'fileUrl', ci.file_url,
+                            'variants', ci.variants,
+                            'caption', ci.caption)
+                    FROM images AS "ci"
+                    WHERE ci.trip_id = t.id
+                      AND ${sqlForVisibleImages(viewerVarIdx, "ci")}
+                    ORDER BY COALESCE(ci.id = t.cover_image_id, FALSE) DESC,
+                             ci.position, ci.id
+                    LIMIT 1) AS "cover"`;
+
+/** Sort options for trip listings.
+ *
+ * columns are the sort keys stored in a cursor (with their types); op
+ * compares them to a cursor to find the rows on the following pages.
+ */
+
+const TRIP_SORTS = {
+  newest: {
+    orderBy: "t.id DESC",
+    columns: ["t.id"],
+    types: ["integer"],
+    op: "<",
+    cursor: trip => [trip.id],
+  },
+  oldest: {
+    orderBy: "t.id",
+    columns: ["t.id"],
+    types: ["integer"],
+    op: ">",
+    cursor: trip => [trip.id],
+  },
+  title: {
+    orderBy: "t.title, t.id",
+    columns: ["t.title", "t.id"],
+    types: ["string", "integer"],
+    op: ">",
+    cursor: trip => [trip.title, trip.id],
+  },
+};
+
+/** Image columns needed to place an image on a map, for use where images
+ * are aliased as "i" and their trips as "t".
+ */
+
+const MAP_IMAGE_COLUMNS =
+    `i.id,
+     i.trip_id AS "tripId",
+     t.title AS "tripTitle",
+     i.file_url AS "fileUrl",
+     i.variants,
+     i.status,
+     i.caption,
+     to_char(i.taken_at, 'YYYY-MM-DD"T"HH24:MI:SS') AS "takenAt",
+     i.latitude,
+     i.longitude,
+     i.location_source AS "locationSource"`;
 
 /** Related functions for trips. */
 
 class Trip {
   /** Create a trip (from data), update db, return new trip data.
    *
-   * data should be { handle, name, description, numEmployees, logoUrl }
+   * data should be { title, userId, description, startDate, endDate,
+   *                  country, city, visibility }
+   * where only title and userId are required. visibility is "public"
+   * (default), "followers" or "private".
    *
-   * Returns { handle, name, description, numEmployees, logoUrl }
+   * Returns { id, title, userId, description, startDate, endDate, country,
+   *           city, visibility, coverImageId, createdAt, updatedAt }
    *
-   * Throws BadRequestError if trip already in database.
+   * Throws BadRequestError if a date is invalid or endDate is before
+   * startDate.
    * */
 
-  static async create({ title, userId }) {
+  static async create({ title, userId, description = null, startDate = null,
+                        endDate = null, country = null, city = null,
+                        visibility = "public" }) {
  
-    const result = await db.query(
-          `INSERT INTO trips
-           (title, user_id)
-           VALUES ($1, $2)
-           RETURNING id, title, user_id AS "userId"`,
+    const result = await Trip._checkDates(db.query(
+          `INSERT INTO trips AS "t"
+           (title, user_id, description, start_date, end_date, country, city,
+            visibility)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           RETURNING ${TRIP_COLUMNS}`,
         [
             title,
-            userId
+            userId,
+            description,
+            startDate,
+            endDate,
+            country,
+            city,
+            visibility
         ]
-    );
+    ));
     const trip = result.rows[0];
 
     return trip;
   }
 
-  /** Find all trips.
+  /** Update trip data with `data`.
+   *
+   * This is a "partial update" --- it's fine if data doesn't contain all the
+   * fields; this only changes provided ones. Fields other than title can be
+   * set to null to clear them.
+   *
+   * Data can include:
+   *   { title, description, startDate, endDate, country, city, visibility }
+   *
+   * Returns { id, title, userId, description, startDate, endDate, country,
+   *           city, visibility, coverImageId, createdAt, updatedAt }
+   *
+   * Throws NotFoundError if not found, BadRequestError if a date is invalid
+   * or endDate would be before startDate.
+   */
+
+  static async update(id, data) {
+    const { setCols, values } = sqlForPartialUpdate(data, TRIP_JS_TO_SQL);
+    const idVarIdx = "$" + (values.length + 1);
+
+    const querySql = `UPDATE trips AS "t"
+                      SET ${setCols}, updated_at = NOW()
+                      WHERE id = ${idVarIdx}
+                      RETURNING ${TRIP_COLUMNS}`;
+    const result = await Trip._checkDates(db.query(querySql, [...values, id]));
+    const trip = result.rows[0];
+
+    if (!trip) throw new NotFoundError(`No trip: ${id}`);
+
+    return trip;
+  }
+
+  /** Wait for a query that writes trip dates; returns its result.
+   *
+   * Turns dates Postgres rejects (like 2024-02-30) and a violation of the
+   * start/end date check into BadRequestErrors.
+   */
+
+  static async _checkDates(query) {
+    try {
+      return await query;
+    } catch (err) {
+      if (err.code === "22008" || err.code === "22007") {
+        throw new BadRequestError(`Invalid date: ${err.message}`);
+      }
+      if (err.code === "23514" && err.constraint === "trips_dates_check") {
+        throw new BadRequestError("endDate must not be before startDate");
+      }
+      throw err;
+    }
+  }
+
+  /** Find trips, one page at a time.
+   *
+   * Only trips the viewer may see are included (see sqlForVisibleTrips).
+   * Trips and images hidden by a moderator are only included for their
+   * owner, with hiddenAt set.
+   *
+   * opts can include:
+   * - viewer: username of the user asking, or null if anonymous
+   * - username: only trips by this user
+   * - tag: only trips with an image that has this tag (case-insensitive)
+   * - startDate, endDate: only trips created on or between these dates
+   *   ("YYYY-MM-DD", inclusive)
+   * - sort: "newest" (default), "oldest" or "title"
+   * - cursor: the nextCursor returned with the previous page
+   * - limit: trips per page (default 20)
    *
-   * Returns [{id, title, userId, username, profImage, images }, ...]
-   * where images is [{fileUrl, caption, tag1, tag2, tag3}, ...]
+   * Returns { trips, nextCursor }
+   * where trips is [{id, title, userId, description, startDate, endDate,
+   *                  country, city, visibility, coverImageId, createdAt,
+   *                  updatedAt, hiddenAt, username, profImage,
+   *                  profImageVariants, likeCount, commentCount,
+   *                  viewerHasLiked, cover, images }, ...]
+   * and cover is {id, fileUrl, variants, caption}, or null if the trip has
+   *   no images
+   * and images is [{id, fileUrl, variants, status, caption, takenAt,
+   *                 cameraModel, latitude, longitude, locationSource,
+   *                 hiddenAt, likeCount, viewerHasLiked, tags,
+   *                 tag1, ..., tag5}, ...]
+   * and viewerHasLiked is false for anonymous viewers
+   * and nextCursor is null when there are no more trips.
    * */
 
-  static async findAll() {
+  static async findAll({ viewer = null, username, tag, startDate, endDate,
+                         sort = "newest", cursor, limit = 20 } = {}) {
     try {
-        let query = `SELECT t.id,
-                            t.title,
-                            t.user_id AS "userId",
+        const sortBy = TRIP_SORTS[sort];
+        if (!sortBy) throw new BadRequestError(`Invalid sort: ${sort}`);
+
+        const queryValues = [viewer];
+        const whereExpressions = [sqlForVisibleTrips(1)];
+
+        if (username !== undefined) {
+          queryValues.push(username);
+          whereExpressions.push(`u.username = $${queryValues.length}`);
+        }
+
+        if (tag !== undefined) {
+          queryValues.push(tag);
+          whereExpressions.push(`t.id IN (SELECT i.trip_id
+                                          FROM images AS "i"
+                                          JOIN image_tags AS "it" ON it.image_id = i.id
+                                          JOIN tags AS "tg" ON it.tag_id = tg.id
+                                          WHERE LOWER(tg.name) = LOWER($${queryValues.length}))`);
+        }
+
+        if (startDate !== undefined) {
+          queryValues.push(startDate);
+          whereExpressions.push(`t.created_at >= $${queryValues.length}::date`);
+        }
+
+        if (endDate !== undefined) {
+          queryValues.push(endDate);
+          whereExpressions.push(`t.created_at < $${queryValues.length}::date + 1`);
+        }
+
+        if (cursor !== undefined) {
+          const cursorValues = decodeCursor(cursor);
+          const valid = cursorValues.length === sortBy.types.length &&
+              cursorValues.every((val, idx) => sortBy.types[idx] === "integer"
+                  ? Number.isInteger(val)
+                  : typeof val === sortBy.types[idx]);
+          if (!valid) throw new BadRequestError("Invalid cursor");
+
+          const placeholders = cursorValues.map(val => {
+            queryValues.push(val);
+            return `$${queryValues.length}`;
+          });
+          whereExpressions.push(
+              `(${sortBy.columns.join(", ")}) ${sortBy.op} (${placeholders.join(", ")})`);
+        }
+
+        queryValues.push(limit + 1);
+
+        let query = `SELECT ${TRIP_COLUMNS},
                             u.username,
-                            u.profile_image AS "profImage"
+                            u.profile_image AS "profImage",
+                            u.profile_image_variants AS "profImageVariants",
+                            ${reactionsSql(1)},
+                            ${coverSql(1)},
+                            ${imagesSql(1)}
                      FROM trips AS "t"
                      JOIN users AS "u" ON t.user_id = u.id
-                     ORDER BY t.id DESC`;
-
-        const result = await db.query(query);
-
-        if (!result.rows || result.rows.length === 0) return []; // Return an empty array if no rows found
-
-        for (let row of result.rows) {
-            const images = await db.query(
-                `SELECT file_url AS "fileUrl",
-                 caption, tag1, tag2, tag3, tag4, tag5 
-                 FROM images
-                 WHERE trip_id = $1
-                 ORDER BY id`,
-                [row.id]
-            );
-            //console.log('Images:', images.rows);
-            if (images.rows && images.rows.length > 0) {
-              row.images = images.rows;
-          } else {
-              row.images = []; // Set an empty array if no images found
-          }
-        }
-        return result.rows;
+                     WHERE ${whereExpressions.join(" AND ")}
+                     ORDER BY ${sortBy.orderBy}
+                     LIMIT $${queryValues.length}`;
+
+        const result = await db.query(query, queryValues);
+
+        const { rows: trips, nextCursor } =
+            paginate(result.rows, limit, sortBy.cursor);
+        await Tag.attachToImages(trips.flatMap(trip => trip.images));
+
+        return { trips, nextCursor };
     } catch (error) {
         console.error("Error in findAll method:", error.message);
         throw error; // Re-throw the error for the caller to handle
     }
   }
 
+  /** Find the home feed for a user: their own trips plus trips from
+   * everyone they follow, newest first. Private trips of the users they
+   * follow are left out.
+   *
+   * Paginated by cursor (see helpers/pagination.js): pass the `nextCursor`
+   * from the previous page to get the following page. Trips added after the
+   * first page was loaded never shift later pages.
+   *
+   * Returns { trips, nextCursor }
+   * where trips is [{id, title, userId, ..., username, profImage,
+   *                  profImageVariants, images }, ...], the same as
+   *                  Trip.findAll
+   * and nextCursor is null when there are no more trips.
+   * */
+
+  static async getFeed(username, { cursor, limit = 20 } = {}) {
+    let before = null;
+    if (cursor !== undefined) {
+      [before] = decodeCursor(cursor);
+      if (!Number.isInteger(before)) throw new BadRequestError("Invalid cursor");
+    }
 
-  /** Given a trip id, return that trip, as well as all images
-   * with that trip id.
+    const result = await db.query(
+          `SELECT ${TRIP_COLUMNS},
+                  u.username,
+                  u.profile_image AS "profImage",
+                  u.profile_image_variants AS "profImageVariants",
+                  ${reactionsSql(1)},
+                  ${coverSql(1)},
+                  ${imagesSql(1)}
+           FROM trips AS "t"
+           JOIN users AS "u" ON t.user_id = u.id
+           WHERE (u.username = $1
+                  OR t.user_id IN (SELECT f.user_being_followed_id
+                                   FROM follows AS "f"
+                                   JOIN users AS "me" ON f.user_following_id = me.id
+                                   WHERE me.username = $1))
+             AND ${sqlForVisibleTrips(1)}
+             AND ($2::integer IS NULL OR t.id < $2)
+           ORDER BY t.id DESC
+           LIMIT $3`,
+        [username, before, limit + 1],
+    );
+
+    const { rows: trips, nextCursor } = paginate(result.rows, limit, trip => [trip.id]);
+
+    await Tag.attachToImages(trips.flatMap(trip => trip.images));
+
+    return { trips, nextCursor };
+  }
+
+
+  /** Given a trip id and the username of the user asking (or null if
+   * anonymous), return that trip, as well as all images with that trip id.
    *
-   * Throws NotFoundError if not found.
+   * Returns { id, title, userId, description, startDate, endDate, country,
+   *           city, visibility, coverImageId, createdAt, updatedAt,
+   *           hiddenAt, username, likeCount, commentCount, viewerHasLiked,
+   *           cover, images }
+   * where cover is {id, fileUrl, variants, caption}, or null if the trip has
+   *   no images
+   * and images is [{id, fileUrl, variants, status, caption, takenAt,
+   *                 cameraModel, latitude, longitude, locationSource,
+   *                 hiddenAt, likeCount, viewerHasLiked, tags,
+   *                 tag1, ..., tag5}, ...]
+   *
+   * hiddenAt is when a moderator hid the trip or image, or null. Hidden
+   * trips and images are only shown to their owner.
+   *
+   * Throws NotFoundError if not found, or if the viewer may not see it.
    **/
 
-  static async get(id) {
+  static async get(id, viewer = null) {
     const tripRes = await db.query(
-          `SELECT t.id,
-                  t.title,
-                  t.user_id AS "userId",
-                  u.username
+          `SELECT ${TRIP_COLUMNS},
+                  u.username,
+                  ${reactionsSql(2)},
+                  ${coverSql(2)}
            FROM trips AS "t"
            JOIN users AS "u" ON t.user_id = u.id
-           WHERE t.id = $1`,
-        [id]);
+           WHERE t.id = $1
+             AND ${sqlForVisibleTrips(2)}`,
+        [id, viewer]);
 
     const trip = tripRes.rows[0];
 
@@ -100,64 +454,609 @@ class Trip {
 
     const imagesRes = await db.query(
           `SELECT id,
-                  file_url AS "fileUrl",         
+                  file_url AS "fileUrl",
+                  variants,
+                  status,
                   caption,
-                  tag1,
-                  tag2,
-                  tag3,
-                  tag4,
-                  tag5
-           FROM images
+                  to_char(taken_at, 'YYYY-MM-DD"T"HH24:MI:SS') AS "takenAt",
+                  camera_model AS "cameraModel",
+                  latitude,
+                  longitude,
+                  location_source AS "locationSource",
+                  hidden_at AS "hiddenAt",
+                  (SELECT COUNT(*)::int
+                   FROM image_likes
+                   WHERE image_id = i.id) AS "likeCount",
+                  ${viewerLikedSql("image_likes", "image_id", "i.id", 3)} AS "viewerHasLiked"
+           FROM images AS "i"
            WHERE trip_id = $1
-           ORDER BY id`,
-        [id],
+             AND ($2 OR hidden_at IS NULL)
+           ORDER BY position, id`,
+        [id, trip.username === viewer, viewer],
     );
 
-    trip.images = imagesRes.rows;
+    trip.images = await Tag.attachToImages(imagesRes.rows);
 
     return trip;
   }
 
   /** Add image to an existing trip.
+   *
+   * image should be { file_url, variants, contentHash, status, caption,
+   *                   tags, takenAt, cameraModel, latitude, longitude,
+   *                   locationSource }
+   * where variants is { thumbnail, medium, original } (see helpers/variants.js)
+   * and status is "pending" if the image still has to be processed by a
+   * background job (see jobs/), or "ready" (the default)
+   * and contentHash is the SHA-256 of the uploaded file (helpers/uploads.js)
+   * and tags is [{ name, source, confidence }, ...]
+   * and the rest come from the photo's EXIF data or a detected landmark
+   * and may be null. locationSource is "exif" or "landmark".
+   *
+   * A photo with a capture time goes just before the first image in the
+   * trip that was taken after it, so trips read in chronological order.
+   * Other images go at the end.
+   *
+   * Returns { id }
    *
    * Throws NotFoundError if not found.
+   * Throws BadRequestError if the trip already has an image with the same
+   * contentHash.
    */
 
   static async addImage(tripId, image) {
-    const {file_url,
-           caption,
-            tag1, tag2, tag3, tag4, tag5 } = image;
+    const { file_url, variants, contentHash = null, status = "ready", caption,
+            tags = [], takenAt = null, cameraModel = null, latitude = null,
+            longitude = null, locationSource = null } = image;
+
+    if (contentHash) await Trip.checkNotDuplicate(tripId, contentHash);
+
+    // Positions are read and shifted in one transaction, with the trip
+    // locked, so concurrent uploads to a trip can't get the same position
+    return db.transaction(async client => {
+      const tripRes = await client.query(
+            `SELECT id
+             FROM trips
+             WHERE id = $1
+             FOR UPDATE`,
+          [tripId]);
+      if (!tripRes.rows[0]) throw new NotFoundError(`No trip: ${tripId}`);
+
+      const posRes = await client.query(
+            `SELECT COALESCE(
+                      MIN(position) FILTER (WHERE taken_at > $2),
+                      MAX(position) + 1,
+                      1) AS "position",
+                    COUNT(*) FILTER (WHERE taken_at > $2) > 0 AS "insertBefore"
+             FROM images
+             WHERE trip_id = $1`,
+          [tripId, takenAt]);
+      const { position, insertBefore } = posRes.rows[0];
+
+      if (insertBefore) {
+        await client.query(
+              `UPDATE images
+               SET position = position + 1
+               WHERE trip_id = $1 AND position >= $2`,
+            [tripId, position]);
+      }
+
+      let result;
+      try {
+        result = await client.query(`INSERT INTO images
+                                      (file_url, variants, content_hash, status,
+                                       trip_id, caption, position, taken_at,
+                                       camera_model, latitude, longitude,
+                                       location_source)
+                                       VALUES
+                                       ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                                       RETURNING id`,
+                                       [file_url, variants, contentHash, status,
+                                        tripId, caption, position, takenAt,
+                                        cameraModel, latitude, longitude,
+                                        locationSource]);
+      } catch (err) {
+        if (err.code === "23505" && err.constraint === "images_trip_content_hash_idx") {
+          throw new BadRequestError("This image is already in the trip");
+        }
+        throw err;
+      }
+
+      const imageId = result.rows[0];
 
-    const result = await db.query(`INSERT INTO images
-                                (file_url, trip_id, caption,
-                                 tag1, tag2, tag3, tag4, tag5)
-                                 VALUES
-                                 ($1, $2, $3, $4, $5, $6, $7, $8)
-                                 RETURNING id`,
-                                 [file_url, tripId, caption,
-                                  tag1, tag2, tag3, tag4, tag5]);
+      await Tag.addToImage(imageId.id, tags, client);
+      await Tag.updateImageSearch(imageId.id, client);
 
-    const imageId = result.rows[0];
+      return imageId;
+    });
+  }
 
-    return imageId;
+  /** Check that a trip doesn't already have an image with the given
+   * SHA-256 content hash; returns undefined.
+   *
+   * Throws BadRequestError if it does.
+   */
+
+  static async checkNotDuplicate(tripId, contentHash) {
+    const result = await db.query(
+          `SELECT id
+           FROM images
+           WHERE trip_id = $1 AND content_hash = $2`,
+        [tripId, contentHash]);
+
+    if (result.rows[0]) {
+      throw new BadRequestError("This image is already in the trip");
+    }
   }
 
-  static async getTripImages(tripId) {
-    const result = await db.query(`SELECT *
+  /** Given a trip id and the username of the user asking (or null if
+   * anonymous), return all the trip's images.
+   *
+   * Returns [{ id, file_url, variants, trip_id, caption, position, status,
+   *            taken_at, camera_model, latitude, longitude, location_source,
+   *            tags, tag1, ..., tag5 }, ...]
+   *
+   * Throws NotFoundError if not found, or if the viewer may not see it.
+   */
+
+  static async getTripImages(tripId, viewer = null) {
+    const tripRes = await db.query(
+          `SELECT t.id, u.username
+           FROM trips AS "t"
+           JOIN users AS "u" ON t.user_id = u.id
+           WHERE t.id = $1
+             AND ${sqlForVisibleTrips(2)}`,
+        [tripId, viewer]);
+    const trip = tripRes.rows[0];
+
+    if (!trip) throw new NotFoundError(`No trip: ${tripId}`);
+
+    const result = await db.query(`SELECT id,
+                                          file_url,
+                                          variants,
+                                          trip_id,
+                                          caption,
+                                          position,
+                                          status,
+                                          taken_at,
+                                          camera_model,
+                                          latitude,
+                                          longitude,
+                                          location_source
                                    FROM images
                                    WHERE trip_id = $1
-                                   ORDER BY id`,
-                                   [tripId]);
-    return result.rows;
+                                     AND ($2 OR hidden_at IS NULL)
+                                   ORDER BY position, id`,
+                                   [tripId, trip.username === viewer]);
+    return Tag.attachToImages(result.rows);
+  }
+
+  /** Given a trip id and the username of the user asking (or null if
+   * anonymous), return a GeoJSON FeatureCollection of the trip's geotagged
+   * images, with a route line through them in capture order.
+   *
+   * Throws NotFoundError if not found, or if the viewer may not see it.
+   */
+
+  static async getMap(tripId, viewer = null) {
+    const images = await Trip.getMapImages(tripId, viewer);
+    return imagesToFeatureCollection(images);
+  }
+
+  /** Given a trip id and the username of the user asking (or null if
+   * anonymous), return the trip's geotagged images in capture order.
+   * Images without a capture time come last, in gallery order.
+   *
+   * Returns [{ id, tripId, tripTitle, fileUrl, variants, status, caption,
+   *            takenAt, latitude, longitude, locationSource, tags }, ...]
+   *
+   * Throws NotFoundError if not found, or if the viewer may not see it.
+   */
+
+  static async getMapImages(tripId, viewer = null) {
+    const tripRes = await db.query(
+          `SELECT t.id
+           FROM trips AS "t"
+           JOIN users AS "u" ON t.user_id = u.id
+           WHERE t.id = $1
+             AND ${sqlForVisibleTrips(2)}`,
+        [tripId, viewer]);
+
+    if (!tripRes.rows[0]) throw new NotFoundError(`No trip: ${tripId}`);
+
+    const result = await db.query(
+          `SELECT ${MAP_IMAGE_COLUMNS}
+           FROM images AS "i"
+           JOIN trips AS "t" ON i.trip_id = t.id
+           JOIN users AS "u" ON t.user_id = u.id
+           WHERE i.trip_id = $1
+             AND ${sqlForVisibleImages(2)}
+             AND i.latitude IS NOT NULL
+           ORDER BY i.taken_at NULLS LAST, i.position, i.id`,
+        [tripId, viewer]);
+
+    return Tag.attachToImages(result.rows);
+  }
+
+  /** Given a username and the username of the user asking (or null if
+   * anonymous), return the geotagged images from every trip of theirs
+   * the viewer may see, grouped by trip and in capture order.
+   *
+   * Returns [{ id, tripId, tripTitle, fileUrl, variants, status, caption,
+   *            takenAt, latitude, longitude, locationSource, tags }, ...]
+   */
+
+  static async getUserMapImages(username, viewer = null) {
+    const result = await db.query(
+          `SELECT ${MAP_IMAGE_COLUMNS}
+           FROM images AS "i"
+           JOIN trips AS "t" ON i.trip_id = t.id
+           JOIN users AS "u" ON t.user_id = u.id
+           WHERE u.username = $1
+             AND ${sqlForVisibleTrips(2)}
+             AND ${sqlForVisibleImages(2)}
+             AND i.latitude IS NOT NULL
+           ORDER BY t.id, i.taken_at NULLS LAST, i.position, i.id`,
+        [username, viewer]);
+
+    return Tag.attachToImages(result.rows);
+  }
+
+  /** Check that the viewer (a username, or null if anonymous) may see a
+   * trip.
+   *
+   * Returns { id, username }, where username is the trip's owner.
+   *
+   * Throws NotFoundError if not found, or if the viewer may not see it.
+   */
+
+  static async checkVisible(id, viewer = null) {
+    const result = await db.query(
+          `SELECT t.id, u.username
+           FROM trips AS "t"
+           JOIN users AS "u" ON t.user_id = u.id
+           WHERE t.id = $1
+             AND ${sqlForVisibleTrips(2)}`,
+        [id, viewer]);
+    const trip = result.rows[0];
+
+    if (!trip) throw new NotFoundError(`No trip: ${id}`);
+
+    return trip;
+  }
+
+  /** Check that the viewer (a username, or null if anonymous) may see an
+   * image in a trip; returns undefined.
+   *
+   * Throws NotFoundError if the image isn't in that trip, or if the viewer
+   * may not see the trip or image.
+   */
+
+  static async checkImageVisible(tripId, imageId, viewer = null) {
+    const result = await db.query(
+          `SELECT i.id
+           FROM images AS "i"
+           JOIN trips AS "t" ON i.trip_id = t.id
+           JOIN users AS "u" ON t.user_id = u.id
+           WHERE i.id = $1
+             AND i.trip_id = $2
+             AND ${sqlForVisibleTrips(3)}
+             AND ${sqlForVisibleImages(3)}`,
+        [imageId, tripId, viewer]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No image ${imageId} in trip ${tripId}`);
+  }
+
+  /** Given a trip id and image id, return that image.
+   *
+   * Returns { id, tripId, fileUrl, variants, status, caption, position,
+   *           takenAt, cameraModel, latitude, longitude, locationSource, tags,
+   *           tag1, ..., tag5 }
+   *
+   * Throws NotFoundError if the image isn't in that trip.
+   */
+
+  static async getImage(tripId, imageId) {
+    const result = await db.query(
+          `SELECT id,
+                  trip_id AS "tripId",
+                  file_url AS "fileUrl",
+                  variants,
+                  status,
+                  caption,
+                  position,
+                  to_char(taken_at, 'YYYY-MM-DD"T"HH24:MI:SS') AS "takenAt",
+                  camera_model AS "cameraModel",
+                  latitude,
+                  longitude,
+                  location_source AS "locationSource"
+           FROM images
+           WHERE id = $1 AND trip_id = $2`,
+        [imageId, tripId],
+    );
+    const image = result.rows[0];
+
+    if (!image) throw new NotFoundError(`No image ${imageId} in trip ${tripId}`);
+
+    await Tag.attachToImages([image]);
+    return image;
+  }
+
+  /** Given an image id, return what a background job needs to process it,
+   * or undefined if the image no longer exists.
+   *
+   * Returns { id, fileUrl, status, latitude, locationSource, tags }
+   */
+
+  static async getImageToProcess(imageId) {
+    const result = await db.query(
+          `SELECT id,
+                  file_url AS "fileUrl",
+                  status,
+                  latitude,
+                  location_source AS "locationSource"
+           FROM images
+           WHERE id = $1`,
+        [imageId],
+    );
+    const image = result.rows[0];
+    if (!image) return undefined;
+
+    await Tag.attachToImages([image]);
+    return image;
+  }
+
+  /** Record the results of processing an image and mark it ready; returns
+   * undefined.
+   *
+   * data is { variants, latitude, longitude, locationSource }. The location
+   * fields are only set if latitude isn't null.
+   */
+
+  static async finishProcessing(imageId, { variants, latitude, longitude, locationSource }) {
+    await db.query(
+          `UPDATE images
+           SET variants = $2,
+               latitude = COALESCE($3, latitude),
+               longitude = CASE WHEN $3::float8 IS NULL THEN longitude ELSE $4 END,
+               location_source = CASE WHEN $3::float8 IS NULL THEN location_source ELSE $5 END,
+               status = 'ready'
+           WHERE id = $1`,
+        [imageId, variants, latitude, longitude, locationSource],
+    );
+  }
+
+  /** Set an image's processing status; returns undefined. */
+
+  static async setImageStatus(imageId, status) {
+    await db.query(
+          `UPDATE images
+           SET status = $2
+           WHERE id = $1`,
+        [imageId, status],
+    );
+  }
+
+  /** Update an image's caption and/or tags.
+   *
+   * data can include { caption, tags }
+   * where tags is the image's complete new list of tag names, in order.
+   * Tags the image already had keep their source and confidence; new ones
+   * are recorded as the user's own.
+   *
+   * Returns { id, tripId, fileUrl, variants, status, caption, position,
+   *           takenAt, cameraModel, latitude, longitude, locationSource, tags,
+   *           tag1, ..., tag5 }
+   *
+   * Throws NotFoundError if the image isn't in that trip.
+   */
+
+  static async updateImage(tripId, imageId, { caption, tags }) {
+    const image = await Trip.getImage(tripId, imageId);
+
+    if (caption !== undefined) {
+      await db.query(
+            `UPDATE images
+             SET caption = $1
+             WHERE id = $2`,
+          [caption, image.id],
+      );
+      await Tag.updateImageSearch(image.id);
+    }
+
+    if (tags !== undefined) await Tag.setForImage(image.id, tags);
+
+    return Trip.getImage(tripId, imageId);
   }
 
-  /** Delete given trip from database; returns undefined.
+  /** Delete an image from a trip.
+   *
+   * Returns { id, fileUrl, variants } of the deleted image, so the caller
+   * can remove the stored files.
+   *
+   * Throws NotFoundError if the image isn't in that trip.
+   *
+   * Its open reports are closed (see closeReports). Runs in a transaction;
+   * pass a client from db.transaction to run in that one instead.
+   */
+
+  static async removeImage(tripId, imageId, client = db) {
+    if (client === db) {
+      return db.transaction(client => Trip.removeImage(tripId, imageId, client));
+    }
+
+    // Before deleting, which unlinks them; rolled back if the image isn't
+    // in that trip
+    await Trip.closeReports({ imageIds: [imageId] }, client);
+
+    const result = await client.query(
+          `DELETE
+           FROM images
+           WHERE id = $1 AND trip_id = $2
+           RETURNING id, file_url AS "fileUrl", variants`,
+        [imageId, tripId],
+    );
+    const image = result.rows[0];
+
+    if (!image) throw new NotFoundError(`No image ${imageId} in trip ${tripId}`);
+
+    return image;
+  }
+
+  /** Given an image id, return the id of the trip it's in.
+   *
+   * Throws NotFoundError if image not found.
+   */
+
+  static async getImageTripId(imageId) {
+    const result = await db.query(
+          `SELECT trip_id AS "tripId"
+           FROM images
+           WHERE id = $1`,
+        [imageId],
+    );
+    const image = result.rows[0];
+
+    if (!image) throw new NotFoundError(`No image: ${imageId}`);
+
+    return image.tripId;
+  }
+
+  /** Hide a trip from everyone but its owner. Used by moderators; returns
+   * undefined.
    *
    * Throws NotFoundError if trip not found.
-   **/
+   *
+   * Pass a client from db.transaction to run in that transaction.
+   */
+
+  static async hide(id, client = db) {
+    const result = await client.query(
+          `UPDATE trips
+           SET hidden_at = COALESCE(hidden_at, NOW())
+           WHERE id = $1
+           RETURNING id`,
+        [id],
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No trip: ${id}`);
+  }
+
+  /** Hide an image from everyone but its owner. Used by moderators;
+   * returns undefined.
+   *
+   * Throws NotFoundError if image not found.
+   *
+   * Pass a client from db.transaction to run in that transaction.
+   */
+
+  static async hideImage(imageId, client = db) {
+    const result = await client.query(
+          `UPDATE images
+           SET hidden_at = COALESCE(hidden_at, NOW())
+           WHERE id = $1
+           RETURNING id`,
+        [imageId],
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No image: ${imageId}`);
+  }
+
+  /** Put a trip's images in a new order; returns undefined.
+   *
+   * imageIds must list every image in the trip exactly once, in the new
+   * order.
+   *
+   * Throws BadRequestError if it doesn't.
+   */
+
+  static async reorderImages(tripId, imageIds) {
+    const current = await db.query(
+          `SELECT id
+           FROM images
+           WHERE trip_id = $1`,
+        [tripId],
+    );
+    const currentIds = new Set(current.rows.map(row => row.id));
+
+    if (imageIds.length !== currentIds.size ||
+        new Set(imageIds).size !== imageIds.length ||
+        !imageIds.every(id => currentIds.has(id))) {
+      throw new BadRequestError("imageIds must list every image in the trip exactly once");
+    }
+
+    await db.query(
+          `UPDATE images AS "i"
+           SET position = o.position
+           FROM unnest($2::integer[]) WITH ORDINALITY AS o(id, position)
+           WHERE i.id = o.id AND i.trip_id = $1`,
+        [tripId, imageIds],
+    );
+  }
+
+  /** Set the cover image of a trip; pass null to go back to using the first
+   * image. Returns undefined.
+   *
+   * Throws NotFoundError if the image isn't in that trip.
+   */
+
+  static async setCover(tripId, imageId) {
+    if (imageId !== null) await Trip.getImage(tripId, imageId);
 
-  static async remove(id) {
     const result = await db.query(
+          `UPDATE trips
+           SET cover_image_id = $1
+           WHERE id = $2
+           RETURNING id`,
+        [imageId, tripId],
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No trip: ${tripId}`);
+  }
+
+  /** Close the open reports of trips and images that are about to be
+   * deleted; returns undefined. Deleting them unlinks their reports, which
+   * would otherwise stay open with nothing left to act on. They are marked
+   * "removed", with no moderator.
+   *
+   * Call it in the same transaction as the delete.
+   */
+
+  static async closeReports({ tripIds = [], imageIds = [] }, client) {
+    await client.query(
+          `UPDATE reports
+           SET status = 'removed',
+               resolved_at = NOW()
+           WHERE status = 'open'
+             AND (trip_id = ANY($1::integer[]) OR image_id = ANY($2::integer[]))`,
+        [tripIds, imageIds],
+    );
+  }
+
+  /** Delete given trip, and its images, from database.
+   *
+   * Returns the removed images, [{ id, fileUrl, variants }, ...], so their
+   * files can be removed from storage.
+   *
+   * Throws NotFoundError if trip not found.
+   *
+   * Open reports of the trip and its images are closed (see closeReports).
+   * Runs in a transaction; pass a client from db.transaction to run in that
+   * one instead.
+   **/
+
+  static async remove(id, client = db) {
+    if (client === db) return db.transaction(client => Trip.remove(id, client));
+
+    const imagesRes = await client.query(
+          `SELECT id, file_url AS "fileUrl", variants
+           FROM images
+           WHERE trip_id = $1`,
+        [id]);
+    await Trip.closeReports(
+        { tripIds: [id], imageIds: imagesRes.rows.map(image => image.id) }, client);
+
+    const result = await client.query(
           `DELETE
            FROM trips
            WHERE id = $1
@@ -166,8 +1065,13 @@ class Trip {
     const trip = result.rows[0];
 
     if (!trip) throw new NotFoundError(`No trip: ${id}`);
+
+    return imagesRes.rows;
   }
 }
 
 
+Trip.SORTS = Object.keys(TRIP_SORTS);
+
+
 module.exports = Trip;
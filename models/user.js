@@ -6,8 +6,14 @@ const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  ForbiddenError,
 } = require("../expressError");
 
+const Trip = require("./trip");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+const { decodeCursor, paginate } = require("../helpers/pagination");
+const { imagesToFeatureCollection } = require("../helpers/geojson");
+const Session = require("./session");
 const { BCRYPT_WORK_FACTOR } = require("../config.js");
 
 /** Related functions for users. */
@@ -15,9 +21,11 @@ const { BCRYPT_WORK_FACTOR } = require("../config.js");
 class User {
   /** authenticate user with username, password.
    *
-   * Returns { username, first_name, last_name }
+   * Returns { username, firstName, lastName, email, emailVerified,
+   *           profImage, profImageVariants, about, isAdmin }
    *
    * Throws UnauthorizedError is user not found or wrong password.
+   * Throws ForbiddenError if the account is suspended.
    **/
 
   static async authenticate(username, password) {
@@ -27,8 +35,13 @@ class User {
                   password,
                   first_name AS "firstName",
                   last_name AS "lastName",
+                  email,
+                  email_verified AS "emailVerified",
                   profile_image AS "profImage",
-                  about
+                  profile_image_variants AS "profImageVariants",
+                  about,
+                  is_admin AS "isAdmin",
+                  suspended_at AS "suspendedAt"
            FROM users
            WHERE username = $1`,
         [username],
@@ -40,7 +53,9 @@ class User {
       // compare hashed password to a new hash from password
       const isValid = await bcrypt.compare(password, user.password);
       if (isValid === true) {
+        if (user.suspendedAt) throw new ForbiddenError("This account has been suspended");
         delete user.password;
+        delete user.suspendedAt;
         return user;
       }
     }
@@ -50,13 +65,17 @@ class User {
 
   /** Register user with data.
    *
-   * Returns { username, firstName, lastName, email, isAdmin }
+   * New users start with an unverified email (see EmailVerification).
+   *
+   * Returns { username, firstName, lastName, email, emailVerified,
+   *           profImage, profImageVariants, about, isAdmin }
    *
-   * Throws BadRequestError on duplicates.
+   * Throws BadRequestError on duplicate usernames or emails.
    **/
 
   static async register(
-      { username, password, firstName, lastName, profImage, about }) {
+      { username, password, firstName, lastName, email, profImage,
+        profImageVariants = null, about }) {
     const duplicateCheck = await db.query(
           `SELECT username
            FROM users
@@ -70,78 +89,241 @@ class User {
 
     const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
 
-    const result = await db.query(
-          `INSERT INTO users
-           (username,
-            password,
-            first_name,
-            last_name,
-            profile_image,
+    let result;
+    try {
+      result = await db.query(
+            `INSERT INTO users
+             (username,
+              password,
+              first_name,
+              last_name,
+              email,
+              profile_image,
+              profile_image_variants,
+              about
+              )
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING username, first_name AS "firstName", last_name AS "lastName",
+             email, email_verified AS "emailVerified",
+             profile_image AS "profImage",
+             profile_image_variants AS "profImageVariants",
+             about, is_admin AS "isAdmin"`,
+          [
+            username,
+            hashedPassword,
+            firstName,
+            lastName,
+            email,
+            profImage,
+            profImageVariants,
             about
-            )
-           VALUES ($1, $2, $3, $4, $5, $6)
-           RETURNING username, first_name AS "firstName", last_name AS "lastName",
-           profile_image AS "profImage", about`,
-        [
-          username,
-          hashedPassword,
-          firstName,
-          lastName,
-          profImage,
-          about
-        ],
-    );
+          ],
+      );
+    } catch (err) {
+      if (err.code === "23505" && err.constraint === "users_email_idx") {
+        throw new BadRequestError(`Duplicate email: ${email}`);
+      }
+      throw err;
+    }
 
     const user = result.rows[0];
 
     return user;
   }
 
-  /** Find all users.
+  /** Find users in username order, one page at a time.
+   *
+   * opts can include:
+   * - cursor: the nextCursor returned with the previous page
+   * - limit: users per page (default 20)
    *
-   * Returns [{ username, firstName, lastName }, ...]
+   * Returns { users, nextCursor }
+   * where users is [{ username, firstName, lastName, profImage,
+   *                   profImageVariants, about }, ...]
+   * and nextCursor is null when there are no more users.
    **/
 
-  static async findAll() {
+  static async findAll({ cursor, limit = 20 } = {}) {
+    let after = null;
+    if (cursor !== undefined) {
+      [after] = decodeCursor(cursor);
+      if (typeof after !== "string") throw new BadRequestError("Invalid cursor");
+    }
+
     const result = await db.query(
           `SELECT username,
                   first_name AS "firstName",
                   last_name AS "lastName",
                   profile_image AS "profImage",
+                  profile_image_variants AS "profImageVariants",
                   about
            FROM users
-           ORDER BY username`,
+           WHERE ($1::text IS NULL OR username > $1)
+           ORDER BY username
+           LIMIT $2`,
+        [after, limit + 1],
     );
 
-    return result.rows;
+    const { rows: users, nextCursor } =
+        paginate(result.rows, limit, user => [user.username]);
+
+    return { users, nextCursor };
   }
 
+  /** Find users in username order with account details and activity
+   * stats, one page at a time. For admins.
+   *
+   * opts are the same as findAll, plus:
+   * - suspended: if true, only suspended users; if false, only active ones
+   *
+   * Returns { users, nextCursor }
+   * where users is [{ username, firstName, lastName, email, emailVerified,
+   *                   isAdmin, suspendedAt, suspensionReason, tripCount,
+   *                   imageCount, followerCount, followingCount,
+   *                   lastActiveAt }, ...]
+   * and lastActiveAt is when one of their sessions was last used, or null.
+   **/
 
-  static async getAllTrips(username) {
-    const result = await db.query(
-          `SELECT t.id AS "tripId", t.title
-           FROM trips AS "t"
-           JOIN users AS "u" ON t.user_id = u.id
-           WHERE u.username = $1`,
-            [username]);
-    
-    if(!result.rows) return null;
-
-    for(let row of result.rows) {
-      const images = await db.query(
-          `SELECT file_url AS "fileUrl", caption, tag1, tag2, tag3, tag4, tag5 
-           FROM images
-           WHERE trip_id = $1
-           ORDER BY id`,
-           [row.tripId]
-      );
-      row.images = images.rows;
+  static async findAllWithStats({ cursor, limit = 20, suspended } = {}) {
+    let after = null;
+    if (cursor !== undefined) {
+      [after] = decodeCursor(cursor);
+      if (typeof after !== "string") throw new BadRequestError("Invalid cursor");
     }
-    return result.rows;
+
+    const result = await db.query(
+          `SELECT u.username,
+                  u.first_name AS "firstName",
+                  u.last_name AS "lastName",
+                  u.email,
+                  u.email_verified AS "emailVerified",
+                  u.is_admin AS "isAdmin",
+                  u.suspended_at AS "suspendedAt",
+                  u.suspension_reason AS "suspensionReason",
+                  (SELECT COUNT(*)::int
+                   FROM trips
+                   WHERE user_id = u.id) AS "tripCount",
+                  (SELECT COUNT(*)::int
+                   FROM images AS "i"
+                   JOIN trips AS "t" ON i.trip_id = t.id
+                   WHERE t.user_id = u.id) AS "imageCount",
+                  (SELECT COUNT(*)::int
+                   FROM follows
+                   WHERE user_being_followed_id = u.id) AS "followerCount",
+                  (SELECT COUNT(*)::int
+                   FROM follows
+                   WHERE user_following_id = u.id) AS "followingCount",
+                  (SELECT MAX(last_used_at)
+                   FROM sessions
+                   WHERE user_id = u.id) AS "lastActiveAt"
+           FROM users AS "u"
+           WHERE ($1::text IS NULL OR u.username > $1)
+             AND ($3::boolean IS NULL OR (u.suspended_at IS NOT NULL) = $3)
+           ORDER BY u.username
+           LIMIT $2`,
+        [after, limit + 1, suspended === undefined ? null : suspended],
+    );
+
+    const { rows: users, nextCursor } =
+        paginate(result.rows, limit, user => [user.username]);
+
+    return { users, nextCursor };
+  }
+
+  /** Suspend a user's account, with an optional reason for other admins.
+   *
+   * Suspended users can't log in, and all their sessions are logged out.
+   * Suspending a user who is already suspended updates the reason.
+   *
+   * Returns { username, suspendedAt, suspensionReason }
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async suspend(username, reason = null) {
+    const result = await db.query(
+          `UPDATE users
+           SET suspended_at = COALESCE(suspended_at, NOW()),
+               suspension_reason = $2
+           WHERE username = $1
+           RETURNING username,
+                     suspended_at AS "suspendedAt",
+                     suspension_reason AS "suspensionReason"`,
+        [username, reason],
+    );
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    await Session.revokeAll(username);
+
+    return user;
   }
+
+  /** Lift a user's suspension, so they can log in again.
+   *
+   * Returns { username, suspendedAt, suspensionReason } (both null).
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async reinstate(username) {
+    const result = await db.query(
+          `UPDATE users
+           SET suspended_at = NULL,
+               suspension_reason = NULL
+           WHERE username = $1
+           RETURNING username,
+                     suspended_at AS "suspendedAt",
+                     suspension_reason AS "suspensionReason"`,
+        [username],
+    );
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    return user;
+  }
+
+  /** Find a user's trips, one page at a time.
+   *
+   * opts are the same as Trip.findAll, except username.
+   *
+   * Returns { trips, nextCursor }
+   * where trips is [{ tripId, title, description, startDate, endDate,
+   *                   country, city, visibility, createdAt, updatedAt,
+   *                   images }, ...]
+   **/
+
+  static async getAllTrips(username, opts = {}) {
+    const { trips, nextCursor } = await Trip.findAll({ ...opts, username });
+
+    return {
+      trips: trips.map(({ id, userId, username, profImage, profImageVariants,
+                    ...trip }) =>
+          ({ tripId: id, ...trip })),
+      nextCursor,
+    };
+  }
+
+  /** Given a username and the username of the user asking (or null if
+   * anonymous), return a GeoJSON FeatureCollection of the geotagged images
+   * in the user's trips that the viewer may see, with a route line per trip.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async getMap(username, viewer = null) {
+    await User._getId(username);
+    const images = await Trip.getUserMapImages(username, viewer);
+    return imagesToFeatureCollection(images);
+  }
+
   /** Given a username, return data about user.
    *
-   * Returns { username, first_name, last_name, profile_image, about}
+   * Returns { username, first_name, last_name, email, emailVerified,
+   *           profile_image, profileImageVariants, about, followerCount,
+   *           followingCount }
    *
    * Throws NotFoundError if user not found.
    **/
@@ -152,8 +334,17 @@ class User {
                   username,
                   first_name AS "firstName",
                   last_name AS "lastName",
+                  email,
+                  email_verified AS "emailVerified",
                   profile_image AS "profileImage",
-                  about
+                  profile_image_variants AS "profileImageVariants",
+                  about,
+                  (SELECT COUNT(*)::int
+                   FROM follows
+                   WHERE user_being_followed_id = users.id) AS "followerCount",
+                  (SELECT COUNT(*)::int
+                   FROM follows
+                   WHERE user_following_id = users.id) AS "followingCount"
            FROM users
            WHERE username = $1`,
         [username],
@@ -172,61 +363,264 @@ class User {
    * all the fields; this only changes provided ones.
    *
    * Data can include:
-   *   { firstName, lastName, password, email, isAdmin }
+   *   { firstName, lastName, email, about, profImage, profImageVariants }
    *
-   * Returns { username, firstName, lastName, email, isAdmin }
+   * Passwords are changed with changePassword instead. Changing email to a
+   * different address makes it unverified again.
    *
-   * Throws NotFoundError if not found.
+   * Returns { username, firstName, lastName, email, emailVerified, profImage,
+   *           profImageVariants, about }
    *
-   * WARNING: this function can set a new password or make a user an admin.
-   * Callers of this function must be certain they have validated inputs to this
-   * or a serious security risks are opened.
+   * Throws NotFoundError if not found.
+   * Throws BadRequestError if the email is already in use.
    */
 
-//   static async update(username, data) {
-//     if (data.password) {
-//       data.password = await bcrypt.hash(data.password, BCRYPT_WORK_FACTOR);
-//     }
-
-//     const { setCols, values } = sqlForPartialUpdate(
-//         data,
-//         {
-//           firstName: "first_name",
-//           lastName: "last_name",
-//           isAdmin: "is_admin",
-//         });
-//     const usernameVarIdx = "$" + (values.length + 1);
-
-//     const querySql = `UPDATE users 
-//                       SET ${setCols} 
-//                       WHERE username = ${usernameVarIdx} 
-//                       RETURNING username,
-//                                 first_name AS "firstName",
-//                                 last_name AS "lastName",
-//                                 email,
-//                                 is_admin AS "isAdmin"`;
-//     const result = await db.query(querySql, [...values, username]);
-//     const user = result.rows[0];
-
-//     if (!user) throw new NotFoundError(`No user: ${username}`);
-
-//     delete user.password;
-//     return user;
-//   }
-
-  /** Delete given user from database; returns undefined. */
+  static async update(username, data) {
+    const { setCols, values } = sqlForPartialUpdate(
+        data,
+        {
+          firstName: "first_name",
+          lastName: "last_name",
+          profImage: "profile_image",
+          profImageVariants: "profile_image_variants",
+        });
+    const usernameVarIdx = "$" + (values.length + 1);
+
+    // SET expressions see the old row, so this compares the old and new email
+    let verifiedCol = "";
+    if (data.email !== undefined) {
+      const emailVarIdx = "$" + (Object.keys(data).indexOf("email") + 1);
+      verifiedCol = `, email_verified = email_verified AND
+                        lower(email) IS NOT DISTINCT FROM lower(${emailVarIdx})`;
+    }
 
-  static async remove(username) {
-    let result = await db.query(
-          `DELETE
+    const querySql = `UPDATE users 
+                      SET ${setCols}${verifiedCol} 
+                      WHERE username = ${usernameVarIdx} 
+                      RETURNING username,
+                                first_name AS "firstName",
+                                last_name AS "lastName",
+                                email,
+                                email_verified AS "emailVerified",
+                                profile_image AS "profImage",
+                                profile_image_variants AS "profImageVariants",
+                                about`;
+    let result;
+    try {
+      result = await db.query(querySql, [...values, username]);
+    } catch (err) {
+      if (err.code === "23505" && err.constraint === "users_email_idx") {
+        throw new BadRequestError("That email is already in use");
+      }
+      throw err;
+    }
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    return user;
+  }
+
+  /** Change a user's password, given their current one.
+   *
+   * Returns { username, email, firstName }
+   *
+   * Throws UnauthorizedError if currentPassword is wrong.
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async changePassword(username, currentPassword, newPassword) {
+    await User._getId(username);
+    try {
+      await User.authenticate(username, currentPassword);
+    } catch (err) {
+      if (err instanceof UnauthorizedError) {
+        throw new UnauthorizedError("Current password is incorrect");
+      }
+      throw err;
+    }
+
+    return User.setPassword(username, newPassword);
+  }
+
+  /** Set a user's password, without checking the old one.
+   *
+   * Returns { username, email, firstName }
+   *
+   * Callers must have checked that the user is allowed to do this (e.g. with
+   * changePassword or a password reset token).
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async setPassword(username, password) {
+    const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
+    const result = await db.query(
+          `UPDATE users
+           SET password = $1
+           WHERE username = $2
+           RETURNING username,
+                     email,
+                     first_name AS "firstName"`,
+        [hashedPassword, username],
+    );
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    return user;
+  }
+
+  /** Given a username, return that user's id.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async _getId(username) {
+    const result = await db.query(
+          `SELECT id
            FROM users
-           WHERE username = $1
-           RETURNING username`,
+           WHERE username = $1`,
         [username],
     );
     const user = result.rows[0];
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    return user.id;
+  }
+
+  /** Make user `username` follow user `followUsername`; returns undefined.
+   *
+   * Following someone who is already followed is a no-op.
+   *
+   * Throws BadRequestError if a user tries to follow themselves.
+   * Throws NotFoundError if either user not found.
+   **/
+
+  static async follow(username, followUsername) {
+    if (username === followUsername) {
+      throw new BadRequestError("Users cannot follow themselves");
+    }
+
+    const followerId = await User._getId(username);
+    const followedId = await User._getId(followUsername);
+
+    await db.query(
+          `INSERT INTO follows (user_following_id, user_being_followed_id)
+           VALUES ($1, $2)
+           ON CONFLICT DO NOTHING`,
+        [followerId, followedId],
+    );
+  }
+
+  /** Make user `username` stop following `followUsername`; returns undefined.
+   *
+   * Throws NotFoundError if either user not found, or if `username` does not
+   * follow `followUsername`.
+   **/
+
+  static async unfollow(username, followUsername) {
+    const followerId = await User._getId(username);
+    const followedId = await User._getId(followUsername);
+
+    const result = await db.query(
+          `DELETE
+           FROM follows
+           WHERE user_following_id = $1 AND user_being_followed_id = $2
+           RETURNING user_following_id`,
+        [followerId, followedId],
+    );
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`${username} does not follow ${followUsername}`);
+    }
+  }
+
+  /** Given a username, return the users following them.
+   *
+   * Returns [{ username, firstName, lastName, profImage,
+   *            profImageVariants }, ...]
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async getFollowers(username) {
+    const userId = await User._getId(username);
+
+    const result = await db.query(
+          `SELECT u.username,
+                  u.first_name AS "firstName",
+                  u.last_name AS "lastName",
+                  u.profile_image AS "profImage",
+                  u.profile_image_variants AS "profImageVariants"
+           FROM follows AS "f"
+           JOIN users AS "u" ON f.user_following_id = u.id
+           WHERE f.user_being_followed_id = $1
+           ORDER BY u.username`,
+        [userId],
+    );
+
+    return result.rows;
+  }
+
+  /** Given a username, return the users they follow.
+   *
+   * Returns [{ username, firstName, lastName, profImage,
+   *            profImageVariants }, ...]
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async getFollowing(username) {
+    const userId = await User._getId(username);
+
+    const result = await db.query(
+          `SELECT u.username,
+                  u.first_name AS "firstName",
+                  u.last_name AS "lastName",
+                  u.profile_image AS "profImage",
+                  u.profile_image_variants AS "profImageVariants"
+           FROM follows AS "f"
+           JOIN users AS "u" ON f.user_being_followed_id = u.id
+           WHERE f.user_following_id = $1
+           ORDER BY u.username`,
+        [userId],
+    );
+
+    return result.rows;
+  }
+
+  /** Delete given user from database; returns undefined.
+   *
+   * Open reports of their trips and images are closed (see
+   * Trip.closeReports).
+   */
+
+  static async remove(username) {
+    await db.transaction(async client => {
+      const contentRes = await client.query(
+            `SELECT COALESCE(array_agg(DISTINCT t.id), '{}') AS "tripIds",
+                    COALESCE(array_agg(i.id) FILTER (WHERE i.id IS NOT NULL), '{}') AS "imageIds"
+             FROM trips AS "t"
+             JOIN users AS "u" ON t.user_id = u.id
+             LEFT JOIN images AS "i" ON i.trip_id = t.id
+             WHERE u.username = $1`,
+          [username],
+      );
+      await Trip.closeReports(contentRes.rows[0], client);
+
+      const result = await client.query(
+            `DELETE
+             FROM users
+             WHERE username = $1
+             RETURNING username`,
+          [username],
+      );
+      const user = result.rows[0];
+
+      if (!user) throw new NotFoundError(`No user: ${username}`);
+    });
   }
 
 
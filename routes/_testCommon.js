@@ -0,0 +1,33 @@
+"use strict";
+
+const Session = require("../models/session");
+const { createToken } = require("../helpers/tokens");
+const {
+  commonBeforeEach: modelsBeforeEach,
+  commonAfterAll,
+} = require("../models/_testCommon");
+
+/** Shared fixtures for route tests: the model fixtures (see
+ * models/_testCommon.js), plus a logged-in session for each user.
+ *
+ * tokens holds each user's access token, e.g. tokens.u1; it's filled in
+ * again before each test, since sessions are emptied along with users.
+ */
+
+const tokens = {};
+
+async function commonBeforeEach() {
+  await modelsBeforeEach();
+
+  for (let [username, isAdmin] of [["u1", false], ["u2", false], ["admin", true]]) {
+    const { sessionId } = await Session.create(username);
+    tokens[username] = createToken({ username, isAdmin }, sessionId);
+  }
+}
+
+
+module.exports = {
+  commonBeforeEach,
+  commonAfterAll,
+  tokens,
+};
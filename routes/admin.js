@@ -0,0 +1,205 @@
+"use strict";
+
+/** Routes for admins: accounts, the moderation queue and removing content. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+const { BadRequestError } = require("../expressError");
+const User = require("../models/user");
+const Trip = require("../models/trip");
+const Report = require("../models/report");
+const { ensureAdmin } = require("../middleware/auth");
+const { parseIntParam, parseBoolParam } = require("../helpers/params");
+const { deleteImage } = require("../helpers/variants");
+const adminSuspendSchema = require("../schemas/adminSuspend.json");
+const reportActionSchema = require("../schemas/reportAction.json");
+
+const router = new express.Router();
+
+
+/** GET /users => { users: [ { username, firstName, lastName, email,
+ *                             emailVerified, isAdmin, suspendedAt,
+ *                             suspensionReason, tripCount, imageCount,
+ *                             followerCount, followingCount,
+ *                             lastActiveAt }, ... ],
+ *                  nextCursor }
+ *
+ * Returns users in username order with their activity stats. Can filter
+ * with ?suspended=true or ?suspended=false.
+ *
+ * Paginated with ?limit= (default 20, max 100) and ?cursor=, where cursor is
+ * the nextCursor from the previous page. nextCursor is null on the last page.
+ *
+ * Authorization required: admin
+ */
+
+router.get("/users", ensureAdmin, async function (req, res, next) {
+  try {
+    const { cursor } = req.query;
+    if (cursor !== undefined && typeof cursor !== "string") {
+      throw new BadRequestError("Invalid cursor");
+    }
+    const limit = parseIntParam(req.query, "limit", { min: 1, max: 100, defaultValue: 20 });
+    const suspended = parseBoolParam(req.query, "suspended");
+
+    const { users, nextCursor } = await User.findAllWithStats({ cursor, limit, suspended });
+    return res.json({ users, nextCursor });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /users/[username]/suspend { reason } => { user }
+ *
+ * Suspends an account: the user is logged out everywhere and can't log in
+ * until reinstated. reason is optional.
+ *
+ * Returns { username, suspendedAt, suspensionReason }
+ *
+ * Authorization required: admin
+ */
+
+router.post("/users/:username/suspend", ensureAdmin, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, adminSuspendSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+    if (req.params.username === res.locals.user.username) {
+      throw new BadRequestError("Admins cannot suspend themselves");
+    }
+
+    const user = await User.suspend(req.params.username, req.body.reason);
+    return res.json({ user });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /users/[username]/reinstate => { user }
+ *
+ * Lifts a suspension so the user can log in again.
+ *
+ * Returns { username, suspendedAt, suspensionReason }
+ *
+ * Authorization required: admin
+ */
+
+router.post("/users/:username/reinstate", ensureAdmin, async function (req, res, next) {
+  try {
+    const user = await User.reinstate(req.params.username);
+    return res.json({ user });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /trips/[id]  =>  { deleted: id }
+ *
+ * Removes any user's trip, its images, and their files from storage.
+ *
+ * Authorization required: admin
+ */
+
+router.delete("/trips/:id", ensureAdmin, async function (req, res, next) {
+  try {
+    const images = await Trip.remove(req.params.id);
+    for (let image of images) await deleteImage(image);
+
+    return res.json({ deleted: req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /trips/[id]/images/[imageId] => { deleted: imageId }
+ *
+ * Removes an image from any user's trip, and its files from storage.
+ *
+ * Authorization required: admin
+ */
+
+router.delete("/trips/:id/images/:imageId", ensureAdmin, async function (req, res, next) {
+  try {
+    const image = await Trip.removeImage(req.params.id, req.params.imageId);
+    await deleteImage(image);
+
+    return res.json({ deleted: req.params.imageId });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /reports => { targets: [ { targetType, targetId, trip, image,
+ *                                  reportCount, reasons, firstReportedAt,
+ *                                  reports }, ... ] }
+ *
+ * The moderation queue: trips and images with open reports, grouped by
+ * what was reported, the longest-waiting first. Can pass ?limit= (default
+ * 20, max 100).
+ *
+ * trip is { id, title, username, visibility, hiddenAt }, the trip reported
+ *   or the one the image is in
+ * image is { id, fileUrl, variants, caption, hiddenAt }, or null for trips
+ * reasons is { reason: count, ... }
+ * reports is [{ id, reporter, reason, details, createdAt }, ...]
+ *
+ * Authorization required: admin
+ */
+
+router.get("/reports", ensureAdmin, async function (req, res, next) {
+  try {
+    const limit = parseIntParam(req.query, "limit", { min: 1, max: 100, defaultValue: 20 });
+    const targets = await Report.findOpen({ limit });
+    return res.json({ targets });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /reports/trips/[id] { action } => { action, resolved }
+ * POST /reports/images/[id] { action } => { action, resolved }
+ *
+ * Acts on a reported trip or image, and resolves all of its open reports:
+ * - "dismiss": leave it as it is
+ * - "hide": hide it from everyone but its owner
+ * - "remove": delete it, and its files from storage
+ *
+ * resolved is the number of reports resolved. Admins can also hide or
+ * remove things no one has reported.
+ *
+ * Authorization required: admin
+ */
+
+function moderationRoute(targetType) {
+  return async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, reportActionSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map(e => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const { action } = req.body;
+      const { resolved, removedImages } = await Report.moderate(
+          targetType, req.params.id, action, res.locals.user.username);
+      for (let image of removedImages) await deleteImage(image);
+
+      return res.json({ action, resolved });
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+router.post("/reports/trips/:id", ensureAdmin, moderationRoute("trip"));
+router.post("/reports/images/:id", ensureAdmin, moderationRoute("image"));
+
+module.exports = router;
@@ -0,0 +1,395 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const db = require("../db");
+const storage = require("../storage");
+const Report = require("../models/report");
+const Trip = require("../models/trip");
+const { commonBeforeEach, commonAfterAll, tokens } = require("./_testCommon");
+
+beforeEach(commonBeforeEach);
+afterEach(() => jest.restoreAllMocks());
+afterAll(commonAfterAll);
+
+/** Return the status code of a request that needs a logged-in user. */
+
+async function authedStatus(token) {
+  const resp = await request(app)
+      .get("/feed")
+      .set("authorization", `Bearer ${token}`);
+  return resp.statusCode;
+}
+
+function suspend(username, reason) {
+  return request(app)
+      .post(`/admin/users/${username}/suspend`)
+      .set("authorization", `Bearer ${tokens.admin}`)
+      .send(reason === undefined ? {} : { reason });
+}
+
+function report(targetType, targetId, reporter = "u2") {
+  return Report.create({ reporter, targetType, targetId, reason: "spam" });
+}
+
+/** Return the statuses of every report, oldest first. */
+
+async function reportStatuses() {
+  const result = await db.query(`SELECT status FROM reports ORDER BY id`);
+  return result.rows.map(r => r.status);
+}
+
+/************************************** GET /admin/users */
+
+describe("GET /admin/users", function () {
+  test("lists users with stats", async function () {
+    const resp = await request(app)
+        .get("/admin/users")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.users.map(u => u.username)).toEqual(["admin", "u1", "u2"]);
+    expect(resp.body.users[1]).toEqual(expect.objectContaining({
+      username: "u1",
+      email: "u1@email.com",
+      isAdmin: false,
+      suspendedAt: null,
+      tripCount: 1,
+      imageCount: 2,
+      followerCount: 0,
+      followingCount: 0,
+    }));
+    expect(resp.body.nextCursor).toBeNull();
+  });
+
+  test("filters on suspension", async function () {
+    await suspend("u2");
+
+    const suspended = await request(app)
+        .get("/admin/users?suspended=true")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(suspended.body.users.map(u => u.username)).toEqual(["u2"]);
+
+    const active = await request(app)
+        .get("/admin/users?suspended=false")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(active.body.users.map(u => u.username)).toEqual(["admin", "u1"]);
+  });
+
+  test("pages with a cursor", async function () {
+    const first = await request(app)
+        .get("/admin/users?limit=2")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(first.body.users.map(u => u.username)).toEqual(["admin", "u1"]);
+
+    const second = await request(app)
+        .get("/admin/users")
+        .query({ limit: 2, cursor: first.body.nextCursor })
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(second.body.users.map(u => u.username)).toEqual(["u2"]);
+  });
+
+  test("bad request with a bad suspended filter", async function () {
+    const resp = await request(app)
+        .get("/admin/users?suspended=maybe")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for non-admins", async function () {
+    const resp = await request(app)
+        .get("/admin/users")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/admin/users");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /admin/users/:username/suspend */
+
+describe("POST /admin/users/:username/suspend", function () {
+  test("logs the user out and refuses their logins", async function () {
+    const resp = await suspend("u1", "Spam");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.user).toEqual({
+      username: "u1",
+      suspendedAt: expect.any(String),
+      suspensionReason: "Spam",
+    });
+
+    expect(await authedStatus(tokens.u1)).toEqual(401);
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(loginResp.statusCode).toEqual(403);
+    expect(await authedStatus(tokens.u2)).toEqual(200);
+  });
+
+  test("bad request suspending yourself", async function () {
+    const resp = await suspend("admin");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await suspend("nope");
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("forbidden for non-admins", async function () {
+    const resp = await request(app)
+        .post("/admin/users/u2/suspend")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({});
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/admin/users/u2/suspend")
+        .send({});
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /admin/users/:username/reinstate */
+
+describe("POST /admin/users/:username/reinstate", function () {
+  test("lets the user log in again", async function () {
+    await suspend("u1", "Spam");
+
+    const resp = await request(app)
+        .post("/admin/users/u1/reinstate")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.body.user).toEqual({
+      username: "u1",
+      suspendedAt: null,
+      suspensionReason: null,
+    });
+
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(loginResp.statusCode).toEqual(200);
+  });
+
+  test("forbidden for non-admins", async function () {
+    const resp = await request(app)
+        .post("/admin/users/u1/reinstate")
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** DELETE /admin/trips/:id */
+
+describe("DELETE /admin/trips/:id", function () {
+  test("removes any user's trip", async function () {
+    const resp = await request(app)
+        .delete("/admin/trips/2")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.body).toEqual({ deleted: "2" });
+
+    const result = await db.query(`SELECT id FROM trips WHERE id = 2`);
+    expect(result.rows).toEqual([]);
+  });
+
+  test("not found if no such trip", async function () {
+    const resp = await request(app)
+        .delete("/admin/trips/0")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("forbidden for non-admins, even the owner", async function () {
+    const resp = await request(app)
+        .delete("/admin/trips/1")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** DELETE /admin/trips/:id/images/:imageId */
+
+describe("DELETE /admin/trips/:id/images/:imageId", function () {
+  test("removes any user's image", async function () {
+    const resp = await request(app)
+        .delete("/admin/trips/1/images/2")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.body).toEqual({ deleted: "2" });
+
+    const images = await request(app).get("/trips/1/images");
+    expect(images.body.images.map(i => i.id)).toEqual([1]);
+  });
+
+  test("not found if the image is in another trip", async function () {
+    const resp = await request(app)
+        .delete("/admin/trips/2/images/1")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("forbidden for non-admins", async function () {
+    const resp = await request(app)
+        .delete("/admin/trips/1/images/2")
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** GET /admin/reports */
+
+describe("GET /admin/reports", function () {
+  test("works for admin", async function () {
+    await report("image", 1);
+
+    const resp = await request(app)
+        .get("/admin/reports")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.targets).toEqual([
+      expect.objectContaining({ targetType: "image", targetId: 1, reportCount: 1 }),
+    ]);
+  });
+
+  test("deleting a trip closes its reports and its images' reports", async function () {
+    await report("trip", 1);
+    await report("image", 2);
+
+    await request(app)
+        .delete("/trips/1")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(await reportStatuses()).toEqual(["removed", "removed"]);
+
+    const resp = await request(app)
+        .get("/admin/reports")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.body.targets).toEqual([]);
+  });
+
+  test("deleting an image closes only its reports", async function () {
+    await report("image", 1);
+    await report("image", 2);
+
+    await request(app)
+        .delete("/trips/1/images/2")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(await reportStatuses()).toEqual(["open", "removed"]);
+
+    const resp = await request(app)
+        .get("/admin/reports")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.body.targets).toEqual([
+      expect.objectContaining({ targetType: "image", targetId: 1 }),
+    ]);
+  });
+
+  test("deleting a user closes the reports of their content", async function () {
+    await report("trip", 1);
+    await report("image", 1);
+
+    await request(app)
+        .delete("/users/u1")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(await reportStatuses()).toEqual(["removed", "removed"]);
+  });
+
+  test("forbidden for non-admins", async function () {
+    const resp = await request(app)
+        .get("/admin/reports")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** POST /admin/reports/... */
+
+describe("POST /admin/reports/:type/:id", function () {
+  test("hides a reported trip", async function () {
+    await report("trip", 1);
+
+    const resp = await request(app)
+        .post("/admin/reports/trips/1")
+        .set("authorization", `Bearer ${tokens.admin}`)
+        .send({ action: "hide" });
+    expect(resp.body).toEqual({ action: "hide", resolved: 1 });
+
+    const tripResp = await request(app)
+        .get("/trips/1")
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(tripResp.statusCode).toEqual(404);
+  });
+
+  test("removes a reported image and its file", async function () {
+    const fileUrl = await storage.put("tripimages/admin-test.png", Buffer.from("png"), "image/png");
+    await db.query(`UPDATE images SET file_url = $1 WHERE id = 2`, [fileUrl]);
+    await report("image", 2);
+    const del = jest.spyOn(storage, "delete");
+
+    const resp = await request(app)
+        .post("/admin/reports/images/2")
+        .set("authorization", `Bearer ${tokens.admin}`)
+        .send({ action: "remove" });
+    expect(resp.body).toEqual({ action: "remove", resolved: 1 });
+    expect(del).toHaveBeenCalledWith("tripimages/admin-test.png");
+
+    const imageRes = await db.query(`SELECT id FROM images WHERE id = 2`);
+    expect(imageRes.rows).toEqual([]);
+  });
+
+  test("records who removed reported content", async function () {
+    await report("trip", 1);
+
+    await request(app)
+        .post("/admin/reports/trips/1")
+        .set("authorization", `Bearer ${tokens.admin}`)
+        .send({ action: "remove" });
+    const result = await db.query(
+          `SELECT r.status, u.username AS "resolvedBy"
+           FROM reports AS "r"
+           JOIN users AS "u" ON r.resolved_by = u.id`);
+    expect(result.rows).toEqual([{ status: "removed", resolvedBy: "admin" }]);
+  });
+
+  test("keeps reports open if the action fails", async function () {
+    await report("image", 2);
+    jest.spyOn(Trip, "removeImage").mockRejectedValue(new Error("DB is down"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const resp = await request(app)
+        .post("/admin/reports/images/2")
+        .set("authorization", `Bearer ${tokens.admin}`)
+        .send({ action: "remove" });
+    expect(resp.statusCode).toEqual(500);
+    expect((await Report.findOpen()).length).toEqual(1);
+    const imageRes = await db.query(`SELECT id FROM images WHERE id = 2`);
+    expect(imageRes.rows).toEqual([{ id: 2 }]);
+  });
+
+  test("not found dismissing something with no open reports", async function () {
+    const resp = await request(app)
+        .post("/admin/reports/trips/1")
+        .set("authorization", `Bearer ${tokens.admin}`)
+        .send({ action: "dismiss" });
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request with an unknown action", async function () {
+    const resp = await request(app)
+        .post("/admin/reports/trips/1")
+        .set("authorization", `Bearer ${tokens.admin}`)
+        .send({ action: "nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for non-admins", async function () {
+    const resp = await request(app)
+        .post("/admin/reports/trips/1")
+        .set("authorization", `Bearer ${tokens.u2}`)
+        .send({ action: "hide" });
+    expect(resp.statusCode).toEqual(403);
+  });
+});
@@ -5,34 +5,46 @@
 const jsonschema = require("jsonschema");
 
 const User = require("../models/user");
+const Session = require("../models/session");
+const PasswordReset = require("../models/passwordReset");
+const EmailVerification = require("../models/emailVerification");
+const mailer = require("../mailer");
+const {
+  passwordResetMessage,
+  passwordChangedMessage,
+  verifyEmailMessage,
+} = require("../mailer/messages");
 const express = require("express");
-const multer = require("multer");
-const AWS = require("aws-sdk");
 
 const router = new express.Router();
 
 const { createToken } = require("../helpers/tokens");
-const ACCESS_KEY_ID = process.env.ACCESS_KEY_ID;
-const SECRET_ACCESS_KEY = process.env.SECRET_ACCESS_KEY;
+const { putImage, sameForAll, deleteImage } = require("../helpers/variants");
+const { singleImage, checkImageType, imageKey } = require("../helpers/uploads");
+const { DEFAULT_PROF_IMAGE, MAX_PROFILE_IMAGE_BYTES } = require("../config");
 const userAuthSchema = require("../schemas/userAuth.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
-const { BadRequestError } = require("../expressError");
+const authRefreshSchema = require("../schemas/authRefresh.json");
+const authLogoutSchema = require("../schemas/authLogout.json");
+const passwordChangeSchema = require("../schemas/passwordChange.json");
+const passwordForgotSchema = require("../schemas/passwordForgot.json");
+const passwordResetSchema = require("../schemas/passwordReset.json");
+const emailVerifySchema = require("../schemas/emailVerify.json");
+const { BadRequestError, UnauthorizedError } = require("../expressError");
+const { ensureLoggedIn } = require("../middleware/auth");
 
-AWS.config.update({
-  accessKeyId: ACCESS_KEY_ID,
-  secretAccessKey: SECRET_ACCESS_KEY,
-  region: 'us-east-2'
-})
+/** Start a login session for a user; returns { token, refreshToken }. */
 
-// Set up Multer for file uploads
-const s3 = new AWS.S3({httpOptions: {timeout: 10000}});
-const storage = multer.memoryStorage();
+async function startSession(user) {
+  const { sessionId, refreshToken } = await Session.create(user.username);
+  return { token: createToken(user, sessionId), refreshToken };
+}
 
-const upload = multer({storage: storage});
-
-/** POST /auth/token:  { username, password } => { token }
+/** POST /auth/token:  { username, password } => { token, refreshToken }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests,
+ * and a refresh token for getting a new one when it expires (see
+ * POST /auth/refresh).
  *
  * Authorization required: none
  */
@@ -47,24 +59,30 @@ router.post("/token", async function (req, res, next) {
 
     const { username, password } = req.body;
     const user = await User.authenticate(username, password);
-    const token = createToken(user);
-    return res.json({ token });
+    const { token, refreshToken } = await startSession(user);
+    return res.json({ token, refreshToken });
   } catch (err) {
     return next(err);
   }
 });
 
 
-/** POST /auth/register:   { user } => { token }
+/** POST /auth/register:   { user } => { token, refreshToken }
+ *
+ * user must include { username, password, firstName, lastName, email }
+ * and may include a profImage file: a JPEG, PNG, WebP or HEIC image of at
+ * most MAX_PROFILE_IMAGE_BYTES. Users without one get the default image.
  *
- * user must include { username, password, firstName, lastName }
+ * The new user is emailed a token for POST /auth/verify. Until they verify
+ * their email they can't make trips public.
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests,
+ * and a refresh token, as for POST /auth/token.
  *
  * Authorization required: none
  */
 
-router.post("/register", upload.single('profImage'), async function (req, res, next) {
+router.post("/register", singleImage("profImage", MAX_PROFILE_IMAGE_BYTES), async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, userRegisterSchema);
     if (!validator.valid) {
@@ -73,53 +91,258 @@ router.post("/register", upload.single('profImage'), async function (req, res, n
     }
 
     const file = req.file;
+    let profImage = DEFAULT_PROF_IMAGE;
+    let profImageVariants = sameForAll(DEFAULT_PROF_IMAGE);
+
+    // Store the uploaded profile image and its resized variants, if there is one
+    if (file) {
+      const type = checkImageType(file);
+      ({ fileUrl: profImage, variants: profImageVariants } =
+          await putImage(imageKey("profileimages", type), file.buffer, type));
+    }
+
+    let newUser;
+    try {
+      newUser = await User.register({ ...req.body, profImage, profImageVariants });
+    } catch (err) {
+      // e.g. a duplicate username: nothing refers to the uploaded image
+      if (file) await deleteImage({ fileUrl: profImage, variants: profImageVariants });
+      throw err;
+    }
+    const { token, refreshToken } = await startSession(newUser);
+
+    // The account exists either way; if this fails they can ask for a resend
+    try {
+      const verification = await EmailVerification.create(newUser.username);
+      await mailer.send(verifyEmailMessage(verification.user, verification.token));
+    } catch (err) {
+      console.error("Could not send verification email:", err.message);
+    }
+
+    return res.status(201).json({ token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/refresh:  { refreshToken } => { token, refreshToken }
+ *
+ * Trades a refresh token for a new JWT token and a new refresh token. Each
+ * refresh token works only once; using one twice logs its session out.
+ *
+ * Authorization required: none
+ */
+
+router.post("/refresh", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, authRefreshSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { sessionId, refreshToken, user } = await Session.refresh(req.body.refreshToken);
+    const token = createToken(user, sessionId);
+    return res.json({ token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/logout:  { refreshToken } => { loggedOut: true }
+ *
+ * Logs out one session: the one the refresh token belongs to, or else the
+ * one the caller's JWT token belongs to. Its tokens stop working.
+ *
+ * Authorization required: a refresh token or a logged-in user
+ */
+
+router.post("/logout", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, authLogoutSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    if (req.body.refreshToken) {
+      await Session.revokeByRefreshToken(req.body.refreshToken);
+    } else if (res.locals.user) {
+      await Session.revoke(res.locals.user.sid);
+    } else {
+      throw res.locals.authError || new UnauthorizedError();
+    }
+
+    return res.json({ loggedOut: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/logout-all  => { loggedOut: count }
+ *
+ * Logs out every session of the logged-in user, on every device, including
+ * this one.
+ *
+ * Authorization required: logged in
+ */
+
+router.post("/logout-all", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const count = await Session.revokeAll(res.locals.user.username);
+    return res.json({ loggedOut: count });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/password/change:  { currentPassword, newPassword }
+ *                               => { passwordChanged: true }
+ *
+ * Changes the logged-in user's password. Every other session of theirs is
+ * logged out; this one stays logged in. If they have an email address,
+ * they're told about the change.
+ *
+ * Authorization required: logged in
+ */
+
+router.post("/password/change", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, passwordChangeSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { username, sid } = res.locals.user;
+    const user = await User.changePassword(
+        username, req.body.currentPassword, req.body.newPassword);
+    await Session.revokeAll(username, { except: sid });
 
-    // Check if file exists
-    if (!file) {
+    // The password is changed either way; the notice is only a courtesy
+    if (user.email) {
       try {
-            //Insert User into DB
-            const newUser = await User.register({ 
-              ...req.body,
-               profImage: "https://traveler-capstone-images.s3.us-east-2.amazonaws.com/profileimages/defaultUser.jpeg" });
-            const token = createToken(newUser);
-    
-            //res.send(`File Uploaded Successfully: URL: ${data.Location}`);
-            return res.status(201).json({ token });
-      } catch(err) {
-        return next(err);
+        await mailer.send(passwordChangedMessage(user));
+      } catch (err) {
+        console.error("Could not send password change notice:", err.message);
       }
     }
 
-    const folder = "profileimages/";
-
-    const params = {
-      Bucket: 'traveler-capstone-images',
-      Key: folder + file.originalname,
-      Body: file.buffer,
-      ContentType: file.mimetype
-    };
-  
-    // Upload the file to S3
-    s3.upload(params, async (err, data) => {
-      if (err) {
-        console.error(err);
-        return res.status(500).send('Error uploading image to S3');
-      }
-  
-      try {
-        //Insert User into DB
-        const newUser = await User.register({ 
-          ...req.body, profImage: data.Location });
-        const token = createToken(newUser);
+    return res.json({ passwordChanged: true });
+  } catch (err) {
+    return next(err);
+  }
+});
 
-        //res.send(`File Uploaded Successfully: URL: ${data.Location}`);
-        return res.status(201).json({ token });
 
+/** POST /auth/password/forgot:  { username } or { email } => { message }
+ *
+ * Emails the user a token for POST /auth/password/reset, if they have an
+ * email address. The response is the same whether or not the user exists,
+ * so this can't be used to find out who has an account.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password/forgot", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, passwordForgotSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    // A mail failure is only logged: answering differently would show that
+    // the account exists
+    const reset = await PasswordReset.create(req.body);
+    if (reset) {
+      try {
+        await mailer.send(passwordResetMessage(reset.user, reset.token));
       } catch (err) {
-        return next(err);
+        console.error("Could not send password reset email:", err.message);
       }
+    }
+
+    return res.json({
+      message: "If that account has an email address, a reset link has been sent to it",
     });
+  } catch (err) {
+    return next(err);
+  }
+});
 
+
+/** POST /auth/password/reset:  { token, newPassword } => { passwordReset: true }
+ *
+ * Sets a new password using a token from POST /auth/password/forgot. The
+ * token works once. Every session of the user is logged out, so they must
+ * log in again with the new password.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password/reset", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, passwordResetSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const user = await PasswordReset.redeem(req.body.token);
+    await User.setPassword(user.username, req.body.newPassword);
+    await Session.revokeAll(user.username);
+
+    return res.json({ passwordReset: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/verify:  { token } => { verified: true }
+ *
+ * Confirms a user's email address with a token sent by POST /auth/register,
+ * POST /auth/verify/resend or a change of email. The token works once.
+ *
+ * Authorization required: none
+ */
+
+router.post("/verify", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, emailVerifySchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    await EmailVerification.redeem(req.body.token);
+    return res.json({ verified: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/verify/resend  => { sent: true }
+ *
+ * Emails the logged-in user a new verification token. Earlier tokens stop
+ * working.
+ *
+ * Returns 400 if their email is already verified.
+ *
+ * Authorization required: logged in
+ */
+
+router.post("/verify/resend", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const { user, token } = await EmailVerification.create(res.locals.user.username);
+    await mailer.send(verifyEmailMessage(user, token));
+    return res.json({ sent: true });
   } catch (err) {
     return next(err);
   }
@@ -0,0 +1,565 @@
+"use strict";
+
+const request = require("supertest");
+const sharp = require("sharp");
+const jwt = require("jsonwebtoken");
+
+const app = require("../app");
+const db = require("../db");
+const storage = require("../storage");
+const mailer = require("../mailer");
+const PasswordReset = require("../models/passwordReset");
+const EmailVerification = require("../models/emailVerification");
+const { SECRET_KEY, MAX_PROFILE_IMAGE_BYTES } = require("../config");
+const { commonBeforeEach, commonAfterAll, tokens } = require("./_testCommon");
+
+beforeEach(commonBeforeEach);
+afterEach(() => jest.restoreAllMocks());
+afterAll(commonAfterAll);
+
+/** Return a PNG, 8 pixels square unless given a size. */
+
+function png(color, width = 8, height = width) {
+  return sharp({
+    create: { width, height, channels: 3, background: color },
+  }).png().toBuffer();
+}
+
+/** Log in as u1; returns { token, refreshToken }. */
+
+async function login() {
+  const resp = await request(app)
+      .post("/auth/token")
+      .send({ username: "u1", password: "password1" });
+  return resp.body;
+}
+
+/** Return the status code of a request that needs a logged-in user. */
+
+async function authedStatus(token) {
+  const resp = await request(app)
+      .get("/feed")
+      .set("authorization", `Bearer ${token}`);
+  return resp.statusCode;
+}
+
+/************************************** POST /auth/register */
+
+describe("POST /auth/register", function () {
+  const newUser = {
+    username: "new",
+    password: "password",
+    firstName: "First",
+    lastName: "Last",
+    email: "new@email.com",
+  };
+
+  test("emails a verification token to new users", async function () {
+    const send = jest.spyOn(mailer, "send").mockResolvedValue();
+
+    const resp = await request(app)
+        .post("/auth/register")
+        .send(newUser);
+    expect(resp.statusCode).toEqual(201);
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ to: "new@email.com" }));
+
+    const userResp = await request(app)
+        .get("/users/new")
+        .set("authorization", `Bearer ${resp.body.token}`);
+    expect(userResp.body.user.emailVerified).toEqual(false);
+  });
+
+  test("works with a profile image", async function () {
+
+    const resp = await request(app)
+        .post("/auth/register")
+        .field(newUser)
+        .attach("profImage", await png("red"), "me.png");
+    expect(resp.statusCode).toEqual(201);
+
+    const userResp = await request(app).get("/users/new");
+    expect(storage.keyFromUrl(userResp.body.user.profileImage)).toEqual(expect.any(String));
+  });
+
+  test("stores resized variants of the profile image", async function () {
+    const resp = await request(app)
+        .post("/auth/register")
+        .field(newUser)
+        .attach("profImage", await png("red", 2000, 1000), "me.png");
+    expect(resp.statusCode).toEqual(201);
+
+    const { user } = (await request(app).get("/users/new")).body;
+    const { thumbnail, medium, original } = user.profileImageVariants;
+    expect(original).toEqual(user.profileImage);
+    expect(new Set([thumbnail, medium, original]).size).toEqual(3);
+
+    const widths = [];
+    for (let url of [thumbnail, medium, original]) {
+      const { width, format } = await sharp(await storage.get(storage.keyFromUrl(url))).metadata();
+      expect(format).toEqual("png");
+      widths.push(width);
+    }
+    expect(widths).toEqual([320, 1280, 2000]);
+  });
+
+  test("never scales small images up", async function () {
+    await request(app)
+        .post("/auth/register")
+        .field(newUser)
+        .attach("profImage", await png("red"), "me.png");
+
+    const { user } = (await request(app).get("/users/new")).body;
+    const thumbnail = await storage.get(storage.keyFromUrl(user.profileImageVariants.thumbnail));
+    expect((await sharp(thumbnail).metadata()).width).toEqual(8);
+  });
+
+  test("uses the default profile image without a file", async function () {
+    const resp = await request(app)
+        .post("/auth/register")
+        .send(newUser);
+    expect(resp.statusCode).toEqual(201);
+
+    const { user } = (await request(app).get("/users/new")).body;
+    expect(user.profileImageVariants).toEqual({
+      thumbnail: user.profileImage,
+      medium: user.profileImage,
+      original: user.profileImage,
+    });
+  });
+
+  test("removes the profile image if saving fails", async function () {
+    const put = jest.spyOn(storage, "put");
+    const del = jest.spyOn(storage, "delete");
+
+    const resp = await request(app)
+        .post("/auth/register")
+        .field({ ...newUser, username: "u1" })
+        .attach("profImage", await png("red"), "me.png");
+    expect(resp.statusCode).toEqual(400);
+    expect(del).toHaveBeenCalledTimes(put.mock.calls.length);
+  });
+
+  test("bad request if the profile image isn't an image", async function () {
+    const resp = await request(app)
+        .post("/auth/register")
+        .field(newUser)
+        .attach("profImage", Buffer.from("not an image"), { filename: "me.png", contentType: "image/png" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request if the profile image is too large", async function () {
+    const file = Buffer.concat([await png("red"), Buffer.alloc(MAX_PROFILE_IMAGE_BYTES)]);
+    const resp = await request(app)
+        .post("/auth/register")
+        .field(newUser)
+        .attach("profImage", file, "me.png");
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toMatch(/too large/);
+  });
+
+  test("bad request with missing fields", async function () {
+    const resp = await request(app)
+        .post("/auth/register")
+        .send({ username: "new" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/token */
+
+describe("POST /auth/token", function () {
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(await authedStatus(resp.body.token)).toEqual(200);
+  });
+
+  test("unauth with wrong password", async function () {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/refresh */
+
+describe("POST /auth/refresh", function () {
+  test("trades a refresh token for new tokens", async function () {
+    const { refreshToken } = await login();
+
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(refreshToken);
+    expect(await authedStatus(resp.body.token)).toEqual(200);
+  });
+
+  test("reusing a refresh token logs the session out", async function () {
+    const { token, refreshToken } = await login();
+    const first = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp.statusCode).toEqual(401);
+
+    expect(await authedStatus(token)).toEqual(401);
+    expect(await authedStatus(first.body.token)).toEqual(401);
+    const next = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: first.body.refreshToken });
+    expect(next.statusCode).toEqual(401);
+  });
+
+  test("unauth with an unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe("POST /auth/logout", function () {
+  test("works with a refresh token", async function () {
+    const { token, refreshToken } = await login();
+
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken });
+    expect(resp.body).toEqual({ loggedOut: true });
+    expect(await authedStatus(token)).toEqual(401);
+    expect(await authedStatus(tokens.u1)).toEqual(200);
+  });
+
+  test("works with a JWT token", async function () {
+    const { token, refreshToken } = await login();
+
+    const resp = await request(app)
+        .post("/auth/logout")
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.body).toEqual({ loggedOut: true });
+    expect(await authedStatus(token)).toEqual(401);
+
+    const refreshResp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(refreshResp.statusCode).toEqual(401);
+  });
+
+  test("unauth with neither", async function () {
+    const resp = await request(app).post("/auth/logout");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /auth/logout-all */
+
+describe("POST /auth/logout-all", function () {
+  test("logs out every session of the user", async function () {
+    const { token } = await login();
+
+    const resp = await request(app)
+        .post("/auth/logout-all")
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.body).toEqual({ loggedOut: 2 });
+    expect(await authedStatus(token)).toEqual(401);
+    expect(await authedStatus(tokens.u1)).toEqual(401);
+    expect(await authedStatus(tokens.u2)).toEqual(200);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post("/auth/logout-all");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /auth/password/change */
+
+describe("POST /auth/password/change", function () {
+  test("works, and logs out the user's other sessions", async function () {
+    const send = jest.spyOn(mailer, "send").mockResolvedValue();
+    const { token } = await login();
+
+    const resp = await request(app)
+        .post("/auth/password/change")
+        .set("authorization", `Bearer ${token}`)
+        .send({ currentPassword: "password1", newPassword: "new-password" });
+    expect(resp.body).toEqual({ passwordChanged: true });
+    expect(await authedStatus(token)).toEqual(200);
+    expect(await authedStatus(tokens.u1)).toEqual(401);
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ to: "u1@email.com" }));
+
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "new-password" });
+    expect(loginResp.statusCode).toEqual(200);
+  });
+
+  test("works even if the notice can't be sent", async function () {
+    jest.spyOn(mailer, "send").mockRejectedValue(new Error("Mail is down"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const resp = await request(app)
+        .post("/auth/password/change")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ currentPassword: "password1", newPassword: "new-password" });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ passwordChanged: true });
+  });
+
+  test("unauth with the wrong current password", async function () {
+    const resp = await request(app)
+        .post("/auth/password/change")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ currentPassword: "nope", newPassword: "new-password" });
+    expect(resp.statusCode).toEqual(401);
+    expect(await authedStatus(tokens.u1)).toEqual(200);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/auth/password/change")
+        .send({ currentPassword: "password1", newPassword: "new-password" });
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /auth/password/forgot */
+
+describe("POST /auth/password/forgot", function () {
+  const message = "If that account has an email address, a reset link has been sent to it";
+
+  test("emails the user a reset link", async function () {
+    const send = jest.spyOn(mailer, "send").mockResolvedValue();
+
+    const resp = await request(app)
+        .post("/auth/password/forgot")
+        .send({ email: "u1@email.com" });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ message });
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ to: "u1@email.com" }));
+  });
+
+  test("answers the same for unknown users", async function () {
+    const send = jest.spyOn(mailer, "send").mockResolvedValue();
+
+    const resp = await request(app)
+        .post("/auth/password/forgot")
+        .send({ username: "nope" });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ message });
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  test("answers the same if the email can't be sent", async function () {
+    jest.spyOn(mailer, "send").mockRejectedValue(new Error("Mail is down"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const resp = await request(app)
+        .post("/auth/password/forgot")
+        .send({ username: "u1" });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ message });
+  });
+
+  test("bad request with both username and email", async function () {
+    const resp = await request(app)
+        .post("/auth/password/forgot")
+        .send({ username: "u1", email: "u1@email.com" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/password/reset */
+
+describe("POST /auth/password/reset", function () {
+  test("works, and logs out every session", async function () {
+    const { token } = await PasswordReset.create({ username: "u1" });
+
+    const resp = await request(app)
+        .post("/auth/password/reset")
+        .send({ token, newPassword: "new-password" });
+    expect(resp.body).toEqual({ passwordReset: true });
+    expect(await authedStatus(tokens.u1)).toEqual(401);
+
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "new-password" });
+    expect(loginResp.statusCode).toEqual(200);
+  });
+
+  test("a token works only once", async function () {
+    const { token } = await PasswordReset.create({ username: "u1" });
+    await request(app)
+        .post("/auth/password/reset")
+        .send({ token, newPassword: "new-password" });
+
+    const resp = await request(app)
+        .post("/auth/password/reset")
+        .send({ token, newPassword: "other-password" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with an unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/password/reset")
+        .send({ token: "nope", newPassword: "new-password" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/verify */
+
+describe("POST /auth/verify", function () {
+  beforeEach(async function () {
+    await db.query(`UPDATE users SET email_verified = FALSE WHERE username = 'u1'`);
+  });
+
+  async function emailVerified() {
+    const resp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    return resp.body.user.emailVerified;
+  }
+
+  test("works", async function () {
+    const { token } = await EmailVerification.create("u1");
+
+    const resp = await request(app)
+        .post("/auth/verify")
+        .send({ token });
+    expect(resp.body).toEqual({ verified: true });
+    expect(await emailVerified()).toEqual(true);
+  });
+
+  test("a token works only once", async function () {
+    const { token } = await EmailVerification.create("u1");
+    await request(app).post("/auth/verify").send({ token });
+    await db.query(`UPDATE users SET email_verified = FALSE WHERE username = 'u1'`);
+
+    const resp = await request(app)
+        .post("/auth/verify")
+        .send({ token });
+    expect(resp.statusCode).toEqual(400);
+    expect(await emailVerified()).toEqual(false);
+  });
+
+  test("bad request if the email changed since the token was sent", async function () {
+    const { token } = await EmailVerification.create("u1");
+    await db.query(`UPDATE users SET email = 'other@email.com' WHERE username = 'u1'`);
+
+    const resp = await request(app)
+        .post("/auth/verify")
+        .send({ token });
+    expect(resp.statusCode).toEqual(400);
+    expect(await emailVerified()).toEqual(false);
+  });
+
+  test("bad request with an unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/verify")
+        .send({ token: "nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/verify/resend */
+
+describe("POST /auth/verify/resend", function () {
+  test("emails a new token, and earlier ones stop working", async function () {
+    await db.query(`UPDATE users SET email_verified = FALSE WHERE username = 'u1'`);
+    const { token } = await EmailVerification.create("u1");
+    const send = jest.spyOn(mailer, "send").mockResolvedValue();
+
+    const resp = await request(app)
+        .post("/auth/verify/resend")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.body).toEqual({ sent: true });
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ to: "u1@email.com" }));
+
+    const verifyResp = await request(app)
+        .post("/auth/verify")
+        .send({ token });
+    expect(verifyResp.statusCode).toEqual(400);
+  });
+
+  test("bad request if already verified", async function () {
+    const resp = await request(app)
+        .post("/auth/verify/resend")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post("/auth/verify/resend");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** access tokens */
+
+describe("access tokens", function () {
+  function sign(payload, secret = SECRET_KEY, opts = {}) {
+    return jwt.sign({ username: "u1", isAdmin: false, ...payload }, secret, opts);
+  }
+
+  test("unauth with an expired token", async function () {
+    const token = sign({ sid: jwt.decode(tokens.u1).sid }, SECRET_KEY, { expiresIn: -10 });
+    const resp = await request(app)
+        .get("/feed")
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(401);
+    expect(resp.body.error.message).toEqual("Token expired");
+  });
+
+  test("unauth with a token signed with an unknown secret", async function () {
+    const token = sign({ sid: jwt.decode(tokens.u1).sid }, "not-the-secret");
+    const resp = await request(app)
+        .get("/feed")
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(401);
+    expect(resp.body.error.message).toEqual("Invalid token");
+  });
+
+  test("unauth with a token from before sessions", async function () {
+    expect(await authedStatus(sign({}))).toEqual(401);
+  });
+
+  test("bad tokens are anonymous on public routes", async function () {
+    const resp = await request(app)
+        .get("/trips")
+        .set("authorization", "Bearer nonsense");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.trips.map(t => t.id)).toEqual([1]);
+  });
+});
@@ -0,0 +1,49 @@
+"use strict";
+
+/** Routes for the home feed. */
+
+const express = require("express");
+const { BadRequestError } = require("../expressError");
+const Trip = require("../models/trip");
+const { ensureLoggedIn } = require("../middleware/auth");
+const { parseIntParam } = require("../helpers/params");
+
+const router = new express.Router();
+
+const MAX_LIMIT = 50;
+
+/** GET / => { trips, nextCursor }
+ *
+ * Trips from the logged-in user and everyone they follow, newest first.
+ *
+ * Query can include:
+ * - cursor: the nextCursor returned by the previous page
+ * - limit: number of trips per page (default 20, max 50)
+ *
+ * trips is [{ id, title, userId, username, profImage, profImageVariants,
+ *             images }, ...]
+ * nextCursor is null once there are no more trips.
+ *
+ * Authorization required: logged in
+ */
+
+router.get("/", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const { cursor } = req.query;
+    if (cursor !== undefined && typeof cursor !== "string") {
+      throw new BadRequestError("Invalid cursor");
+    }
+    const opts = {
+      cursor,
+      limit: parseIntParam(req.query, "limit", { min: 1, max: MAX_LIMIT, defaultValue: 20 }),
+    };
+
+    const feed = await Trip.getFeed(res.locals.user.username, opts);
+    return res.json(feed);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
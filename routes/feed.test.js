@@ -0,0 +1,75 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const db = require("../db");
+const { commonBeforeEach, commonAfterAll, tokens } = require("./_testCommon");
+
+beforeEach(async function () {
+  await commonBeforeEach();
+
+  // u1 follows u2, who has a private trip (2), a followers-only one (3)
+  // and a public one (4); admin's trip (5) isn't followed
+  await db.query(`
+        INSERT INTO trips (user_id, title, visibility)
+        VALUES ((SELECT id FROM users WHERE username = 'u2'), 'Trip3', 'followers'),
+               ((SELECT id FROM users WHERE username = 'u2'), 'Trip4', 'public'),
+               ((SELECT id FROM users WHERE username = 'admin'), 'Trip5', 'public')`);
+  await db.query(`
+        INSERT INTO follows (user_following_id, user_being_followed_id)
+        VALUES ((SELECT id FROM users WHERE username = 'u1'),
+                (SELECT id FROM users WHERE username = 'u2'))`);
+});
+afterAll(commonAfterAll);
+
+function getFeed(query = {}) {
+  return request(app)
+      .get("/feed")
+      .query(query)
+      .set("authorization", `Bearer ${tokens.u1}`);
+}
+
+/************************************** GET /feed */
+
+describe("GET /feed", function () {
+  test("has the user's trips and the trips they may see of users they follow",
+      async function () {
+        const resp = await getFeed();
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.trips.map(t => t.title)).toEqual(["Trip4", "Trip3", "Trip1"]);
+        expect(resp.body.nextCursor).toBeNull();
+        expect(resp.body.trips[2]).toEqual(expect.objectContaining({
+          username: "u1",
+          images: [
+            expect.objectContaining({ id: 1 }),
+            expect.objectContaining({ id: 2 }),
+          ],
+        }));
+      });
+
+  test("pages with a cursor", async function () {
+    const first = await getFeed({ limit: 2 });
+    expect(first.body.trips.map(t => t.title)).toEqual(["Trip4", "Trip3"]);
+    expect(first.body.nextCursor).toEqual(expect.any(String));
+
+    const second = await getFeed({ limit: 2, cursor: first.body.nextCursor });
+    expect(second.body.trips.map(t => t.title)).toEqual(["Trip1"]);
+    expect(second.body.nextCursor).toBeNull();
+  });
+
+  test("bad request with an invalid cursor", async function () {
+    expect((await getFeed({ cursor: "nope" })).statusCode).toEqual(400);
+    expect((await getFeed({ cursor: ["a", "b"] })).statusCode).toEqual(400);
+  });
+
+  test("bad request with an invalid limit", async function () {
+    expect((await getFeed({ limit: 0 })).statusCode).toEqual(400);
+    expect((await getFeed({ limit: "x" })).statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/feed");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
@@ -0,0 +1,50 @@
+"use strict";
+
+/** Routes for images, outside of the trips they belong to. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+const { BadRequestError } = require("../expressError");
+const Report = require("../models/report");
+const { ensureLoggedIn } = require("../middleware/auth");
+const reportNewSchema = require("../schemas/reportNew.json");
+
+const router = new express.Router();
+
+
+/** POST /[id]/report { reason, details } => { report }
+ *
+ * Reports an image for moderators to review. reason is "spam", "nudity",
+ * "violence", "harassment", "hate", "copyright" or "other"; details is
+ * optional.
+ *
+ * Returns { id, targetType, targetId, reason, details, status, createdAt }
+ *
+ * Returns 404 if the image is hidden from the caller, and 400 for the
+ * caller's own images or if they already have an open report of it.
+ *
+ * Authorization required: logged in
+ */
+
+router.post("/:id/report", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, reportNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const report = await Report.create({
+      ...req.body,
+      reporter: res.locals.user.username,
+      targetType: "image",
+      targetId: req.params.id,
+    });
+    return res.status(201).json({ report });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,61 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const { commonBeforeEach, commonAfterAll, tokens } = require("./_testCommon");
+
+beforeEach(commonBeforeEach);
+afterAll(commonAfterAll);
+
+/************************************** POST /images/:id/report */
+
+describe("POST /images/:id/report", function () {
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/images/1/report")
+        .set("authorization", `Bearer ${tokens.u2}`)
+        .send({ reason: "spam", details: "Ads" });
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.report).toEqual(expect.objectContaining({
+      targetType: "image",
+      targetId: 1,
+      reason: "spam",
+      status: "open",
+    }));
+  });
+
+  test("bad request for a second open report", async function () {
+    const send = () => request(app)
+        .post("/images/1/report")
+        .set("authorization", `Bearer ${tokens.u2}`)
+        .send({ reason: "spam" });
+    await send();
+
+    const resp = await send();
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for your own image", async function () {
+    const resp = await request(app)
+        .post("/images/1/report")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ reason: "spam" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with an unknown reason", async function () {
+    const resp = await request(app)
+        .post("/images/1/report")
+        .set("authorization", `Bearer ${tokens.u2}`)
+        .send({ reason: "boring" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/images/1/report")
+        .send({ reason: "spam" });
+    expect(resp.statusCode).toEqual(401);
+  });
+});
@@ -0,0 +1,53 @@
+"use strict";
+
+/** Routes for search. */
+
+const express = require("express");
+const { BadRequestError } = require("../expressError");
+const Search = require("../models/search");
+const { parseIntParam } = require("../helpers/params");
+
+const router = new express.Router();
+
+const MAX_LIMIT = 50;
+
+/** GET /?q= => { results: { trips, images, users } }
+ *
+ * Full-text search over trip titles, image captions and tags, and user
+ * names and about text. Each group is ranked best match first. Trips and
+ * images hidden from the caller, and suspended users, are left out.
+ *
+ * Query can include:
+ * - q: the search text (required)
+ * - type: only return one group: trips, images or users
+ * - limit: results per group (default 10, max 50)
+ * - offset: results per group to skip (default 0)
+ *
+ * Authorization required: none
+ */
+
+router.get("/", async function (req, res, next) {
+  try {
+    const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    if (q.length === 0 || q.length > 200) {
+      throw new BadRequestError("q must be between 1 and 200 characters");
+    }
+
+    const { type } = req.query;
+    if (type !== undefined && !Search.TYPES.includes(type)) {
+      throw new BadRequestError(`type must be one of: ${Search.TYPES.join(", ")}`);
+    }
+
+    const limit = parseIntParam(req.query, "limit", { min: 1, max: MAX_LIMIT, defaultValue: 10 });
+    const offset = parseIntParam(req.query, "offset", { min: 0, defaultValue: 0 });
+
+    const viewer = res.locals.user ? res.locals.user.username : null;
+    const results = await Search.search(q, { viewer, type, limit, offset });
+    return res.json({ results });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,106 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const db = require("../db");
+const Tag = require("../models/tag");
+const {
+  commonBeforeEach,
+  commonAfterAll,
+  tokens,
+} = require("./_testCommon");
+
+beforeEach(async function () {
+  await commonBeforeEach();
+  await db.query(`UPDATE trips SET title = 'Beach Trip1' WHERE id = 1`);
+  await db.query(`UPDATE trips SET title = 'Beach Trip2' WHERE id = 2`);
+  await db.query(`UPDATE images SET caption = 'Beach sunset' WHERE id = 1`);
+  await db.query(`
+        INSERT INTO images (trip_id, file_url, variants, caption, position)
+        VALUES (2, 'http://img3.com', '{}', 'Beach sunrise', 1)`);
+  for (let id of [1, 2, 3]) await Tag.updateImageSearch(id);
+  await db.query(`UPDATE users SET about = 'Loves the beach' WHERE username IN ('u1', 'u2')`);
+});
+afterAll(commonAfterAll);
+
+/************************************** GET /search */
+
+describe("GET /search", function () {
+  test("leaves private trips and their images out for anon", async function () {
+    const resp = await request(app).get("/search?q=beach");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.results.trips.map(t => t.id)).toEqual([1]);
+    expect(resp.body.results.images.map(i => i.id)).toEqual([1]);
+    expect(resp.body.results.users.map(u => u.username)).toEqual(["u1", "u2"]);
+  });
+
+  test("leaves private trips out for other users", async function () {
+    const resp = await request(app)
+        .get("/search?q=beach")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.body.results.trips.map(t => t.id)).toEqual([1]);
+    expect(resp.body.results.images.map(i => i.id)).toEqual([1]);
+  });
+
+  test("owner finds their own private trips and images", async function () {
+    const resp = await request(app)
+        .get("/search?q=beach")
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(resp.body.results.trips.map(t => t.id).sort()).toEqual([1, 2]);
+    expect(resp.body.results.images.map(i => i.id).sort()).toEqual([1, 3]);
+  });
+
+  test("leaves hidden images out", async function () {
+    await db.query(`UPDATE images SET hidden_at = NOW() WHERE id = 1`);
+    const resp = await request(app).get("/search?q=sunset");
+    expect(resp.body.results.images).toEqual([]);
+  });
+
+  test("leaves suspended users out", async function () {
+    await db.query(`UPDATE users SET suspended_at = NOW() WHERE username = 'u2'`);
+    const resp = await request(app).get("/search?q=beach&type=users");
+    expect(resp.body.results.users.map(u => u.username)).toEqual(["u1"]);
+  });
+
+  test("names rank above about text", async function () {
+    await db.query(`UPDATE users SET about = 'Travels with U1F' WHERE username = 'u2'`);
+    const resp = await request(app).get("/search?q=U1F&type=users");
+    expect(resp.body.results.users.map(u => u.username)).toEqual(["u1", "u2"]);
+  });
+
+  test("type returns only one group", async function () {
+    const resp = await request(app).get("/search?q=beach&type=trips");
+    expect(Object.keys(resp.body.results)).toEqual(["trips"]);
+  });
+
+  test("limit and offset apply to each group", async function () {
+    const resp = await request(app).get("/search?q=beach&type=users&limit=1&offset=1");
+    expect(resp.body.results.users.map(u => u.username)).toEqual(["u2"]);
+  });
+
+  test("bad request without q", async function () {
+    const resp = await request(app).get("/search");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with a blank q", async function () {
+    const resp = await request(app).get("/search?q=%20%20");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with a q over 200 characters", async function () {
+    const resp = await request(app).get(`/search?q=${"a".repeat(201)}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with an unknown type", async function () {
+    const resp = await request(app).get("/search?q=beach&type=places");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with a bad limit", async function () {
+    const resp = await request(app).get("/search?q=beach&limit=51");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
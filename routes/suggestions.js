@@ -0,0 +1,122 @@
+"use strict";
+
+/** Routes for suggestions. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+const { BadRequestError, ForbiddenError } = require("../expressError");
+const Suggestion = require("../models/suggestion");
+const { ensureLoggedIn, ensureAdmin } = require("../middleware/auth");
+const { parseIntParam } = require("../helpers/params");
+const suggestionNewSchema = require("../schemas/suggestionNew.json");
+const suggestionRespondSchema = require("../schemas/suggestionRespond.json");
+
+const router = new express.Router();
+
+const STATUSES = ["open", "accepted", "rejected"];
+
+/** POST / { suggestion } => { suggestion }
+ *
+ * Returns { id, username, suggestion, status, response, createdAt,
+ *           respondedAt }
+ *
+ * Authorization required: logged in
+ */
+
+router.post("/", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, suggestionNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const suggestion = await Suggestion.create(res.locals.user.username, req.body);
+    return res.status(201).json({ suggestion });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET / => { suggestions: [ { id, suggestion, status, response, ... }, ...] }
+ *
+ * Returns the logged-in user's own suggestions.
+ *
+ * Authorization required: logged in
+ */
+
+router.get("/", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const suggestions = await Suggestion.findByUser(res.locals.user.username);
+    return res.json({ suggestions });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /all => { suggestions: [ { id, username, suggestion, status, ... }, ...] }
+ *
+ * Returns every user's suggestions. Can filter on ?status=open|accepted|rejected
+ *
+ * Authorization required: admin
+ */
+
+router.get("/all", ensureAdmin, async function (req, res, next) {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !STATUSES.includes(status)) {
+      throw new BadRequestError(`status must be one of: ${STATUSES.join(", ")}`);
+    }
+
+    const suggestions = await Suggestion.findAll({ status });
+    return res.json({ suggestions });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /[id] { status, response } => { suggestion }
+ *
+ * Respond to a suggestion and update its status.
+ *
+ * Authorization required: admin
+ */
+
+router.patch("/:id", ensureAdmin, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, suggestionRespondSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const id = parseIntParam(req.params, "id", { min: 1 });
+    const suggestion = await Suggestion.respond(id, req.body);
+    return res.json({ suggestion });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[id]  =>  { deleted: id }
+ *
+ * Authorization required: author of suggestion
+ */
+
+router.delete("/:id", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const id = parseIntParam(req.params, "id", { min: 1 });
+    const suggestion = await Suggestion.get(id);
+    if (suggestion.username !== res.locals.user.username) {
+      throw new ForbiddenError();
+    }
+
+    await Suggestion.remove(id);
+    return res.json({ deleted: req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,189 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const { commonBeforeEach, commonAfterAll, tokens } = require("./_testCommon");
+
+beforeEach(commonBeforeEach);
+afterAll(commonAfterAll);
+
+/** Make a suggestion as `username`; returns its id. */
+
+async function suggest(username, suggestion = "More maps") {
+  const resp = await request(app)
+      .post("/suggestions")
+      .set("authorization", `Bearer ${tokens[username]}`)
+      .send({ suggestion });
+  return resp.body.suggestion.id;
+}
+
+/************************************** POST /suggestions */
+
+describe("POST /suggestions", function () {
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/suggestions")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ suggestion: "More maps" });
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.suggestion).toEqual(expect.objectContaining({
+      username: "u1",
+      suggestion: "More maps",
+      status: "open",
+      response: null,
+    }));
+  });
+
+  test("bad request with an empty suggestion", async function () {
+    const resp = await request(app)
+        .post("/suggestions")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ suggestion: "" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/suggestions")
+        .send({ suggestion: "More maps" });
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /suggestions */
+
+describe("GET /suggestions", function () {
+  test("lists only the user's own suggestions", async function () {
+    await suggest("u1", "Mine");
+    await suggest("u2", "Theirs");
+
+    const resp = await request(app)
+        .get("/suggestions")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.body.suggestions.map(s => s.suggestion)).toEqual(["Mine"]);
+  });
+});
+
+/************************************** GET /suggestions/all */
+
+describe("GET /suggestions/all", function () {
+  test("works for admin, with a status filter", async function () {
+    const id = await suggest("u1", "Mine");
+    await suggest("u2", "Theirs");
+    await request(app)
+        .patch(`/suggestions/${id}`)
+        .set("authorization", `Bearer ${tokens.admin}`)
+        .send({ status: "accepted" });
+
+    const resp = await request(app)
+        .get("/suggestions/all")
+        .query({ status: "open" })
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.body.suggestions.map(s => s.suggestion)).toEqual(["Theirs"]);
+  });
+
+  test("bad request with an unknown status", async function () {
+    const resp = await request(app)
+        .get("/suggestions/all")
+        .query({ status: "nope" })
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for non-admins", async function () {
+    const resp = await request(app)
+        .get("/suggestions/all")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** PATCH /suggestions/:id */
+
+describe("PATCH /suggestions/:id", function () {
+  test("works for admin", async function () {
+    const id = await suggest("u1");
+
+    const resp = await request(app)
+        .patch(`/suggestions/${id}`)
+        .set("authorization", `Bearer ${tokens.admin}`)
+        .send({ status: "rejected", response: "Not now" });
+    expect(resp.body.suggestion).toEqual(expect.objectContaining({
+      id,
+      status: "rejected",
+      response: "Not now",
+      respondedAt: expect.any(String),
+    }));
+  });
+
+  test("forbidden for non-admins", async function () {
+    const id = await suggest("u1");
+
+    const resp = await request(app)
+        .patch(`/suggestions/${id}`)
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ status: "accepted" });
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found if no such suggestion", async function () {
+    const resp = await request(app)
+        .patch("/suggestions/999")
+        .set("authorization", `Bearer ${tokens.admin}`)
+        .send({ status: "accepted" });
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request with a non-integer id", async function () {
+    const resp = await request(app)
+        .patch("/suggestions/abc")
+        .set("authorization", `Bearer ${tokens.admin}`)
+        .send({ status: "accepted" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** DELETE /suggestions/:id */
+
+describe("DELETE /suggestions/:id", function () {
+  test("works for the author", async function () {
+    const id = await suggest("u1");
+
+    const resp = await request(app)
+        .delete(`/suggestions/${id}`)
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.body).toEqual({ deleted: `${id}` });
+  });
+
+  test("forbidden for others, even admins", async function () {
+    const id = await suggest("u1");
+
+    for (let username of ["u2", "admin"]) {
+      const resp = await request(app)
+          .delete(`/suggestions/${id}`)
+          .set("authorization", `Bearer ${tokens[username]}`);
+      expect(resp.statusCode).toEqual(403);
+    }
+  });
+
+  test("not found if no such suggestion", async function () {
+    const resp = await request(app)
+        .delete("/suggestions/999")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request with a non-integer id", async function () {
+    const resp = await request(app)
+        .delete("/suggestions/abc")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const id = await suggest("u1");
+    const resp = await request(app).delete(`/suggestions/${id}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
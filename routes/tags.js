@@ -0,0 +1,61 @@
+"use strict";
+
+/** Routes for tags. */
+
+const express = require("express");
+const { BadRequestError } = require("../expressError");
+const Tag = require("../models/tag");
+const { parseIntParam } = require("../helpers/params");
+
+const router = new express.Router();
+
+const MAX_LIMIT = 100;
+
+/** GET /popular => { tags: [ { tag, count }, ...] }
+ *
+ * Most used tags first. Can pass ?limit= (default 20, max 100)
+ *
+ * Authorization required: none
+ */
+
+router.get("/popular", async function (req, res, next) {
+  try {
+    const limit = parseIntParam(req.query, "limit", { min: 1, max: MAX_LIMIT });
+    const tags = await Tag.findPopular(limit);
+    return res.json({ tags });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[tag]/images => { images, nextCursor }
+ *
+ * Images with the given tag (case-insensitive), newest first. Images in
+ * trips hidden from the caller are left out.
+ *
+ * Paginated with ?limit= (default 20, max 100) and ?cursor=, where cursor is
+ * the nextCursor from the previous page. nextCursor is null on the last page.
+ *
+ * images is [{ id, fileUrl, variants, status, caption, tripId, tripTitle,
+ *              username, tags }, ...]
+ *
+ * Authorization required: none
+ */
+
+router.get("/:tag/images", async function (req, res, next) {
+  try {
+    const { cursor } = req.query;
+    if (cursor !== undefined && typeof cursor !== "string") {
+      throw new BadRequestError("Invalid cursor");
+    }
+    const viewer = res.locals.user ? res.locals.user.username : null;
+    const limit = parseIntParam(req.query, "limit", { min: 1, max: MAX_LIMIT, defaultValue: 20 });
+
+    const { images, nextCursor } = await Tag.getImages(req.params.tag, { viewer, cursor, limit });
+    return res.json({ images, nextCursor });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+module.exports = router;
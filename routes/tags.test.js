@@ -0,0 +1,78 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const db = require("../db");
+const Tag = require("../models/tag");
+const { commonBeforeEach, commonAfterAll, tokens } = require("./_testCommon");
+
+beforeEach(async function () {
+  await commonBeforeEach();
+
+  // Image 3 is in u2's private trip
+  await db.query(`
+        INSERT INTO images (trip_id, file_url, variants, caption, position)
+        VALUES (2, 'http://img3.com', '{}', 'Caption3', 1)`);
+  for (let id of [1, 2, 3]) {
+    await Tag.addToImage(id, [{ name: "Beach", source: "label", confidence: 0.5 }]);
+  }
+  await Tag.addToImage(1, [{ name: "Sky", source: "label", confidence: 0.5 }]);
+});
+afterAll(commonAfterAll);
+
+/************************************** GET /tags/popular */
+
+describe("GET /tags/popular", function () {
+  test("counts only images in public trips", async function () {
+    const resp = await request(app).get("/tags/popular");
+    expect(resp.body.tags).toEqual([
+      { tag: "Beach", count: 2 },
+      { tag: "Sky", count: 1 },
+    ]);
+  });
+
+  test("bad request with an invalid limit", async function () {
+    const resp = await request(app).get("/tags/popular?limit=0");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /tags/:tag/images */
+
+describe("GET /tags/:tag/images", function () {
+  test("matches regardless of case, and leaves out hidden trips", async function () {
+    const resp = await request(app).get("/tags/BEACH/images");
+    expect(resp.body.images.map(i => i.id)).toEqual([2, 1]);
+    expect(resp.body.nextCursor).toBeNull();
+    expect(resp.body.images[0]).toEqual(expect.objectContaining({
+      tripId: 1,
+      tripTitle: "Trip1",
+      username: "u1",
+      tags: [{ name: "Beach", source: "label", confidence: 0.5 }],
+    }));
+  });
+
+  test("shows the owner their private trips' images", async function () {
+    const resp = await request(app)
+        .get("/tags/beach/images")
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(resp.body.images.map(i => i.id)).toEqual([3, 2, 1]);
+  });
+
+  test("pages with a cursor", async function () {
+    const first = await request(app).get("/tags/beach/images?limit=1");
+    expect(first.body.images.map(i => i.id)).toEqual([2]);
+
+    const second = await request(app)
+        .get("/tags/beach/images")
+        .query({ limit: 1, cursor: first.body.nextCursor });
+    expect(second.body.images.map(i => i.id)).toEqual([1]);
+    expect(second.body.nextCursor).toBeNull();
+  });
+
+  test("bad request with an invalid cursor", async function () {
+    const resp = await request(app).get("/tags/beach/images?cursor=nope");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
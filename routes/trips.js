@@ -4,48 +4,69 @@
 
 const jsonschema = require("jsonschema");
 const express = require("express");
-const multer = require("multer");
-const AWS = require("aws-sdk");
-// Imports the Google Cloud client library
-const vision = require('@google-cloud/vision');
-const { BadRequestError } = require("../expressError");
+const { BadRequestError, ForbiddenError } = require("../expressError");
 const Trip = require("../models/trip");
+const User = require("../models/user");
+const Report = require("../models/report");
+const Like = require("../models/like");
+const Comment = require("../models/comment");
+const { ensureLoggedIn, ensureTripOwner } = require("../middleware/auth");
+const { parseTripListParams } = require("../helpers/params");
 const tripNewSchema = require("../schemas/tripNew.json");
-
-let ACCESS_KEY_ID, SECRET_ACCESS_KEY;
-
-if(process.env.NODE_ENV === "production") {
-  ACCESS_KEY_ID = process.env.ACCESS_KEY_ID;
-  SECRET_ACCESS_KEY = process.env.SECRET_ACCESS_KEY;
-}
-else {
-    const secrets = require("../secret");
-    ACCESS_KEY_ID = secrets.ACCESS_KEY_ID;
-    SECRET_ACCESS_KEY = secrets.SECRET_ACCESS_KEY;
-}
+const tripUpdateSchema = require("../schemas/tripUpdate.json");
+const tripCoverSchema = require("../schemas/tripCover.json");
+const imageUpdateSchema = require("../schemas/imageUpdate.json");
+const imageOrderSchema = require("../schemas/imageOrder.json");
+const reportNewSchema = require("../schemas/reportNew.json");
+const commentNewSchema = require("../schemas/commentNew.json");
+const { readExif, stripGps } = require("../helpers/exif");
+const storage = require("../storage");
+const { enqueue } = require("../jobs");
+const processImage = require("../jobs/processImage");
+const { sameForAll, deleteImage } = require("../helpers/variants");
+const {
+  singleImage,
+  imageArray,
+  checkImageType,
+  imageKey,
+  contentHash,
+} = require("../helpers/uploads");
+const { mapWithConcurrency, serialize } = require("../helpers/concurrency");
+const {
+  MAX_IMAGE_BYTES,
+  MAX_BATCH_FILES,
+  UPLOAD_CONCURRENCY,
+} = require("../config");
 
 const router = new express.Router();
 
-AWS.config.update({
-  accessKeyId: ACCESS_KEY_ID,
-  secretAccessKey: SECRET_ACCESS_KEY,
-  region: 'us-east-2'
-})
-
-// Set up Multer for file uploads
-const s3 = new AWS.S3({httpOptions: {timeout: 10000}});
-const storage = multer.memoryStorage();
+/** Throw ForbiddenError if `user` (from User.get) may not make a trip
+ * `visibility`: users must verify their email before publishing public trips.
+ */
 
-const upload = multer({storage: storage});
+function checkCanPublish(user, visibility) {
+  if (visibility === "public" && !user.emailVerified) {
+    throw new ForbiddenError("Verify your email address to make trips public");
+  }
+}
 
 /** POST / { trip } =>  { trip }
  *
- * trip should be { title, userId }
+ * trip should be { title, description, startDate, endDate, country, city,
+ *                   visibility }
+ * where only title is required, dates are "YYYY-MM-DD" and visibility is
+ * "public", "followers" or "private". It defaults to "public", or "private"
+ * for users who haven't verified their email; they can't make public trips.
  *
- * Returns { id, title, userId }
+ * The trip is owned by the logged-in user.
+ *
+ * Returns { id, title, userId, description, startDate, endDate, country,
+ *           city, visibility, createdAt, updatedAt }
+ *
+ * Authorization required: logged in
  */
 
-router.post("/", async function (req, res, next) {
+router.post("/", ensureLoggedIn, async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, tripNewSchema);
     if (!validator.valid) {
@@ -53,7 +74,11 @@ router.post("/", async function (req, res, next) {
       throw new BadRequestError(errs);
     }
 
-    const trip = await Trip.create(req.body);
+    const user = await User.get(res.locals.user.username);
+    const visibility = req.body.visibility || (user.emailVerified ? "public" : "private");
+    checkCanPublish(user, visibility);
+
+    const trip = await Trip.create({ ...req.body, visibility, userId: user.id });
     return res.status(201).json({ trip });
   } catch (err) {
     return next(err);
@@ -61,17 +86,39 @@ router.post("/", async function (req, res, next) {
 });
 
 /** GET /  =>
- *   { trips: [ { id, title, userId }, ...] }
+ *   { trips: [ { id, title, userId, description, startDate, endDate,
+ *                country, city, visibility, coverImageId, createdAt,
+ *                updatedAt, username, profImage, profImageVariants, cover,
+ *                images }, ...],
+ *     nextCursor }
+ *
+ * Can filter on provided search filters:
+ * - username
+ * - tag (trips with an image that has this tag)
+ * - startDate, endDate ("YYYY-MM-DD", inclusive)
  *
+ * Can sort with ?sort=newest (default), oldest or title.
+ *
+ * Paginated with ?limit= (default 20, max 100) and ?cursor=, where cursor is
+ * the nextCursor from the previous page. nextCursor is null on the last page.
+ *
+ * Only lists trips the caller may see: public trips, their own, and
+ * followers-only trips of users they follow.
  *
  * Authorization required: none
  */
 
 router.get("/", async function (req, res, next) {
   try {
+    const { username } = req.query;
+    if (username !== undefined && typeof username !== "string") {
+      throw new BadRequestError("username must be a string");
+    }
 
-    const trips = await Trip.findAll();
-    return res.json({ trips });
+    const viewer = res.locals.user ? res.locals.user.username : null;
+    const opts = { ...parseTripListParams(req.query, Trip.SORTS), username, viewer };
+    const { trips, nextCursor } = await Trip.findAll(opts);
+    return res.json({ trips, nextCursor });
   } catch (err) {
     return next(err);
   }
@@ -79,171 +126,602 @@ router.get("/", async function (req, res, next) {
 
 /** GET /[id]  =>  { trip }
  *
- *  trip is { id, title, userId, images }
- *  where images is [{id, file, caption, tag1, tag2, tag3}, ...]
+ *  trip is { id, title, userId, description, startDate, endDate, country,
+ *            city, visibility, coverImageId, createdAt, updatedAt, username,
+ *            cover, images }
+ *  where cover is { id, fileUrl, variants, caption }, or null if there are
+ *    no images
+ *  and images is [{id, fileUrl, variants, status, caption, tags,
+ *                  tag1, ..., tag5}, ...]
+ *  and variants is { thumbnail, medium, original } URLs
+ *  and tags is [{ name, source, confidence }, ...]
+ *
+ * Returns 404 if the trip is hidden from the caller.
  *
  * Authorization required: none
  */
 
 router.get("/:id", async function (req, res, next) {
   try {
-    const trip = await Trip.get(req.params.id);
+    const viewer = res.locals.user ? res.locals.user.username : null;
+    const trip = await Trip.get(req.params.id, viewer);
+    return res.json({ trip });
+  } catch (err) {
+    return next(err);
+  }
+});
 
-    ////console.log("Images", trip.images);
 
-    return res.json({ trip });
+/** PATCH /[id] { fld1, fld2, ... } => { trip }
+ *
+ * Patches trip data.
+ *
+ * fields can be: { title, description, startDate, endDate, country, city,
+ *                  visibility }
+ * Fields other than title can be set to null to clear them. Users who
+ * haven't verified their email can't make a trip public.
+ *
+ * Returns { id, title, userId, description, startDate, endDate, country,
+ *           city, visibility, createdAt, updatedAt }
+ *
+ * Authorization required: owner of trip
+ */
+
+router.patch("/:id", ensureTripOwner, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, tripUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    if (req.body.visibility === "public") {
+      checkCanPublish(await User.get(res.locals.user.username), "public");
+    }
 
+    const trip = await Trip.update(req.params.id, req.body);
+    return res.json({ trip });
   } catch (err) {
     return next(err);
   }
 });
 
 
-/** POST /[id] { fld1, fld2, ... } => { trip }
+/** Store an uploaded image in a trip.
+ *
+ * The file must be a JPEG, PNG, WebP or HEIC image (checked from its
+ * contents) and not already in the trip.
+ * Reads capture time, camera and GPS location from the photo's EXIF data
+ * Then stores the image (in S3 or on local disk, see storage/)
+ * Then saves it in the DB as "pending" along with EXIF data and the user's
+ * tags, and queues a job to generate tags and resized variants (see jobs/)
  *
- * Add image to trip
- * Generates tags using the Google Cloud Vision API
- * Then uploads the image to AWS S3 bucket
- * Then saves S3 URL in the DB along with tags
- * fields can be: { file, caption, tag1, tag2, tag3}
+ * opts are { caption, tags, stripGps }
+ * where tags is an optional comma-separated list of the user's own tags
+ * and stripGps=true removes the location from the stored file (JPEG only)
+ * and doesn't save any location for the image.
+ * saveImage(tripId, imageData) saves the image; it defaults to Trip.addImage.
  *
- * Returns { imageId }
+ * Returns { imageId, fileUrl }
+ *
+ * Throws BadRequestError if the file isn't accepted. If saving fails, the
+ * stored file is removed again.
  */
 
-router.post("/:id", upload.single('file'), async function (req, res, next) {
-  
-  const file = req.file;
+async function addUploadedImage(tripId, file, { caption, tags: tagList, stripGps: strip },
+                                saveImage = Trip.addImage) {
+  const type = checkImageType(file);
+  const hash = contentHash(file.buffer);
+  await Trip.checkNotDuplicate(tripId, hash);
+
+  const tags = (tagList || "").split(",")
+      .map(name => name.trim())
+      .filter(name => name.length > 0 && name.length <= 100)
+      .map(name => ({ name, source: "user", confidence: null }));
+
+  const exif = await readExif(file.buffer);
+  let body = file.buffer;
+
+  let location = { latitude: null, longitude: null, locationSource: null };
 
-  // Check if file exists
-  if (!file) {
-    return res.status(400).send('No file uploaded.');
+  if (strip) {
+    body = await stripGps(file.buffer, type);
+  } else if (exif.latitude !== null) {
+    location = { latitude: exif.latitude, longitude: exif.longitude, locationSource: "exif" };
   }
-  // Check if caption exists
-  if(!req.body.caption) {
-    return res.status(400).send('No caption for file.');
+
+  const key = imageKey("tripimages", type);
+  const fileUrl = await storage.put(key, body, type);
+
+  let imageData = {
+                  file_url: fileUrl,
+                  variants: sameForAll(fileUrl),
+                  contentHash: hash,
+                  status: "pending",
+                  caption,
+                  tags,
+                  ...exif,
+                  ...location
+  }
+  let id;
+  try {
+    ({ id } = await saveImage(tripId, imageData));
+  } catch (err) {
+    // e.g. the same image saved by a concurrent upload, or the trip was
+    // deleted: nothing refers to the stored file
+    await deleteImage({ fileUrl, variants: imageData.variants });
+    throw err;
   }
+  await enqueue(processImage.TYPE, { imageId: id, stripGps: strip });
 
-  // Check if file has the required properties
-  if (!file.originalname || !file.buffer || !file.mimetype) {
-    return res.status(400).send('Uploaded file is missing required properties.');
+  return { imageId: id, fileUrl };
+}
+
+/** POST /[id] { file, caption, tags, stripGps } => { image }
+ *
+ * Add image to trip (see addUploadedImage)
+ * file is at most MAX_IMAGE_BYTES; caption is required
+ * Responds once the file is stored; the image's status is "pending" until a
+ * worker has tagged and resized it, then "ready" (or "failed")
+ *
+ * Returns { id, tripId, fileUrl, variants, status, caption, position,
+ *           takenAt, cameraModel, latitude, longitude, locationSource, tags,
+ *           tag1, ..., tag5 }
+ *
+ * Authorization required: owner of trip
+ */
+
+router.post("/:id", ensureTripOwner, singleImage("file", MAX_IMAGE_BYTES), async function (req, res, next) {
+  try {
+    if (!req.file) throw new BadRequestError("No file uploaded");
+    if (!req.body.caption) throw new BadRequestError("No caption for file");
+
+    const { imageId } = await addUploadedImage(req.params.id, req.file, {
+      caption: req.body.caption,
+      tags: req.body.tags,
+      stripGps: req.body.stripGps === "true",
+    });
+    const image = await Trip.getImage(req.params.id, imageId);
+    return res.status(201).json({ image });
+  } catch (err) {
+    return next(err);
   }
-  const ldmkArray = await landmarkDetection(file.buffer);
-  const tags = await labelDetection(file.buffer);
+});
+
+/** POST /[id]/images { files, captions, stripGps } => { results }
+ *
+ * Add many images to a trip in one multipart request.
+ * files is up to MAX_BATCH_FILES files, each at most MAX_IMAGE_BYTES
+ * captions has one caption per file, in the same order (send the field
+ * once per file)
+ * stripGps=true applies to every file, as for POST /[id]
+ *
+ * Files are stored UPLOAD_CONCURRENCY at a time, and each succeeds or
+ * fails on its own. Responds 201 if every file was added, else 207.
+ * As with POST /[id], added images are "pending" until processed.
+ *
+ * Returns { results }
+ *   where results is, per file in order,
+ *   { index, filename, status: "ok", imageId, fileUrl }
+ *   or { index, filename, status: "error", error: { message, status } }
+ *
+ * Authorization required: owner of trip
+ */
 
-  let tagData;
+router.post("/:id/images", ensureTripOwner,
+    imageArray("files", MAX_BATCH_FILES, MAX_IMAGE_BYTES), async function (req, res, next) {
+  try {
+    const files = req.files || [];
+    const captions = [].concat(req.body.captions ?? []);
 
-  //If no landmark detected, simply generate labels for the image
-  if(!ldmkArray || ldmkArray.length === 0) {
-    tagData = {
-      tag1: tags[0],
-      tag2: tags[1],
-      tag3: tags[2],
-      tag4: tags[3],
-      tag5: tags[4]
+    if (files.length === 0) throw new BadRequestError("No files uploaded");
+    if (captions.length !== files.length) {
+      throw new BadRequestError(
+          `Got ${files.length} files but ${captions.length} captions; send one caption per file`);
     }
+
+    // Images are saved one at a time so each is placed after the ones before
+    // it; storing the files still runs in parallel.
+    const saveImage = serialize(Trip.addImage);
+    const stripGps = req.body.stripGps === "true";
+    const seen = new Set();
+
+    const outcomes = await mapWithConcurrency(files, UPLOAD_CONCURRENCY, async (file, i) => {
+      if (!captions[i]) throw new BadRequestError("No caption for file");
+
+      // Catch repeats of files already saved in this batch before storing
+      // them again. A repeat of a file that's still being saved is caught
+      // when it's saved; one whose first copy failed is added as usual.
+      const hash = contentHash(file.buffer);
+      if (seen.has(hash)) throw new BadRequestError("This image is already in the trip");
+
+      const result = await addUploadedImage(req.params.id, file,
+          { caption: captions[i], stripGps }, saveImage);
+      seen.add(hash);
+      return result;
+    });
+
+    const results = outcomes.map(({ ok, value, error }, i) => {
+      const result = { index: i, filename: files[i].originalname };
+      if (ok) return { ...result, status: "ok", ...value };
+
+      const status = error.status || 500;
+      if (status === 500) console.error("Batch upload failed:", error.stack);
+      return { ...result, status: "error", error: { message: error.message, status } };
+    });
+
+    const allOk = results.every(r => r.status === "ok");
+    return res.status(allOk ? 201 : 207).json({ results });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[id]/images => {images: []}
+ * 
+ * Get all images associated with a trip.
+ * Returns 404 if the trip is hidden from the caller.
+ * 
+ * Returns { images }
+ */
+
+router.get("/:id/images", async function (req, res, next) {
+  try {
+    const viewer = res.locals.user ? res.locals.user.username : null;
+    const images = await Trip.getTripImages(req.params.id, viewer);
+    return res.json({ images });
+
+  } catch(err) {
+    return next(err);
   }
-  else {
-    console.log("Found Landmark");
-     tagData = {
-      tag1: ldmkArray[0].description,
-      tag2: tags[0],
-      tag3: tags[1],
-      tag4: tags[2],
-      tag5: tags[3]
+})
+
+/** GET /[id]/map => GeoJSON FeatureCollection
+ *
+ * Returns a FeatureCollection with a Point for each geotagged image in the
+ * trip, properties { kind: "image", imageId, tripId, tripTitle, fileUrl,
+ * variants, caption, takenAt, locationSource, tags }, and a LineString, properties
+ * { kind: "route", tripId, tripTitle }, joining them in capture order.
+ * Returns 404 if the trip is hidden from the caller.
+ */
+
+router.get("/:id/map", async function (req, res, next) {
+  try {
+    const viewer = res.locals.user ? res.locals.user.username : null;
+    const map = await Trip.getMap(req.params.id, viewer);
+    return res.type("application/geo+json").json(map);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PUT /[id]/images/order { imageIds } => { images }
+ *
+ * Put the trip's images in a new order. imageIds must list every image in
+ * the trip exactly once.
+ *
+ * Returns { images } in the new order.
+ *
+ * Authorization required: owner of trip
+ */
+
+router.put("/:id/images/order", ensureTripOwner, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, imageOrderSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    await Trip.reorderImages(req.params.id, req.body.imageIds);
+    const images = await Trip.getTripImages(req.params.id, res.locals.user.username);
+    return res.json({ images });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /[id]/images/[imageId] { caption, tags } => { image }
+ *
+ * Edit an image's caption and/or tags. tags is the image's complete new
+ * list of tag names, in order.
+ *
+ * Returns { id, tripId, fileUrl, variants, status, caption, position, tags,
+ *           tag1, ..., tag5 }
+ *
+ * Authorization required: owner of trip
+ */
+
+router.patch("/:id/images/:imageId", ensureTripOwner, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, imageUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
     }
+
+    const image = await Trip.updateImage(req.params.id, req.params.imageId, req.body);
+    return res.json({ image });
+  } catch (err) {
+    return next(err);
   }
+});
+
+/** DELETE /[id]/images/[imageId] => { deleted: imageId }
+ *
+ * Removes the image from the trip and its files from storage.
+ *
+ * Authorization required: owner of trip
+ */
+
+router.delete("/:id/images/:imageId", ensureTripOwner, async function (req, res, next) {
+  try {
+    const image = await Trip.removeImage(req.params.id, req.params.imageId);
+    await deleteImage(image);
 
-  const folder = "tripimages/";
+    return res.json({ deleted: req.params.imageId });
+  } catch (err) {
+    return next(err);
+  }
+});
 
-  const params = {
-    Bucket: 'traveler-capstone-images',
-    Key: folder + file.originalname + "-" + Date.now().toString(),
-    Body: file.buffer,
-    ContentType: file.mimetype
-  };
+/** PUT /[id]/cover { imageId } => { cover: imageId }
+ *
+ * Make the given image the trip's cover. Pass null to go back to using the
+ * first image.
+ *
+ * Authorization required: owner of trip
+ */
 
-  // Upload the file to S3
-  s3.upload(params, async (err, data) => {
-    if (err) {
-      console.error(err);
-      return res.status(500).send('Error uploading image to S3');
+router.put("/:id/cover", ensureTripOwner, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, tripCoverSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
     }
 
-    try {
-      let imageData = {
-                      file_url: data.Location,
-                      caption: req.body.caption,
-                      ...tagData
-      }
-      await Trip.addImage(req.params.id, imageData);
-      return res.status(201).send(`File uploaded successfully. URL: ${data.Location}`);
-    } catch (err) {
-      return next(err);
+    await Trip.setCover(req.params.id, req.body.imageId);
+    return res.json({ cover: req.body.imageId });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[id]/report { reason, details } => { report }
+ *
+ * Reports a trip for moderators to review. reason is "spam", "nudity",
+ * "violence", "harassment", "hate", "copyright" or "other"; details is
+ * optional.
+ *
+ * Returns { id, targetType, targetId, reason, details, status, createdAt }
+ *
+ * Returns 404 if the trip is hidden from the caller, and 400 for the
+ * caller's own trips or if they already have an open report of it.
+ *
+ * Authorization required: logged in
+ */
+
+router.post("/:id/report", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, reportNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
     }
 
-  });
+    const report = await Report.create({
+      ...req.body,
+      reporter: res.locals.user.username,
+      targetType: "trip",
+      targetId: req.params.id,
+    });
+    return res.status(201).json({ report });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[id]/likes => { likes, likeCount }
+ *
+ * likes is [{ username, profImage, profImageVariants, likedAt }, ...],
+ * most recent first.
+ *
+ * Returns 404 if the trip is hidden from the caller.
+ *
+ * Authorization required: none
+ */
+
+router.get("/:id/likes", async function (req, res, next) {
+  try {
+    const viewer = res.locals.user ? res.locals.user.username : null;
+    await Trip.checkVisible(req.params.id, viewer);
 
+    const likes = await Like.getTripLikes(req.params.id);
+    return res.json({ likes, likeCount: likes.length });
+  } catch (err) {
+    return next(err);
+  }
 });
 
-// async function labelDetection() {
-//   // Creates a client
-//   const client = new vision.ImageAnnotatorClient();
-//   // Performs label detection on the image file
-//   const [result] = await client.labelDetection('./wakeupcat.jpg');
-//   const labels = result.labelAnnotations;
-//   console.log('Labels:');
-//   labels.forEach(label => console.log(label.description));
-// }
-// labelDetection();
+/** PUT /[id]/likes => { liked: true, likeCount }
+ *
+ * Likes the trip. Liking a trip again changes nothing.
+ *
+ * Returns 404 if the trip is hidden from the caller.
+ *
+ * Authorization required: logged in
+ */
 
+router.put("/:id/likes", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const { username } = res.locals.user;
+    await Trip.checkVisible(req.params.id, username);
 
-async function labelDetection(image) {
-  // Creates a client
-  const client = new vision.ImageAnnotatorClient();
-  // Performs label detection on the image file
-  const [result] = await client.labelDetection(image);
-  const labels = result.labelAnnotations;
-  //console.log('Labels:');
- // labels.forEach(label => console.log(label.description));
+    const like = await Like.likeTrip(username, req.params.id);
+    return res.json(like);
+  } catch (err) {
+    return next(err);
+  }
+});
 
-  return labels.map(label => label.description);
-}
+/** DELETE /[id]/likes => { liked: false, likeCount }
+ *
+ * Unlikes the trip. Unliking a trip that isn't liked changes nothing.
+ *
+ * Returns 404 if the trip is hidden from the caller.
+ *
+ * Authorization required: logged in
+ */
 
-async function landmarkDetection(image) {
-  // Creates a client
-  const client = new vision.ImageAnnotatorClient();
-  // Performs label detection on the image file
-  const [result] = await client.landmarkDetection(image);
-  const landmarks = result.landmarkAnnotations;
-  //console.log('Landmarks:');
-  //landmarks.forEach(landmark => console.log(landmark));
+router.delete("/:id/likes", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const { username } = res.locals.user;
+    await Trip.checkVisible(req.params.id, username);
 
-  return landmarks;
-}
+    const like = await Like.unlikeTrip(username, req.params.id);
+    return res.json(like);
+  } catch (err) {
+    return next(err);
+  }
+});
 
-/** GET /[id]/images => {images: []}
- * 
- * Get all images associated with a trip.
- * 
- * Returns { images }
+/** PUT /[id]/images/[imageId]/likes => { liked: true, likeCount }
+ *
+ * Likes an image in the trip. Liking an image again changes nothing.
+ *
+ * Returns 404 if the trip or image is hidden from the caller.
+ *
+ * Authorization required: logged in
  */
 
-router.get("/:id/images", async function (req, res, next) {
+router.put("/:id/images/:imageId/likes", ensureLoggedIn, async function (req, res, next) {
   try {
-    const images = await Trip.getTripImages(req.params.id);
-    return res.json({ images });
+    const { username } = res.locals.user;
+    await Trip.checkImageVisible(req.params.id, req.params.imageId, username);
 
-  } catch(err) {
+    const like = await Like.likeImage(username, req.params.imageId);
+    return res.json(like);
+  } catch (err) {
     return next(err);
   }
-})
+});
+
+/** DELETE /[id]/images/[imageId]/likes => { liked: false, likeCount }
+ *
+ * Unlikes an image in the trip. Unliking an image that isn't liked changes
+ * nothing.
+ *
+ * Returns 404 if the trip or image is hidden from the caller.
+ *
+ * Authorization required: logged in
+ */
+
+router.delete("/:id/images/:imageId/likes", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const { username } = res.locals.user;
+    await Trip.checkImageVisible(req.params.id, req.params.imageId, username);
+
+    const like = await Like.unlikeImage(username, req.params.imageId);
+    return res.json(like);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[id]/comments => { comments }
+ *
+ * comments is [{ id, tripId, parentId, username, profImage,
+ *                profImageVariants, body, createdAt, replies }, ...]
+ * where replies is a list of comments in the same form. Threads and
+ * replies are oldest first.
+ *
+ * Returns 404 if the trip is hidden from the caller.
+ *
+ * Authorization required: none
+ */
+
+router.get("/:id/comments", async function (req, res, next) {
+  try {
+    const viewer = res.locals.user ? res.locals.user.username : null;
+    await Trip.checkVisible(req.params.id, viewer);
+
+    const comments = await Comment.findForTrip(req.params.id);
+    return res.json({ comments });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[id]/comments { body, parentId } => { comment }
+ *
+ * Comments on the trip. To reply to a comment, pass its id as parentId.
+ *
+ * Returns { id, tripId, parentId, username, profImage, profImageVariants,
+ *           body, createdAt }
+ *
+ * Returns 404 if the trip is hidden from the caller.
+ *
+ * Authorization required: logged in
+ */
+
+router.post("/:id/comments", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, commentNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { username } = res.locals.user;
+    await Trip.checkVisible(req.params.id, username);
+
+    const comment = await Comment.create({
+      ...req.body,
+      tripId: req.params.id,
+      username,
+    });
+    return res.status(201).json({ comment });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[id]/comments/[commentId] => { deleted: commentId }
+ *
+ * Removes a comment and its replies.
+ *
+ * Authorization required: author of comment, owner of trip, or admin
+ */
+
+router.delete("/:id/comments/:commentId", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const user = res.locals.user;
+    const comment = await Comment.get(req.params.id, req.params.commentId);
+    if (user.username !== comment.username &&
+        user.username !== comment.tripOwner &&
+        !user.isAdmin) {
+      throw new ForbiddenError();
+    }
+
+    await Comment.remove(comment.id);
+    return res.json({ deleted: req.params.commentId });
+  } catch (err) {
+    return next(err);
+  }
+});
 
 /** DELETE /[id]  =>  { deleted: id }
  *
+ * Removes the trip, its images, and their files from storage.
+ *
+ * Authorization required: owner of trip
  */
-router.delete("/:id", async function (req, res, next) {
+router.delete("/:id", ensureTripOwner, async function (req, res, next) {
   try {
-    await Trip.remove(req.params.id);
+    const images = await Trip.remove(req.params.id);
+    for (let image of images) await deleteImage(image);
+
     return res.json({ deleted: req.params.id });
   } catch (err) {
     return next(err);
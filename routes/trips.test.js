@@ -0,0 +1,1329 @@
+"use strict";
+
+const request = require("supertest");
+const sharp = require("sharp");
+const piexif = require("piexifjs");
+
+const app = require("../app");
+const db = require("../db");
+const storage = require("../storage");
+const { readExif } = require("../helpers/exif");
+const { MAX_IMAGE_BYTES } = require("../config");
+const { commonBeforeEach, commonAfterAll, tokens } = require("./_testCommon");
+
+beforeEach(commonBeforeEach);
+afterEach(() => jest.restoreAllMocks());
+afterAll(commonAfterAll);
+
+/** Return a small JPEG taken at takenAt ("YYYY:MM:DD HH:MM:SS") by a Canon
+ * in Lisbon. */
+
+async function jpeg(takenAt = "2024:05:01 10:30:00", color = "red") {
+  const image = await sharp({
+    create: { width: 8, height: 8, channels: 3, background: color },
+  }).jpeg().toBuffer();
+  const exif = {
+    "0th": {
+      [piexif.ImageIFD.Make]: "Canon",
+      [piexif.ImageIFD.Model]: "Canon EOS R6",
+    },
+    Exif: { [piexif.ExifIFD.DateTimeOriginal]: takenAt },
+    GPS: {
+      [piexif.GPSIFD.GPSLatitudeRef]: "N",
+      [piexif.GPSIFD.GPSLatitude]: piexif.GPSHelper.degToDmsRational(38.7223),
+      [piexif.GPSIFD.GPSLongitudeRef]: "W",
+      [piexif.GPSIFD.GPSLongitude]: piexif.GPSHelper.degToDmsRational(9.1393),
+    },
+  };
+  return Buffer.from(piexif.insert(piexif.dump(exif), image.toString("binary")), "binary");
+}
+
+/** Return a small PNG; different colors give files with different hashes. */
+
+function png(color) {
+  return sharp({
+    create: { width: 8, height: 8, channels: 3, background: color },
+  }).png().toBuffer();
+}
+
+async function countImages(tripId) {
+  const result = await db.query(
+        `SELECT COUNT(*)::int AS "count" FROM images WHERE trip_id = $1`,
+      [tripId]);
+  return result.rows[0].count;
+}
+
+/** Return the stored file of an image. */
+
+async function storedFile(imageId) {
+  const result = await db.query(`SELECT file_url FROM images WHERE id = $1`, [imageId]);
+  return storage.get(storage.keyFromUrl(result.rows[0].file_url));
+}
+
+/************************************** POST /trips */
+
+describe("POST /trips", function () {
+  test("makes the logged-in user the owner", async function () {
+    const resp = await request(app)
+        .post("/trips")
+        .set("authorization", `Bearer ${tokens.u2}`)
+        .send({ title: "New" });
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.trip).toEqual(expect.objectContaining({ title: "New" }));
+
+    const tripResp = await request(app).get(`/trips/${resp.body.trip.id}`);
+    expect(tripResp.body.trip.username).toEqual("u2");
+  });
+
+  test("bad request if the body names an owner", async function () {
+    const resp = await request(app)
+        .post("/trips")
+        .set("authorization", `Bearer ${tokens.u2}`)
+        .send({ title: "New", userId: 1 });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/trips")
+        .send({ title: "New" });
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** email verification */
+
+describe("publishing trips without a verified email", function () {
+  beforeEach(async function () {
+    await db.query(`UPDATE users SET email_verified = FALSE WHERE username = 'u1'`);
+  });
+
+  test("new trips are private by default", async function () {
+    const resp = await request(app)
+        .post("/trips")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ title: "New" });
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.trip.visibility).toEqual("private");
+  });
+
+  test("forbidden to create a public trip", async function () {
+    const resp = await request(app)
+        .post("/trips")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ title: "New", visibility: "public" });
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("forbidden to make a trip public", async function () {
+    await db.query(`UPDATE trips SET visibility = 'private' WHERE id = 1`);
+    const resp = await request(app)
+        .patch("/trips/1")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ visibility: "public" });
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("may share with followers", async function () {
+    const resp = await request(app)
+        .patch("/trips/1")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ visibility: "followers" });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.trip.visibility).toEqual("followers");
+  });
+
+  test("verified users publish by default", async function () {
+    const resp = await request(app)
+        .post("/trips")
+        .set("authorization", `Bearer ${tokens.u2}`)
+        .send({ title: "New" });
+    expect(resp.body.trip.visibility).toEqual("public");
+  });
+});
+
+/************************************** GET /trips */
+
+describe("GET /trips", function () {
+  beforeEach(async function () {
+    await db.query(`
+          INSERT INTO trips (user_id, title, visibility)
+          VALUES ((SELECT id FROM users WHERE username = 'u2'), 'Trip3', 'public'),
+                 ((SELECT id FROM users WHERE username = 'u1'), 'A trip', 'public')`);
+    await db.query(`
+          UPDATE trips
+          SET created_at = CASE id WHEN 1 THEN '2024-01-15T12:00:00Z'::timestamptz
+                                   WHEN 2 THEN '2024-01-20T12:00:00Z'::timestamptz
+                                   WHEN 3 THEN '2024-02-10T12:00:00Z'::timestamptz
+                                   ELSE '2024-03-01T12:00:00Z'::timestamptz END`);
+  });
+
+  async function ids(url, token) {
+    const req = request(app).get(url);
+    if (token) req.set("authorization", `Bearer ${token}`);
+    const resp = await req;
+    expect(resp.statusCode).toEqual(200);
+    return resp.body.trips.map(t => t.id);
+  }
+
+  test("lists visible trips, newest first", async function () {
+    expect(await ids("/trips")).toEqual([4, 3, 1]);
+    expect(await ids("/trips", tokens.u1)).toEqual([4, 3, 1]);
+  });
+
+  test("includes the caller's own private trips", async function () {
+    expect(await ids("/trips", tokens.u2)).toEqual([4, 3, 2, 1]);
+  });
+
+  test("sorts", async function () {
+    expect(await ids("/trips?sort=oldest")).toEqual([1, 3, 4]);
+    expect(await ids("/trips?sort=title")).toEqual([4, 1, 3]);
+  });
+
+  test("pages with a cursor", async function () {
+    const first = await request(app).get("/trips?limit=2");
+    expect(first.body.trips.map(t => t.id)).toEqual([4, 3]);
+    expect(first.body.nextCursor).toEqual(expect.any(String));
+
+    const second = await request(app)
+        .get("/trips")
+        .query({ limit: 2, cursor: first.body.nextCursor });
+    expect(second.body.trips.map(t => t.id)).toEqual([1]);
+    expect(second.body.nextCursor).toBeNull();
+  });
+
+  test("pages with a cursor when sorted by title", async function () {
+    const first = await request(app).get("/trips?sort=title&limit=2");
+    expect(first.body.trips.map(t => t.id)).toEqual([4, 1]);
+
+    const second = await request(app)
+        .get("/trips")
+        .query({ sort: "title", limit: 2, cursor: first.body.nextCursor });
+    expect(second.body.trips.map(t => t.id)).toEqual([3]);
+  });
+
+  test("filters on username", async function () {
+    expect(await ids("/trips?username=u2")).toEqual([3]);
+    expect(await ids("/trips?username=u2", tokens.u2)).toEqual([3, 2]);
+  });
+
+  test("filters on dates, inclusively", async function () {
+    expect(await ids("/trips?startDate=2024-02-10")).toEqual([4, 3]);
+    expect(await ids("/trips?endDate=2024-02-10")).toEqual([3, 1]);
+    expect(await ids("/trips?startDate=2024-01-01&endDate=2024-01-31")).toEqual([1]);
+  });
+
+  test("bad request with an impossible date", async function () {
+    for (let date of ["2024-02-30", "2023-02-29", "2024-13-01", "2024-04-31"]) {
+      const resp = await request(app).get(`/trips?startDate=${date}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+    const resp = await request(app).get("/trips?endDate=2024-02-30");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("accepts a leap day", async function () {
+    expect(await ids("/trips?startDate=2024-02-29")).toEqual([4]);
+  });
+
+  test("bad request with a badly formatted date", async function () {
+    for (let date of ["yesterday", "2024-2-3", "2024-02-03T00:00:00Z"]) {
+      const resp = await request(app).get("/trips").query({ startDate: date });
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("bad request with a repeated date", async function () {
+    const resp = await request(app).get("/trips?startDate=2024-01-01&startDate=2024-02-01");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with an unknown sort", async function () {
+    const resp = await request(app).get("/trips?sort=best");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with a bad limit", async function () {
+    for (let limit of ["0", "101", "ten"]) {
+      const resp = await request(app).get("/trips").query({ limit });
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("bad request with a bad cursor", async function () {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const title = await request(app).get("/trips?sort=title&limit=1");
+
+    for (let cursor of ["nonsense", title.body.nextCursor]) {
+      const resp = await request(app).get("/trips").query({ cursor });
+      expect(resp.statusCode).toEqual(400);
+    }
+    const resp = await request(app).get("/trips?cursor=a&cursor=b");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /users/:username/trips */
+
+describe("GET /users/:username/trips", function () {
+  test("lists the user's visible trips", async function () {
+    const resp = await request(app).get("/users/u1/trips");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.trips.map(t => t.tripId)).toEqual([1]);
+    expect(resp.body.nextCursor).toBeNull();
+  });
+
+  test("leaves private trips out for others", async function () {
+    const anon = await request(app).get("/users/u2/trips");
+    expect(anon.body.trips).toEqual([]);
+
+    const owner = await request(app)
+        .get("/users/u2/trips")
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(owner.body.trips.map(t => t.tripId)).toEqual([2]);
+  });
+
+  test("bad request with an impossible date", async function () {
+    const resp = await request(app).get("/users/u1/trips?startDate=2024-02-30");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** trip visibility */
+
+describe("trip visibility", function () {
+  beforeEach(async function () {
+    await db.query(`
+          INSERT INTO trips (user_id, title, visibility)
+          VALUES ((SELECT id FROM users WHERE username = 'u2'), 'Trip3', 'followers')`);
+    await db.query(`
+          INSERT INTO images (trip_id, file_url, variants, caption, position)
+          VALUES (2, 'http://img3.com', '{}', 'Caption3', 1),
+                 (3, 'http://img4.com', '{}', 'Caption4', 1)`);
+  });
+
+  async function follow(follower, followed) {
+    await request(app)
+        .post(`/users/${followed}/follow`)
+        .set("authorization", `Bearer ${tokens[follower]}`);
+  }
+
+  function get(url, token) {
+    const req = request(app).get(url);
+    if (token) req.set("authorization", `Bearer ${token}`);
+    return req;
+  }
+
+  test("public trips are seen by everyone", async function () {
+    expect((await get("/trips/1")).statusCode).toEqual(200);
+    expect((await get("/trips/1/images")).body.images.map(i => i.id)).toEqual([1, 2]);
+  });
+
+  test("private trips are not found for anyone but the owner", async function () {
+    for (let token of [undefined, tokens.u1, tokens.admin]) {
+      expect((await get("/trips/2", token)).statusCode).toEqual(404);
+      expect((await get("/trips/2/images", token)).statusCode).toEqual(404);
+    }
+
+    await follow("u1", "u2");
+    expect((await get("/trips/2", tokens.u1)).statusCode).toEqual(404);
+
+    const resp = await get("/trips/2/images", tokens.u2);
+    expect(resp.body.images.map(i => i.id)).toEqual([3]);
+    expect((await get("/trips/2", tokens.u2)).body.trip.visibility).toEqual("private");
+  });
+
+  test("followers-only trips are seen by followers", async function () {
+    expect((await get("/trips/3")).statusCode).toEqual(404);
+    expect((await get("/trips/3", tokens.u1)).statusCode).toEqual(404);
+    expect((await get("/trips/3/images", tokens.u1)).statusCode).toEqual(404);
+
+    await follow("u1", "u2");
+    expect((await get("/trips/3", tokens.u1)).statusCode).toEqual(200);
+    const resp = await get("/trips/3/images", tokens.u1);
+    expect(resp.body.images.map(i => i.id)).toEqual([4]);
+
+    expect((await get("/trips/3", tokens.admin)).statusCode).toEqual(404);
+  });
+
+  test("trip lists leave out hidden trips", async function () {
+    expect((await get("/users/u2/trips")).body.trips).toEqual([]);
+    expect((await get("/trips")).body.trips.map(t => t.id)).toEqual([1]);
+
+    await follow("u1", "u2");
+    expect((await get("/users/u2/trips", tokens.u1)).body.trips.map(t => t.tripId))
+        .toEqual([3]);
+    expect((await get("/trips", tokens.u1)).body.trips.map(t => t.id)).toEqual([3, 1]);
+    expect((await get("/users/u2/trips", tokens.u2)).body.trips.map(t => t.tripId))
+        .toEqual([3, 2]);
+  });
+
+  test("unfollowing hides followers-only trips again", async function () {
+    await follow("u1", "u2");
+    await request(app)
+        .delete("/users/u2/follow")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect((await get("/trips/3", tokens.u1)).statusCode).toEqual(404);
+  });
+
+  test("image lists leave out internal columns", async function () {
+    const resp = await get("/trips/1/images");
+    expect(Object.keys(resp.body.images[0])).not.toContain("search_document");
+    expect(Object.keys(resp.body.images[0])).not.toContain("content_hash");
+  });
+
+  test("not found if no such trip", async function () {
+    expect((await get("/trips/0")).statusCode).toEqual(404);
+    expect((await get("/trips/0/images")).statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /trips/:id/map */
+
+describe("GET /trips/:id/map", function () {
+  beforeEach(async function () {
+    await db.query(`
+          UPDATE images
+          SET latitude = 38.7, longitude = -9.1, location_source = 'exif',
+              taken_at = '2024-05-02T10:00:00'
+          WHERE id = 1`);
+    await db.query(`
+          UPDATE images
+          SET latitude = 41.1, longitude = -8.6, location_source = 'landmark',
+              taken_at = '2024-05-01T10:00:00'
+          WHERE id = 2`);
+  });
+
+  test("works", async function () {
+    const resp = await request(app).get("/trips/1/map");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.type).toEqual("application/geo+json");
+    expect(resp.body).toEqual({
+      type: "FeatureCollection",
+      features: [
+        {
+          type: "Feature",
+          geometry: { type: "Point", coordinates: [-8.6, 41.1] },
+          properties: {
+            kind: "image",
+            imageId: 2,
+            tripId: 1,
+            tripTitle: "Trip1",
+            fileUrl: "http://img2.com",
+            variants: {},
+            caption: "Caption2",
+            takenAt: "2024-05-01T10:00:00",
+            locationSource: "landmark",
+            tags: [],
+          },
+        },
+        expect.objectContaining({
+          geometry: { type: "Point", coordinates: [-9.1, 38.7] },
+        }),
+        {
+          type: "Feature",
+          geometry: { type: "LineString", coordinates: [[-8.6, 41.1], [-9.1, 38.7]] },
+          properties: { kind: "route", tripId: 1, tripTitle: "Trip1" },
+        },
+      ],
+    });
+  });
+
+  test("leaves out images without a location, and a route of one point", async function () {
+    await db.query(`UPDATE images SET latitude = NULL, longitude = NULL WHERE id = 2`);
+    const resp = await request(app).get("/trips/1/map");
+    expect(resp.body.features.map(f => f.geometry.type)).toEqual(["Point"]);
+    expect(resp.body.features[0].properties.imageId).toEqual(1);
+  });
+
+  test("not found if the trip is hidden from the caller", async function () {
+    expect((await request(app).get("/trips/2/map")).statusCode).toEqual(404);
+
+    const other = await request(app)
+        .get("/trips/2/map")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(other.statusCode).toEqual(404);
+
+    const owner = await request(app)
+        .get("/trips/2/map")
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(owner.body).toEqual({ type: "FeatureCollection", features: [] });
+  });
+
+  test("not found if no such trip", async function () {
+    expect((await request(app).get("/trips/0/map")).statusCode).toEqual(404);
+  });
+});
+
+/************************************** PATCH /trips/:id */
+
+describe("PATCH /trips/:id", function () {
+  const data = {
+    title: "New title",
+    description: "A long weekend",
+    startDate: "2024-05-01",
+    endDate: "2024-05-03",
+    country: "Portugal",
+    city: "Lisbon",
+  };
+
+  test("works for the owner", async function () {
+    const resp = await request(app)
+        .patch("/trips/1")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send(data);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.trip).toEqual(expect.objectContaining({
+      id: 1,
+      ...data,
+      visibility: "public",
+    }));
+    expect(Date.parse(resp.body.trip.updatedAt))
+        .toBeGreaterThanOrEqual(Date.parse(resp.body.trip.createdAt));
+  });
+
+  test("only changes the given fields", async function () {
+    await request(app)
+        .patch("/trips/1")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send(data);
+    const resp = await request(app)
+        .patch("/trips/1")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ city: "Porto" });
+    expect(resp.body.trip).toEqual(expect.objectContaining({ ...data, city: "Porto" }));
+  });
+
+  test("clears fields set to null", async function () {
+    await request(app)
+        .patch("/trips/1")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send(data);
+    const resp = await request(app)
+        .patch("/trips/1")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ description: null, startDate: null, city: null });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.trip).toEqual(expect.objectContaining({
+      title: "New title",
+      description: null,
+      startDate: null,
+      endDate: "2024-05-03",
+      city: null,
+    }));
+  });
+
+  test("bad request if the title is cleared", async function () {
+    const resp = await request(app)
+        .patch("/trips/1")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ title: null });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with an unknown field", async function () {
+    const resp = await request(app)
+        .patch("/trips/1")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ userId: 2 });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request if the end is before the start", async function () {
+    const resp = await request(app)
+        .patch("/trips/1")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ startDate: "2024-05-03", endDate: "2024-05-01" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with an impossible date", async function () {
+    const resp = await request(app)
+        .patch("/trips/1")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ startDate: "2024-02-30" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for others", async function () {
+    const resp = await request(app)
+        .patch("/trips/1")
+        .set("authorization", `Bearer ${tokens.u2}`)
+        .send({ title: "Mine now" });
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found for others if the trip is private", async function () {
+    const resp = await request(app)
+        .patch("/trips/2")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ title: "Mine now" });
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .patch("/trips/1")
+        .send({ title: "Mine now" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such trip", async function () {
+    const resp = await request(app)
+        .patch("/trips/0")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ title: "New title" });
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PATCH /trips/:id/images/:imageId */
+
+describe("PATCH /trips/:id/images/:imageId", function () {
+  test("works for the owner", async function () {
+    const resp = await request(app)
+        .patch("/trips/1/images/2")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ caption: "New caption", tags: ["Beach", "Sunset"] });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.image).toEqual(expect.objectContaining({
+      id: 2,
+      tripId: 1,
+      caption: "New caption",
+      tag1: "Beach",
+      tag2: "Sunset",
+    }));
+  });
+
+  test("bad request with an empty body", async function () {
+    const resp = await request(app)
+        .patch("/trips/1/images/2")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for others", async function () {
+    const resp = await request(app)
+        .patch("/trips/1/images/2")
+        .set("authorization", `Bearer ${tokens.u2}`)
+        .send({ caption: "Mine now" });
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .patch("/trips/1/images/2")
+        .send({ caption: "Mine now" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if the image is in another trip", async function () {
+    await db.query(`
+          INSERT INTO images (trip_id, file_url, variants, caption, position)
+          VALUES (2, 'http://img3.com', '{}', 'Caption3', 1)`);
+    const resp = await request(app)
+        .patch("/trips/1/images/3")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ caption: "Mine now" });
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /trips/:id/images/:imageId */
+
+describe("DELETE /trips/:id/images/:imageId", function () {
+  test("works for the owner", async function () {
+    const resp = await request(app)
+        .delete("/trips/1/images/1")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.body).toEqual({ deleted: "1" });
+
+    const images = await request(app).get("/trips/1/images");
+    expect(images.body.images.map(i => i.id)).toEqual([2]);
+  });
+
+  test("forbidden for others", async function () {
+    const resp = await request(app)
+        .delete("/trips/1/images/1")
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).delete("/trips/1/images/1");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such image", async function () {
+    const resp = await request(app)
+        .delete("/trips/1/images/0")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PUT /trips/:id/images/order */
+
+describe("PUT /trips/:id/images/order", function () {
+  test("works for the owner", async function () {
+    const resp = await request(app)
+        .put("/trips/1/images/order")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ imageIds: [2, 1] });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.images.map(i => i.id)).toEqual([2, 1]);
+
+    const trip = await request(app).get("/trips/1");
+    expect(trip.body.trip.images.map(i => i.id)).toEqual([2, 1]);
+  });
+
+  test("bad request unless every image is listed once", async function () {
+    for (let imageIds of [[1], [1, 1], [1, 2, 3], []]) {
+      const resp = await request(app)
+          .put("/trips/1/images/order")
+          .set("authorization", `Bearer ${tokens.u1}`)
+          .send({ imageIds });
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("forbidden for others", async function () {
+    const resp = await request(app)
+        .put("/trips/1/images/order")
+        .set("authorization", `Bearer ${tokens.u2}`)
+        .send({ imageIds: [2, 1] });
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .put("/trips/1/images/order")
+        .send({ imageIds: [2, 1] });
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** PUT /trips/:id/cover */
+
+describe("PUT /trips/:id/cover", function () {
+  test("works for the owner", async function () {
+    const resp = await request(app)
+        .put("/trips/1/cover")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ imageId: 2 });
+    expect(resp.body).toEqual({ cover: 2 });
+
+    const trips = await request(app).get("/trips");
+    expect(trips.body.trips[0].coverImageId).toEqual(2);
+    expect(trips.body.trips[0].cover).toEqual(expect.objectContaining({ id: 2 }));
+  });
+
+  test("null goes back to the first image", async function () {
+    await request(app)
+        .put("/trips/1/cover")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ imageId: 2 });
+    await request(app)
+        .put("/trips/1/cover")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ imageId: null });
+
+    const trips = await request(app).get("/trips");
+    expect(trips.body.trips[0].coverImageId).toBeNull();
+    expect(trips.body.trips[0].cover).toEqual(expect.objectContaining({ id: 1 }));
+  });
+
+  test("not found if the image is in another trip", async function () {
+    await db.query(`
+          INSERT INTO images (trip_id, file_url, variants, caption, position)
+          VALUES (2, 'http://img3.com', '{}', 'Caption3', 1)`);
+    const resp = await request(app)
+        .put("/trips/1/cover")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ imageId: 3 });
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("forbidden for others", async function () {
+    const resp = await request(app)
+        .put("/trips/1/cover")
+        .set("authorization", `Bearer ${tokens.u2}`)
+        .send({ imageId: 2 });
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .put("/trips/1/cover")
+        .send({ imageId: 2 });
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /trips/:id/report */
+
+describe("POST /trips/:id/report", function () {
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/trips/1/report")
+        .set("authorization", `Bearer ${tokens.u2}`)
+        .send({ reason: "hate", details: "Slurs in the description" });
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.report).toEqual(expect.objectContaining({
+      targetType: "trip",
+      targetId: 1,
+      reason: "hate",
+      details: "Slurs in the description",
+      status: "open",
+    }));
+  });
+
+  test("bad request for your own trip", async function () {
+    const resp = await request(app)
+        .post("/trips/1/report")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ reason: "spam" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with an unknown reason", async function () {
+    const resp = await request(app)
+        .post("/trips/1/report")
+        .set("authorization", `Bearer ${tokens.u2}`)
+        .send({ reason: "boring" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for a trip hidden from the user", async function () {
+    const resp = await request(app)
+        .post("/trips/2/report")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ reason: "spam" });
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/trips/1/report")
+        .send({ reason: "spam" });
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /trips/:id */
+
+describe("POST /trips/:id", function () {
+  function upload(file, filename = "red.png", contentType = "image/png") {
+    return request(app)
+        .post("/trips/1")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .field("caption", "Red")
+        .attach("file", file, { filename, contentType });
+  }
+
+  test("adds an image", async function () {
+    const resp = await upload(await png("red"));
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.image).toEqual(expect.objectContaining({
+      id: 3,
+      tripId: 1,
+      fileUrl: expect.any(String),
+      status: "pending",
+      caption: "Red",
+    }));
+    expect(await countImages(1)).toEqual(3);
+  });
+
+  test("bad request without a file", async function () {
+    const resp = await request(app)
+        .post("/trips/1")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .field("caption", "Red");
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual("No file uploaded");
+  });
+
+  test("bad request without a caption", async function () {
+    const resp = await request(app)
+        .post("/trips/1")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .attach("file", await png("red"), "red.png");
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual("No caption for file");
+    expect(await countImages(1)).toEqual(2);
+  });
+
+  test("stores uploads with the same name under different keys", async function () {
+    await upload(await png("red"), "photo.png");
+    await upload(await png("blue"), "photo.png");
+
+    const result = await db.query(`SELECT file_url FROM images WHERE id IN (3, 4)`);
+    const keys = result.rows.map(r => storage.keyFromUrl(r.file_url));
+    expect(new Set(keys).size).toEqual(2);
+    expect(keys.some(key => key.includes("photo"))).toEqual(false);
+  });
+
+  test("checks the type from the file's contents", async function () {
+    const resp = await upload(Buffer.from("not an image"), "photo.jpg", "image/jpeg");
+    expect(resp.statusCode).toEqual(400);
+    expect(await countImages(1)).toEqual(2);
+
+    const renamed = await upload(await png("red"), "photo.txt", "text/plain");
+    expect(renamed.statusCode).toEqual(201);
+  });
+
+  test("bad request if the file is too large", async function () {
+    const file = Buffer.concat([await png("red"), Buffer.alloc(MAX_IMAGE_BYTES)]);
+    const resp = await upload(file);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toMatch(/too large/);
+  });
+
+  test("rejects an image already in the trip", async function () {
+    const file = await png("red");
+
+    expect((await upload(file)).statusCode).toEqual(201);
+    const resp = await upload(file);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual("This image is already in the trip");
+    expect(await countImages(1)).toEqual(3);
+  });
+
+  test("accepts the same image in another trip", async function () {
+    const file = await png("red");
+    await upload(file);
+
+    const trip = await request(app)
+        .post("/trips")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ title: "Another" });
+    const resp = await request(app)
+        .post(`/trips/${trip.body.trip.id}`)
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .field("caption", "Red")
+        .attach("file", file, "red.png");
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("removes the stored file if saving fails", async function () {
+    const file = await png("red");
+    const put = jest.spyOn(storage, "put");
+    const del = jest.spyOn(storage, "delete");
+
+    // Sent together, both pass the duplicate check before either is saved
+    const resps = await Promise.all([1, 2].map(() => upload(file)));
+
+    expect(resps.map(r => r.statusCode).sort()).toEqual([201, 400]);
+    expect(await countImages(1)).toEqual(3);
+    expect(del).toHaveBeenCalledTimes(put.mock.calls.length - 1);
+  });
+
+  test("forbidden for others", async function () {
+    const resp = await request(app)
+        .post("/trips/1")
+        .set("authorization", `Bearer ${tokens.u2}`)
+        .field("caption", "Red");
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/trips/1")
+        .field("caption", "Red");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /trips/:id/images */
+
+describe("POST /trips/:id/images", function () {
+  test("adds many images", async function () {
+    const resp = await request(app)
+        .post("/trips/1/images")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .field("captions", "Red")
+        .field("captions", "Blue")
+        .attach("files", await png("red"), "red.png")
+        .attach("files", await png("blue"), "blue.png");
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.results).toEqual([
+      { index: 0, filename: "red.png", status: "ok", imageId: expect.any(Number), fileUrl: expect.any(String) },
+      { index: 1, filename: "blue.png", status: "ok", imageId: expect.any(Number), fileUrl: expect.any(String) },
+    ]);
+    expect(await countImages(1)).toEqual(4);
+
+    const images = await request(app).get("/trips/1/images");
+    expect(images.body.images.map(i => i.caption)).toEqual(["Caption1", "Caption2", "Red", "Blue"]);
+  });
+
+  test("reports each file that fails, and adds the rest", async function () {
+    const resp = await request(app)
+        .post("/trips/1/images")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .field("captions", "Red")
+        .field("captions", "Text")
+        .attach("files", await png("red"), "red.png")
+        .attach("files", Buffer.from("not an image"), "notes.png");
+    expect(resp.statusCode).toEqual(207);
+    expect(resp.body.results[0].status).toEqual("ok");
+    expect(resp.body.results[1]).toEqual({
+      index: 1,
+      filename: "notes.png",
+      status: "error",
+      error: { message: expect.stringMatching(/Unsupported file type/), status: 400 },
+    });
+    expect(await countImages(1)).toEqual(3);
+  });
+
+  test("adds only one copy of a repeated file", async function () {
+    const file = await png("red");
+    const resp = await request(app)
+        .post("/trips/1/images")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .field("captions", "One")
+        .field("captions", "Two")
+        .attach("files", file, "one.png")
+        .attach("files", file, "two.png");
+    expect(resp.statusCode).toEqual(207);
+    expect(resp.body.results.map(r => r.status).sort()).toEqual(["error", "ok"]);
+    expect(resp.body.results.find(r => r.status === "error").error).toEqual({
+      message: "This image is already in the trip",
+      status: 400,
+    });
+    expect(await countImages(1)).toEqual(3);
+  });
+
+  test("adds a repeated file if its first copy failed", async function () {
+    const file = await png("red");
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    jest.spyOn(storage, "put").mockRejectedValueOnce(new Error("Storage is down"));
+
+    const resp = await request(app)
+        .post("/trips/1/images")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .field("captions", "One")
+        .field("captions", "Two")
+        .attach("files", file, "one.png")
+        .attach("files", file, "two.png");
+    expect(resp.statusCode).toEqual(207);
+    expect(resp.body.results.map(r => r.status).sort()).toEqual(["error", "ok"]);
+    expect(await countImages(1)).toEqual(3);
+  });
+
+  test("bad request if captions don't match files", async function () {
+    const resp = await request(app)
+        .post("/trips/1/images")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .field("captions", "One")
+        .attach("files", await png("red"), "one.png")
+        .attach("files", await png("blue"), "two.png");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request without files", async function () {
+    const resp = await request(app)
+        .post("/trips/1/images")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .field("captions", "One");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for others", async function () {
+    const resp = await request(app)
+        .post("/trips/1/images")
+        .set("authorization", `Bearer ${tokens.u2}`)
+        .field("captions", "Red")
+        .attach("files", await png("red"), "red.png");
+    expect(resp.statusCode).toEqual(403);
+    expect(await countImages(1)).toEqual(2);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/trips/1/images")
+        .field("captions", "Red")
+        .attach("files", await png("red"), "red.png");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /trips/:id EXIF */
+
+describe("POST /trips/:id EXIF", function () {
+  function upload(file, fields = {}) {
+    return request(app)
+        .post("/trips/1")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .field({ caption: "Photo", ...fields })
+        .attach("file", file, "photo.jpg");
+  }
+
+  async function image(id) {
+    const resp = await request(app).get("/trips/1");
+    return resp.body.trip.images.find(i => i.id === id);
+  }
+
+  test("saves capture time, camera and location", async function () {
+    expect((await upload(await jpeg())).statusCode).toEqual(201);
+
+    expect(await image(3)).toEqual(expect.objectContaining({
+      takenAt: "2024-05-01T10:30:00",
+      cameraModel: "Canon EOS R6",
+      latitude: expect.closeTo(38.7223, 4),
+      longitude: expect.closeTo(-9.1393, 4),
+      locationSource: "exif",
+    }));
+    expect((await readExif(await storedFile(3))).latitude).toBeCloseTo(38.7223, 4);
+  });
+
+  test("strips GPS from the stored file when asked", async function () {
+    expect((await upload(await jpeg(), { stripGps: "true" })).statusCode).toEqual(201);
+
+    expect(await image(3)).toEqual(expect.objectContaining({
+      takenAt: "2024-05-01T10:30:00",
+      cameraModel: "Canon EOS R6",
+      latitude: null,
+      longitude: null,
+      locationSource: null,
+    }));
+    const exif = await readExif(await storedFile(3));
+    expect(exif.latitude).toBeNull();
+    expect(exif.cameraModel).toEqual("Canon EOS R6");
+  });
+
+  test("accepts images without EXIF", async function () {
+    const file = await sharp({
+      create: { width: 8, height: 8, channels: 3, background: "blue" },
+    }).png().toBuffer();
+    const resp = await request(app)
+        .post("/trips/1")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .field({ caption: "Photo", stripGps: "true" })
+        .attach("file", file, "photo.png");
+    expect(resp.statusCode).toEqual(201);
+
+    expect(await image(3)).toEqual(expect.objectContaining({
+      takenAt: null,
+      cameraModel: null,
+      latitude: null,
+    }));
+  });
+
+  test("puts images in capture order", async function () {
+    await db.query(`UPDATE images SET taken_at = '2024-05-01T09:00:00' WHERE id = 1`);
+    await db.query(`UPDATE images SET taken_at = '2024-05-03T09:00:00' WHERE id = 2`);
+    await upload(await jpeg("2024:05:02 10:00:00", "red"));
+    await upload(await jpeg("2024:04:30 10:00:00", "blue"));
+
+    const resp = await request(app).get("/trips/1");
+    expect(resp.body.trip.images.map(i => i.id)).toEqual([4, 1, 3, 2]);
+  });
+});
+
+/************************************** /trips/:id/likes */
+
+describe("PUT /trips/:id/likes", function () {
+  test("works", async function () {
+    const resp = await request(app)
+        .put("/trips/1/likes")
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(resp.body).toEqual({ liked: true, likeCount: 1 });
+
+    const likesResp = await request(app).get("/trips/1/likes");
+    expect(likesResp.body).toEqual({
+      likes: [expect.objectContaining({ username: "u2" })],
+      likeCount: 1,
+    });
+  });
+
+  test("not found for a trip hidden from the user", async function () {
+    const resp = await request(app)
+        .put("/trips/2/likes")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).put("/trips/1/likes");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("DELETE /trips/:id/likes", function () {
+  test("works", async function () {
+    await request(app)
+        .put("/trips/1/likes")
+        .set("authorization", `Bearer ${tokens.u2}`);
+
+    const resp = await request(app)
+        .delete("/trips/1/likes")
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(resp.body).toEqual({ liked: false, likeCount: 0 });
+  });
+});
+
+describe("PUT /trips/:id/images/:imageId/likes", function () {
+  test("works", async function () {
+    const resp = await request(app)
+        .put("/trips/1/images/1/likes")
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(resp.body).toEqual({ liked: true, likeCount: 1 });
+
+    const unlikeResp = await request(app)
+        .delete("/trips/1/images/1/likes")
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(unlikeResp.body).toEqual({ liked: false, likeCount: 0 });
+  });
+
+  test("not found for an image in another trip", async function () {
+    const resp = await request(app)
+        .put("/trips/2/images/1/likes")
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /trips/:id/comments */
+
+describe("POST /trips/:id/comments", function () {
+  test("works, with replies", async function () {
+    const resp = await request(app)
+        .post("/trips/1/comments")
+        .set("authorization", `Bearer ${tokens.u2}`)
+        .send({ body: "Nice" });
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.comment).toEqual(expect.objectContaining({
+      tripId: 1,
+      parentId: null,
+      username: "u2",
+      body: "Nice",
+    }));
+
+    const parentId = resp.body.comment.id;
+    await request(app)
+        .post("/trips/1/comments")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ body: "Thanks", parentId });
+
+    const listResp = await request(app).get("/trips/1/comments");
+    expect(listResp.body.comments).toEqual([
+      expect.objectContaining({
+        id: parentId,
+        replies: [expect.objectContaining({ body: "Thanks", parentId, replies: [] })],
+      }),
+    ]);
+  });
+
+  test("not found for a trip hidden from the user", async function () {
+    const resp = await request(app)
+        .post("/trips/2/comments")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ body: "Nice" });
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request with an empty body", async function () {
+    const resp = await request(app)
+        .post("/trips/1/comments")
+        .set("authorization", `Bearer ${tokens.u2}`)
+        .send({ body: "" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/trips/1/comments")
+        .send({ body: "Nice" });
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("DELETE /trips/:id/comments/:commentId", function () {
+  async function comment() {
+    const resp = await request(app)
+        .post("/trips/1/comments")
+        .set("authorization", `Bearer ${tokens.u2}`)
+        .send({ body: "Nice" });
+    return resp.body.comment.id;
+  }
+
+  test("works for the author", async function () {
+    const id = await comment();
+    const resp = await request(app)
+        .delete(`/trips/1/comments/${id}`)
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(resp.body).toEqual({ deleted: `${id}` });
+  });
+
+  test("works for the trip's owner", async function () {
+    const id = await comment();
+    const resp = await request(app)
+        .delete(`/trips/1/comments/${id}`)
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("works for admin", async function () {
+    const id = await comment();
+    const resp = await request(app)
+        .delete(`/trips/1/comments/${id}`)
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("forbidden for others", async function () {
+    const resp = await request(app)
+        .post("/trips/1/comments")
+        .set("authorization", `Bearer ${tokens.admin}`)
+        .send({ body: "Nice" });
+
+    const delResp = await request(app)
+        .delete(`/trips/1/comments/${resp.body.comment.id}`)
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(delResp.statusCode).toEqual(403);
+  });
+
+  test("not found if no such comment", async function () {
+    const resp = await request(app)
+        .delete("/trips/1/comments/999")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /trips/:id */
+
+describe("DELETE /trips/:id", function () {
+  test("works for the owner", async function () {
+    const resp = await request(app)
+        .delete("/trips/1")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.body).toEqual({ deleted: "1" });
+
+    const tripRes = await db.query(`SELECT id FROM trips WHERE id = 1`);
+    expect(tripRes.rows).toEqual([]);
+  });
+
+  test("forbidden for others", async function () {
+    const resp = await request(app)
+        .delete("/trips/1")
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(resp.statusCode).toEqual(403);
+
+    const tripRes = await db.query(`SELECT id FROM trips WHERE id = 1`);
+    expect(tripRes.rows).toEqual([{ id: 1 }]);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).delete("/trips/1");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such trip", async function () {
+    const resp = await request(app)
+        .delete("/trips/999")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
@@ -7,24 +7,48 @@ const jsonschema = require("jsonschema");
 const express = require("express");
 const { BadRequestError } = require("../expressError");
 const User = require("../models/user");
+const Trip = require("../models/trip");
+const EmailVerification = require("../models/emailVerification");
+const mailer = require("../mailer");
+const { verifyEmailMessage } = require("../mailer/messages");
 const { createToken } = require("../helpers/tokens");
+const {
+  ensureLoggedIn,
+  ensureAdmin,
+  ensureCorrectUserOrAdmin,
+} = require("../middleware/auth");
+const { parseIntParam, parseTripListParams } = require("../helpers/params");
+const { putImage, deleteImage } = require("../helpers/variants");
+const { singleImage, checkImageType, imageKey } = require("../helpers/uploads");
+const { DEFAULT_PROF_IMAGE, MAX_PROFILE_IMAGE_BYTES } = require("../config");
 const userNewSchema = require("../schemas/userNew.json");
-//const userUpdateSchema = require("../schemas/userUpdate.json");
+const userUpdateSchema = require("../schemas/userUpdate.json");
 
 const router = express.Router();
 
 
-/** GET / => { users: [ {username, firstName, lastName, email }, ... ] }
+/** GET / => { users: [ {username, firstName, lastName, profImage,
+ *                       profImageVariants, about }, ... ],
+ *            nextCursor }
  *
- * Returns list of all users.
+ * Returns list of users in username order.
+ *
+ * Paginated with ?limit= (default 20, max 100) and ?cursor=, where cursor is
+ * the nextCursor from the previous page. nextCursor is null on the last page.
  *
  * Authorization required: admin
  **/
 
-router.get("/", async function (req, res, next) {
+router.get("/", ensureAdmin, async function (req, res, next) {
   try {
-    const users = await User.findAll();
-    return res.json({ users });
+    const { cursor } = req.query;
+    if (cursor !== undefined && typeof cursor !== "string") {
+      throw new BadRequestError("Invalid cursor");
+    }
+    const limit = parseIntParam(req.query, "limit", { min: 1, max: 100, defaultValue: 20 });
+
+    const { users, nextCursor } = await User.findAll({ cursor, limit });
+    return res.json({ users, nextCursor });
   } catch (err) {
     return next(err);
   }
@@ -33,29 +57,125 @@ router.get("/", async function (req, res, next) {
 
 /** GET /[username] => { user }
  *
- * Returns { username, firstName, lastName, tripIds }
- *   where tripIds is [id, id, ...]
+ * Returns { username, firstName, lastName, profileImage,
+ *           profileImageVariants, about, followerCount, followingCount }
+ * plus { email, emailVerified } when users look up themselves, or for
+ * admins.
  **/
 
 router.get("/:username", async function (req, res, next) {
   try {
-    const user = await User.get(req.params.username);
+    const { email, emailVerified, ...user } = await User.get(req.params.username);
+    const viewer = res.locals.user;
+    if (viewer && (viewer.username === user.username || viewer.isAdmin)) {
+      return res.json({ user: { ...user, email, emailVerified } });
+    }
+
     return res.json({ user });
   } catch (err) {
     return next(err);
   }
 });
 
-/** GET /[id]/trips => { trips }
+/** GET /[username]/trips => { trips, nextCursor }
+ *
+ * Returns { trips, nextCursor }
+ *   where trips is [{tripId, title, description, startDate, endDate, country,
+ *                    city, visibility, createdAt, updatedAt, images}, ...]
  *
- * Returns { trips }
- *   where trips is [{id, title}, ...]
+ * Takes the same filters, sort and pagination options as GET /trips,
+ * except username. Trips hidden from the caller are left out.
  **/
 
 router.get("/:username/trips", async function (req, res, next) {
   try {
-    const trips = await User.getAllTrips(req.params.username);
-    return res.json({ trips });
+    const viewer = res.locals.user ? res.locals.user.username : null;
+    const opts = { ...parseTripListParams(req.query, Trip.SORTS), viewer };
+    const { trips, nextCursor } = await User.getAllTrips(req.params.username, opts);
+    return res.json({ trips, nextCursor });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[username]/map => GeoJSON FeatureCollection
+ *
+ * Returns a FeatureCollection with a Point for each geotagged image in the
+ * user's trips, properties { kind: "image", imageId, tripId, tripTitle,
+ * fileUrl, variants, caption, takenAt, locationSource, tags }, and a
+ * LineString per trip, properties { kind: "route", tripId, tripTitle },
+ * joining its images in capture order. Trips hidden from the caller are left out.
+ **/
+
+router.get("/:username/map", async function (req, res, next) {
+  try {
+    const viewer = res.locals.user ? res.locals.user.username : null;
+    const map = await User.getMap(req.params.username, viewer);
+    return res.type("application/geo+json").json(map);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[username]/followers => { followers }
+ *
+ * Returns { followers }
+ *   where followers is [{ username, firstName, lastName, profImage,
+ *                         profImageVariants }, ...]
+ **/
+
+router.get("/:username/followers", async function (req, res, next) {
+  try {
+    const followers = await User.getFollowers(req.params.username);
+    return res.json({ followers });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[username]/following => { following }
+ *
+ * Returns { following }
+ *   where following is [{ username, firstName, lastName, profImage,
+ *                         profImageVariants }, ...]
+ **/
+
+router.get("/:username/following", async function (req, res, next) {
+  try {
+    const following = await User.getFollowing(req.params.username);
+    return res.json({ following });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[username]/follow => { followed: username }
+ *
+ * The logged-in user follows :username.
+ *
+ * Authorization required: logged in
+ **/
+
+router.post("/:username/follow", ensureLoggedIn, async function (req, res, next) {
+  try {
+    await User.follow(res.locals.user.username, req.params.username);
+    return res.status(201).json({ followed: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[username]/follow => { unfollowed: username }
+ *
+ * The logged-in user stops following :username.
+ *
+ * Authorization required: logged in
+ **/
+
+router.delete("/:username/follow", ensureLoggedIn, async function (req, res, next) {
+  try {
+    await User.unfollow(res.locals.user.username, req.params.username);
+    return res.json({ unfollowed: req.params.username });
   } catch (err) {
     return next(err);
   }
@@ -63,37 +183,85 @@ router.get("/:username/trips", async function (req, res, next) {
 
 
 /** PATCH /[username] { user } => { user }
+ *
+ * Accepts JSON or multipart form data.
  *
  * Data can include:
- *   { firstName, lastName, password, email }
+ *   { firstName, lastName, email, about }
+ * plus an optional profImage file, which replaces the current profile image
+ * and gets resized variants like trip images (see helpers/variants.js).
+ * It must be a JPEG, PNG, WebP or HEIC image of at most
+ * MAX_PROFILE_IMAGE_BYTES.
+ * The old image is removed from storage unless it is the default image.
  *
- * Returns { username, firstName, lastName, email, isAdmin }
+ * Passwords are changed with POST /auth/password/change. Changing email
+ * makes it unverified, and a token for POST /auth/verify is sent to the new
+ * address.
  *
- * Authorization required: admin or same-user-as-:username
+ * Returns { username, firstName, lastName, email, emailVerified, profImage,
+ *           profImageVariants, about }
+ *
+ * Authorization required: same-user-as-:username or admin
  **/
 
-// router.patch("/:username", ensureCorrectUserOrAdmin, async function (req, res, next) {
-//   try {
-//     const validator = jsonschema.validate(req.body, userUpdateSchema);
-//     if (!validator.valid) {
-//       const errs = validator.errors.map(e => e.stack);
-//       throw new BadRequestError(errs);
-//     }
+router.patch("/:username", ensureCorrectUserOrAdmin, singleImage("profImage", MAX_PROFILE_IMAGE_BYTES), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, userUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const data = { ...req.body };
+    let oldImage;
+    let newImage;
+
+    if (req.file) {
+      const current = await User.get(req.params.username);
+      oldImage = { fileUrl: current.profileImage, variants: current.profileImageVariants };
+      const type = checkImageType(req.file);
+      const key = imageKey("profileimages", type);
+      newImage = await putImage(key, req.file.buffer, type);
+      data.profImage = newImage.fileUrl;
+      data.profImageVariants = newImage.variants;
+    }
 
-//     const user = await User.update(req.params.username, req.body);
-//     return res.json({ user });
-//   } catch (err) {
-//     return next(err);
-//   }
-// });
+    let user;
+    try {
+      user = await User.update(req.params.username, data);
+    } catch (err) {
+      // Nothing refers to the new image if the update failed
+      if (newImage) await deleteImage(newImage);
+      throw err;
+    }
+
+    if (oldImage && oldImage.fileUrl !== DEFAULT_PROF_IMAGE) {
+      await deleteImage(oldImage);
+    }
+
+    // The new email is saved either way; if this fails they can ask for a resend
+    if (data.email !== undefined && !user.emailVerified) {
+      try {
+        const verification = await EmailVerification.create(user.username);
+        await mailer.send(verifyEmailMessage(verification.user, verification.token));
+      } catch (err) {
+        console.error("Could not send verification email:", err.message);
+      }
+    }
+
+    return res.json({ user });
+  } catch (err) {
+    return next(err);
+  }
+});
 
 
 /** DELETE /[username]  =>  { deleted: username }
  *
- * Authorization required: admin or same-user-as-:username
+ * Authorization required: same-user-as-:username or admin
  **/
 
-router.delete("/:username", async function (req, res, next) {
+router.delete("/:username", ensureCorrectUserOrAdmin, async function (req, res, next) {
   try {
     await User.remove(req.params.username);
     return res.json({ deleted: req.params.username });
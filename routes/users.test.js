@@ -0,0 +1,339 @@
+"use strict";
+
+const request = require("supertest");
+const sharp = require("sharp");
+
+const app = require("../app");
+const db = require("../db");
+const storage = require("../storage");
+const mailer = require("../mailer");
+const { commonBeforeEach, commonAfterAll, tokens } = require("./_testCommon");
+
+beforeEach(commonBeforeEach);
+afterEach(() => jest.restoreAllMocks());
+afterAll(commonAfterAll);
+
+/** Return a small PNG; different colors give files with different hashes. */
+
+function png(color) {
+  return sharp({
+    create: { width: 8, height: 8, channels: 3, background: color },
+  }).png().toBuffer();
+}
+
+async function userExists(username) {
+  const result = await db.query(`SELECT id FROM users WHERE username = $1`, [username]);
+  return result.rows.length > 0;
+}
+
+/************************************** GET /users */
+
+describe("GET /users", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get("/users")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.body.users.map(u => u.username)).toEqual(["admin", "u1", "u2"]);
+  });
+
+  test("forbidden for non-admins", async function () {
+    const resp = await request(app)
+        .get("/users")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/users");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /users/:username */
+
+describe("GET /users/:username", function () {
+  test("shows email only to the user and admins", async function () {
+    const anon = await request(app).get("/users/u1");
+    expect(anon.body.user.email).toBeUndefined();
+
+    const other = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(other.body.user.email).toBeUndefined();
+
+    for (let token of [tokens.u1, tokens.admin]) {
+      const resp = await request(app)
+          .get("/users/u1")
+          .set("authorization", `Bearer ${token}`);
+      expect(resp.body.user).toEqual(expect.objectContaining({
+        email: "u1@email.com",
+        emailVerified: true,
+      }));
+    }
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app).get("/users/nope");
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/follow */
+
+function follow(follower, username) {
+  return request(app)
+      .post(`/users/${username}/follow`)
+      .set("authorization", `Bearer ${tokens[follower]}`);
+}
+
+describe("POST /users/:username/follow", function () {
+  test("works, and shows in lists and counts", async function () {
+    const resp = await follow("u1", "u2");
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ followed: "u2" });
+
+    const followersResp = await request(app).get("/users/u2/followers");
+    expect(followersResp.body.followers).toEqual([
+      expect.objectContaining({ username: "u1", firstName: "U1F" }),
+    ]);
+    const followingResp = await request(app).get("/users/u1/following");
+    expect(followingResp.body.following).toEqual([
+      expect.objectContaining({ username: "u2" }),
+    ]);
+
+    const userResp = await request(app).get("/users/u2");
+    expect(userResp.body.user).toEqual(expect.objectContaining({
+      followerCount: 1,
+      followingCount: 0,
+    }));
+  });
+
+  test("following twice changes nothing", async function () {
+    await follow("u1", "u2");
+    expect((await follow("u1", "u2")).statusCode).toEqual(201);
+
+    const followersResp = await request(app).get("/users/u2/followers");
+    expect(followersResp.body.followers.length).toEqual(1);
+  });
+
+  test("bad request following yourself", async function () {
+    const resp = await follow("u1", "u1");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await follow("u1", "nope");
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post("/users/u2/follow");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("DELETE /users/:username/follow", function () {
+  test("works", async function () {
+    await follow("u1", "u2");
+
+    const resp = await request(app)
+        .delete("/users/u2/follow")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.body).toEqual({ unfollowed: "u2" });
+
+    const followersResp = await request(app).get("/users/u2/followers");
+    expect(followersResp.body.followers).toEqual([]);
+  });
+
+  test("not found if not following", async function () {
+    const resp = await request(app)
+        .delete("/users/u2/follow")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("GET /users/:username/followers", function () {
+  test("not found if no such user", async function () {
+    const resp = await request(app).get("/users/nope/followers");
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /users/:username/map */
+
+describe("GET /users/:username/map", function () {
+  beforeEach(async function () {
+    await db.query(`
+          INSERT INTO images (trip_id, file_url, variants, caption, position,
+                              latitude, longitude, location_source)
+          VALUES (2, 'http://img3.com', '{}', 'Caption3', 1, 48.9, 2.3, 'exif')`);
+    await db.query(`
+          UPDATE images
+          SET latitude = 38.7, longitude = -9.1, location_source = 'exif'
+          WHERE id IN (1, 2)`);
+  });
+
+  test("works", async function () {
+    const resp = await request(app).get("/users/u1/map");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.type).toEqual("application/geo+json");
+    expect(resp.body.features.map(f => [f.geometry.type, f.properties.tripId]))
+        .toEqual([["Point", 1], ["Point", 1], ["LineString", 1]]);
+  });
+
+  test("leaves out trips hidden from the caller", async function () {
+    const anon = await request(app).get("/users/u2/map");
+    expect(anon.body).toEqual({ type: "FeatureCollection", features: [] });
+
+    const owner = await request(app)
+        .get("/users/u2/map")
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(owner.body.features.map(f => f.properties.imageId)).toEqual([3]);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app).get("/users/nope/map");
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PATCH /users/:username */
+
+describe("PATCH /users/:username", function () {
+  test("changes only the given fields", async function () {
+    const resp = await request(app)
+        .patch("/users/u1")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ firstName: "New", about: "Hi" });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.user).toEqual(expect.objectContaining({
+      username: "u1",
+      firstName: "New",
+      lastName: "U1L",
+      about: "Hi",
+    }));
+  });
+
+  test("replaces the profile image and removes the old one and its variants", async function () {
+    const upload = async color => (await request(app)
+        .patch("/users/u1")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .attach("profImage", await png(color), `${color}.png`)).body.user;
+
+    const first = await upload("red");
+    expect(first.profImage).toEqual(expect.any(String));
+    expect(first.profImageVariants).toEqual({
+      thumbnail: expect.any(String),
+      medium: expect.any(String),
+      original: first.profImage,
+    });
+
+    const del = jest.spyOn(storage, "delete");
+    const second = await upload("blue");
+    expect(second.profImage).not.toEqual(first.profImage);
+    for (let url of Object.values(first.profImageVariants)) {
+      expect(del).toHaveBeenCalledWith(storage.keyFromUrl(url));
+    }
+  });
+
+  test("removes the new image if saving fails", async function () {
+    const del = jest.spyOn(storage, "delete");
+
+    const resp = await request(app)
+        .patch("/users/u1")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .field("email", "u2@email.com")
+        .attach("profImage", await png("red"), "red.png");
+    expect(resp.statusCode).toEqual(400);
+    expect(del).toHaveBeenCalled();
+
+    const userResp = await request(app).get("/users/u1");
+    expect(userResp.body.user.profileImage).toBeNull();
+  });
+
+  test("changing email makes it unverified and sends a token", async function () {
+    const send = jest.spyOn(mailer, "send").mockResolvedValue();
+
+    const resp = await request(app)
+        .patch("/users/u1")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ email: "new@email.com" });
+    expect(resp.body.user).toEqual(expect.objectContaining({
+      email: "new@email.com",
+      emailVerified: false,
+    }));
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ to: "new@email.com" }));
+  });
+
+  test("bad request with names longer than registration allows", async function () {
+    const resp = await request(app)
+        .patch("/users/u1")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ firstName: "x".repeat(31) });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with a password", async function () {
+    const resp = await request(app)
+        .patch("/users/u1")
+        .set("authorization", `Bearer ${tokens.u1}`)
+        .send({ password: "new-password" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for others", async function () {
+    const resp = await request(app)
+        .patch("/users/u1")
+        .set("authorization", `Bearer ${tokens.u2}`)
+        .send({ firstName: "New" });
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .patch("/users/u1")
+        .send({ firstName: "New" });
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** DELETE /users/:username */
+
+describe("DELETE /users/:username", function () {
+  test("works for the same user", async function () {
+    const resp = await request(app)
+        .delete("/users/u1")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.body).toEqual({ deleted: "u1" });
+    expect(await userExists("u1")).toEqual(false);
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .delete("/users/u1")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.body).toEqual({ deleted: "u1" });
+    expect(await userExists("u1")).toEqual(false);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+        .delete("/users/nope")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("forbidden for others", async function () {
+    const resp = await request(app)
+        .delete("/users/u1")
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(resp.statusCode).toEqual(403);
+    expect(await userExists("u1")).toEqual(true);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).delete("/users/u1");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
@@ -0,0 +1,44 @@
+"use strict";
+
+/** Storage for uploaded files.
+ *
+ * Every driver has the same interface:
+ *   put(key, body, contentType) => url
+ *   get(key) => Buffer
+ *   delete(key)
+ *   getUrl(key) => url
+ *   keyFromUrl(url) => key, or null if the URL isn't from this storage
+ *
+ * The driver is picked with the STORAGE_DRIVER setting in config.js.
+ */
+
+const {
+  STORAGE_DRIVER,
+  S3_BUCKET,
+  S3_REGION,
+  UPLOAD_DIR,
+  BASE_URL,
+} = require("../config");
+const S3Storage = require("./s3");
+const LocalStorage = require("./local");
+
+function createStorage(driver) {
+  switch (driver) {
+    case "s3":
+      return new S3Storage({
+        bucket: S3_BUCKET,
+        region: S3_REGION,
+        accessKeyId: process.env.ACCESS_KEY_ID,
+        secretAccessKey: process.env.SECRET_ACCESS_KEY,
+      });
+    case "local":
+      return new LocalStorage({ dir: UPLOAD_DIR, baseUrl: BASE_URL });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+const storage = createStorage(STORAGE_DRIVER);
+
+
+module.exports = storage;
@@ -0,0 +1,87 @@
+"use strict";
+
+/** Storage driver that keeps files on local disk and serves them through
+ * Express. Meant for development and tests, so no AWS credentials are needed.
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+const express = require("express");
+
+class LocalStorage {
+  constructor({ dir, baseUrl, urlPath = "/uploads" }) {
+    this.dir = path.resolve(dir);
+    this.baseUrl = baseUrl.replace(/\/$/, "");
+    this.urlPath = urlPath;
+  }
+
+  /** Return the absolute path on disk for `key`.
+   *
+   * Throws an error if the key would escape the upload directory.
+   */
+
+  _pathFor(key) {
+    const filePath = path.resolve(this.dir, key);
+    if (!filePath.startsWith(this.dir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /** Store `body` under `key`; returns the public URL of the stored file. */
+
+  async put(key, body) {
+    const filePath = this._pathFor(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body);
+
+    return this.getUrl(key);
+  }
+
+  /** Return the contents of the file stored under `key`, as a Buffer. */
+
+  async get(key) {
+    return fs.readFile(this._pathFor(key));
+  }
+
+  /** Delete the file stored under `key`; returns undefined.
+   *
+   * It's not an error if the file is already gone.
+   */
+
+  async delete(key) {
+    try {
+      await fs.unlink(this._pathFor(key));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  }
+
+  /** Return the public URL for `key`. */
+
+  getUrl(key) {
+    const urlKey = key.split("/").map(encodeURIComponent).join("/");
+    return `${this.baseUrl}${this.urlPath}/${urlKey}`;
+  }
+
+  /** Given a URL returned by put/getUrl, return its key.
+   *
+   * Returns null if the URL doesn't point into this storage.
+   */
+
+  keyFromUrl(url) {
+    const prefix = `${this.baseUrl}${this.urlPath}/`;
+    if (!url || !url.startsWith(prefix)) return null;
+
+    return decodeURIComponent(url.slice(prefix.length));
+  }
+
+  /** Express middleware serving the stored files; mount it at urlPath. */
+
+  middleware() {
+    return express.static(this.dir);
+  }
+}
+
+
+module.exports = LocalStorage;
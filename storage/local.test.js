@@ -0,0 +1,75 @@
+"use strict";
+
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const request = require("supertest");
+
+const LocalStorage = require("./local");
+
+let dir;
+let storage;
+
+beforeEach(async function () {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "traveler-storage-"));
+  storage = new LocalStorage({ dir, baseUrl: "http://localhost:3001/" });
+});
+
+afterEach(async function () {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/************************************** put / get / delete */
+
+describe("put", function () {
+  test("stores a file and returns its URL", async function () {
+    const url = await storage.put("trips/a b.png", Buffer.from("data"));
+    expect(url).toEqual("http://localhost:3001/uploads/trips/a%20b.png");
+    expect(await storage.get("trips/a b.png")).toEqual(Buffer.from("data"));
+  });
+
+  test("rejects keys outside the upload directory", async function () {
+    await expect(storage.put("../escape.png", Buffer.from("data")))
+        .rejects.toThrow("Invalid storage key");
+  });
+});
+
+describe("delete", function () {
+  test("works", async function () {
+    await storage.put("a.png", Buffer.from("data"));
+    await storage.delete("a.png");
+    await expect(storage.get("a.png")).rejects.toThrow();
+  });
+
+  test("ignores files that are already gone", async function () {
+    await storage.delete("nope.png");
+  });
+});
+
+/************************************** keyFromUrl */
+
+describe("keyFromUrl", function () {
+  test("works for its own URLs", async function () {
+    expect(storage.keyFromUrl(storage.getUrl("trips/a b.png"))).toEqual("trips/a b.png");
+  });
+
+  test("null for other URLs", async function () {
+    expect(storage.keyFromUrl("https://example.com/uploads/a.png")).toBeNull();
+    expect(storage.keyFromUrl(null)).toBeNull();
+  });
+});
+
+/************************************** middleware */
+
+describe("middleware", function () {
+  test("serves stored files", async function () {
+    await storage.put("a.txt", Buffer.from("data"));
+    const app = express();
+    app.use(storage.urlPath, storage.middleware());
+
+    const resp = await request(app).get("/uploads/a.txt");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.text).toEqual("data");
+  });
+});
@@ -0,0 +1,71 @@
+"use strict";
+
+/** Storage driver that keeps files in an S3 bucket. */
+
+const AWS = require("aws-sdk");
+
+class S3Storage {
+  constructor({ bucket, region, accessKeyId, secretAccessKey }) {
+    this.bucket = bucket;
+    this.region = region;
+    this.s3 = new AWS.S3({
+      accessKeyId,
+      secretAccessKey,
+      region,
+      httpOptions: { timeout: 10000 },
+    });
+  }
+
+  /** Store `body` under `key`; returns the public URL of the stored file. */
+
+  async put(key, body, contentType) {
+    const data = await this.s3.upload({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+    }).promise();
+
+    return data.Location;
+  }
+
+  /** Return the contents of the file stored under `key`, as a Buffer. */
+
+  async get(key) {
+    const data = await this.s3.getObject({ Bucket: this.bucket, Key: key }).promise();
+    return data.Body;
+  }
+
+  /** Delete the file stored under `key`; returns undefined. */
+
+  async delete(key) {
+    await this.s3.deleteObject({ Bucket: this.bucket, Key: key }).promise();
+  }
+
+  /** Return the public URL for `key`. */
+
+  getUrl(key) {
+    const path = key.split("/").map(encodeURIComponent).join("/");
+    return `https://${this.bucket}.s3.${this.region}.amazonaws.com/${path}`;
+  }
+
+  /** Given a URL returned by put/getUrl, return its key.
+   *
+   * Returns null if the URL doesn't point into this bucket.
+   */
+
+  keyFromUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (err) {
+      return null;
+    }
+    if (!parsed.hostname.startsWith(`${this.bucket}.s3.`)) return null;
+
+    return decodeURIComponent(parsed.pathname.slice(1));
+  }
+}
+
+
+module.exports = S3Storage;
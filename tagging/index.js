@@ -0,0 +1,55 @@
+"use strict";
+
+/** Image tagging.
+ *
+ * Every provider has the same interface:
+ *   detect(image) => { labels, landmarks }
+ * where labels is [{ description, score }, ...]
+ * and landmarks is [{ description, score, locations }, ...]
+ *
+ * The provider is picked with the TAGGING_PROVIDER setting in config.js.
+ */
+
+const { TAGGING_PROVIDER, TAGGING_TIMEOUT_MS } = require("../config");
+const VisionTagger = require("./vision");
+const NoopTagger = require("./noop");
+const LocalTagger = require("./local");
+
+function createTagger(provider) {
+  switch (provider) {
+    case "vision":
+      return new VisionTagger();
+    case "noop":
+      return new NoopTagger();
+    case "local":
+      return new LocalTagger();
+    default:
+      throw new Error(`Unknown tagging provider: ${provider}`);
+  }
+}
+
+const tagger = createTagger(TAGGING_PROVIDER);
+
+/** Tag an image buffer with the configured provider.
+ *
+ * Returns { labels, landmarks }
+ *
+ * Throws if the provider fails or takes longer than TAGGING_TIMEOUT_MS.
+ */
+
+async function detectTags(image) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error("Tagging timed out")),
+        TAGGING_TIMEOUT_MS);
+  });
+
+  try {
+    return await Promise.race([tagger.detect(image), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+
+module.exports = { detectTags };
@@ -0,0 +1,55 @@
+"use strict";
+
+const LocalTagger = require("./local");
+const NoopTagger = require("./noop");
+const { detectTags } = require("./index");
+const { TAGGING_TIMEOUT_MS } = require("../config");
+
+afterEach(function () {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+/************************************** providers */
+
+describe("LocalTagger", function () {
+  test("gives the same image the same tags", async function () {
+    const tagger = new LocalTagger();
+    const first = await tagger.detect(Buffer.from("image"));
+
+    expect(first.labels.length).toBeGreaterThan(0);
+    expect(first.labels[0]).toEqual({ description: expect.any(String), score: 0.99 });
+    expect(await tagger.detect(Buffer.from("image"))).toEqual(first);
+  });
+});
+
+describe("NoopTagger", function () {
+  test("finds nothing", async function () {
+    expect(await new NoopTagger().detect(Buffer.from("image")))
+        .toEqual({ labels: [], landmarks: [] });
+  });
+});
+
+/************************************** detectTags */
+
+describe("detectTags", function () {
+  test("uses the configured provider", async function () {
+    expect(await detectTags(Buffer.from("image")))
+        .toEqual(await new LocalTagger().detect(Buffer.from("image")));
+  });
+
+  test("throws if the provider fails", async function () {
+    jest.spyOn(LocalTagger.prototype, "detect").mockRejectedValue(new Error("Vision is down"));
+
+    await expect(detectTags(Buffer.from("image"))).rejects.toThrow("Vision is down");
+  });
+
+  test("throws if the provider takes too long", async function () {
+    jest.useFakeTimers();
+    jest.spyOn(LocalTagger.prototype, "detect").mockReturnValue(new Promise(() => {}));
+
+    const result = detectTags(Buffer.from("image"));
+    jest.advanceTimersByTime(TAGGING_TIMEOUT_MS);
+    await expect(result).rejects.toThrow("Tagging timed out");
+  });
+});
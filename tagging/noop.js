@@ -0,0 +1,12 @@
+"use strict";
+
+/** Tagging provider that never finds anything; images are saved untagged. */
+
+class NoopTagger {
+  async detect() {
+    return { labels: [], landmarks: [] };
+  }
+}
+
+
+module.exports = NoopTagger;
@@ -0,0 +1,53 @@
+"use strict";
+
+/** Tagging provider backed by the Google Cloud Vision API.
+ *
+ * Credentials are found by the client library itself, usually through the
+ * GOOGLE_APPLICATION_CREDENTIALS environment variable.
+ */
+
+// Imports the Google Cloud client library
+const vision = require("@google-cloud/vision");
+
+class VisionTagger {
+  constructor() {
+    this.client = null;
+  }
+
+  /** The client is created once, on first use. */
+
+  _getClient() {
+    if (!this.client) this.client = new vision.ImageAnnotatorClient();
+    return this.client;
+  }
+
+  /** Detect labels and landmarks in an image buffer.
+   *
+   * Returns { labels, landmarks }
+   * where labels is [{ description, score }, ...]
+   * and landmarks is [{ description, score, locations }, ...]
+   */
+
+  async detect(image) {
+    const client = this._getClient();
+    const [[labelResult], [landmarkResult]] = await Promise.all([
+      client.labelDetection(image),
+      client.landmarkDetection(image),
+    ]);
+
+    const labels = (labelResult.labelAnnotations || []).map(label => ({
+      description: label.description,
+      score: label.score,
+    }));
+    const landmarks = (landmarkResult.landmarkAnnotations || []).map(landmark => ({
+      description: landmark.description,
+      score: landmark.score,
+      locations: landmark.locations || [],
+    }));
+
+    return { labels, landmarks };
+  }
+}
+
+
+module.exports = VisionTagger;
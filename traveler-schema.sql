@@ -1,38 +1,233 @@
 CREATE TABLE users (
   id SERIAL PRIMARY KEY,
-  username VARCHAR(25) UNIQUE NOT NULL,
+  username VARCHAR(30) UNIQUE NOT NULL,
   password TEXT NOT NULL,
-  first_name VARCHAR(25),
-  last_name VARCHAR(25),
+  first_name VARCHAR(30),
+  last_name VARCHAR(30),
   profile_image TEXT,
-  about TEXT
+  profile_image_variants JSONB,
+  about TEXT,
+  email TEXT,
+  email_verified BOOLEAN NOT NULL DEFAULT FALSE,
+  is_admin BOOLEAN NOT NULL DEFAULT FALSE,
+  suspended_at TIMESTAMPTZ,
+  suspension_reason TEXT
 );
 
+-- Emails are unique regardless of case
+CREATE UNIQUE INDEX users_email_idx ON users (lower(email));
+
 CREATE TABLE trips (
   id SERIAL PRIMARY KEY,
   user_id INTEGER REFERENCES users ON DELETE CASCADE,
-  title TEXT NOT NULL
+  title TEXT NOT NULL,
+  description TEXT,
+  start_date DATE,
+  end_date DATE,
+  country VARCHAR(100),
+  city VARCHAR(100),
+  visibility VARCHAR(10) NOT NULL DEFAULT 'public'
+    CHECK (visibility IN ('public', 'followers', 'private')),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  hidden_at TIMESTAMPTZ,
+  CONSTRAINT trips_dates_check CHECK (end_date >= start_date)
 );
 
+CREATE INDEX trips_user_id_idx ON trips (user_id);
+
 CREATE TABLE images (
   id SERIAL PRIMARY KEY,
   file_url TEXT NOT NULL,
   trip_id INTEGER REFERENCES trips ON DELETE CASCADE,
   caption TEXT,
-  tag1 VARCHAR(100),
-  tag2 VARCHAR(100),
-  tag3 VARCHAR(100),
-  tag4 VARCHAR(100),
-  tag5 VARCHAR(100)
+  position INTEGER NOT NULL,
+  taken_at TIMESTAMP,
+  camera_model TEXT,
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION,
+  location_source TEXT
+    CHECK (location_source IN ('exif', 'landmark')),
+  variants JSONB NOT NULL,
+  content_hash TEXT,
+  status TEXT NOT NULL DEFAULT 'ready'
+    CHECK (status IN ('pending', 'ready', 'failed')),
+  hidden_at TIMESTAMPTZ,
+  -- Full-text search document from the caption and tags; kept up to date
+  -- by models/tag.js
+  search_document TSVECTOR NOT NULL DEFAULT ''
+);
+
+CREATE INDEX images_trip_id_idx ON images (trip_id);
+CREATE UNIQUE INDEX images_trip_content_hash_idx ON images (trip_id, content_hash);
+
+ALTER TABLE trips
+  ADD COLUMN cover_image_id INTEGER REFERENCES images ON DELETE SET NULL;
+
+CREATE TABLE tags (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL
+);
+
+-- Tag names are unique regardless of case
+CREATE UNIQUE INDEX tags_name_idx ON tags (lower(name));
+
+CREATE TABLE image_tags (
+  image_id INTEGER REFERENCES images ON DELETE CASCADE,
+  tag_id INTEGER REFERENCES tags ON DELETE CASCADE,
+  source VARCHAR(10) NOT NULL
+    CHECK (source IN ('label', 'landmark', 'user')),
+  confidence REAL,
+  position INTEGER NOT NULL,
+  PRIMARY KEY (image_id, tag_id)
 );
 
+CREATE INDEX image_tags_tag_id_idx ON image_tags (tag_id);
+
 CREATE TABLE suggestions (
   id SERIAL PRIMARY KEY,
   user_id INTEGER REFERENCES users ON DELETE CASCADE,
-  suggestion TEXT NOT NULL
+  suggestion TEXT NOT NULL,
+  status VARCHAR(10) NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'accepted', 'rejected')),
+  response TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  responded_at TIMESTAMP
 );
 
 CREATE TABLE follows (
   user_being_followed_id INTEGER REFERENCES users ON DELETE CASCADE,
-  user_following_id INTEGER REFERENCES users ON DELETE CASCADE
-);
\ No newline at end of file
+  user_following_id INTEGER REFERENCES users ON DELETE CASCADE,
+  PRIMARY KEY (user_following_id, user_being_followed_id),
+  CHECK (user_following_id <> user_being_followed_id)
+);
+
+-- Full-text search indexes; these expressions must match models/search.js
+CREATE INDEX trips_search_idx ON trips
+  USING GIN ((setweight(to_tsvector('english', title), 'A') ||
+              setweight(to_tsvector('english',
+                COALESCE(city, '') || ' ' ||
+                COALESCE(country, '')), 'B') ||
+              setweight(to_tsvector('english',
+                COALESCE(description, '')), 'C')));
+
+CREATE INDEX images_search_idx ON images USING GIN (search_document);
+
+CREATE INDEX users_search_idx ON users
+  USING GIN ((setweight(to_tsvector('english',
+                username || ' ' ||
+                COALESCE(first_name, '') || ' ' ||
+                COALESCE(last_name, '')), 'A') ||
+              setweight(to_tsvector('english',
+                COALESCE(about, '')), 'B')));
+
+CREATE TABLE jobs (
+  id SERIAL PRIMARY KEY,
+  type TEXT NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'done', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL,
+  run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMPTZ,
+  last_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX jobs_queued_idx ON jobs (run_at) WHERE status = 'queued';
+
+CREATE TABLE sessions (
+  id UUID PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX sessions_user_id_idx ON sessions (user_id);
+
+CREATE TABLE refresh_tokens (
+  token_hash TEXT PRIMARY KEY,
+  session_id UUID NOT NULL REFERENCES sessions ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+CREATE INDEX refresh_tokens_session_id_idx ON refresh_tokens (session_id);
+
+CREATE TABLE password_resets (
+  token_hash TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+CREATE INDEX password_resets_user_id_idx ON password_resets (user_id);
+
+CREATE TABLE email_verifications (
+  token_hash TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+CREATE INDEX email_verifications_user_id_idx ON email_verifications (user_id);
+
+-- A report keeps its target_type after the trip or image it's about is
+-- removed, so moderation history survives. Deleting the content closes its
+-- open reports as 'removed' first.
+CREATE TABLE reports (
+  id SERIAL PRIMARY KEY,
+  reporter_id INTEGER REFERENCES users ON DELETE SET NULL,
+  target_type TEXT NOT NULL CHECK (target_type IN ('trip', 'image')),
+  trip_id INTEGER REFERENCES trips ON DELETE SET NULL,
+  image_id INTEGER REFERENCES images ON DELETE SET NULL,
+  reason TEXT NOT NULL
+    CHECK (reason IN ('spam', 'nudity', 'violence', 'harassment', 'hate',
+                      'copyright', 'other')),
+  details TEXT,
+  status TEXT NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'dismissed', 'hidden', 'removed')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  resolved_at TIMESTAMPTZ,
+  resolved_by INTEGER REFERENCES users ON DELETE SET NULL
+);
+
+-- One open report per user per trip or image
+CREATE UNIQUE INDEX reports_open_trip_idx ON reports (reporter_id, trip_id)
+  WHERE status = 'open' AND target_type = 'trip';
+CREATE UNIQUE INDEX reports_open_image_idx ON reports (reporter_id, image_id)
+  WHERE status = 'open' AND target_type = 'image';
+
+CREATE TABLE trip_likes (
+  trip_id INTEGER REFERENCES trips ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (trip_id, user_id)
+);
+
+CREATE TABLE image_likes (
+  image_id INTEGER REFERENCES images ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (image_id, user_id)
+);
+
+-- Comments on trips. A reply has the comment it answers as its parent;
+-- removing a comment removes its replies.
+CREATE TABLE comments (
+  id SERIAL PRIMARY KEY,
+  trip_id INTEGER NOT NULL REFERENCES trips ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users ON DELETE CASCADE,
+  parent_id INTEGER REFERENCES comments ON DELETE CASCADE,
+  body TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX comments_trip_id_idx ON comments (trip_id, created_at);
@@ -0,0 +1,16 @@
+"use strict";
+// starts a background job worker (see jobs/); run one or more of these
+// alongside the app
+const db = require("./db");
+const { startWorker } = require("./jobs");
+
+const worker = startWorker();
+console.log("Worker started");
+
+for (let signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, async function () {
+    console.log("Stopping worker...");
+    await worker.stop();
+    await db.end();
+  });
+}